@@ -0,0 +1,31 @@
+// netlify/functions/amortization.js
+// ============================================================
+// v1.0.0 — RealtySaSS • Amortization schedule (standalone)
+//
+// ✅ POST the loan, either:
+// - { loanAmount, apr, termYears, miMonthly?, miRule? }                     (a bare loan)
+// - { price, downpayment, creditScore, loanType, termYears, points? ... }  (priced like elena-agent:
+//   loan program, rate-sheet APR + citation, MI and its drop-off)
+// ✅ Payoff options: startDate, granularity (yearly | monthly), extraMonthly, extraMonthlyFrom,
+//    lumpSums [{ month | date, amount }], recasts [{ month | date, fee }], recast: true
+// ✅ Same engine as elena-agent's amortization block (lib/amortization.js), without the
+//    affordability run
+// ✅ Request pipeline (lib/http.js): origin allowlist, preflight, request_id, rate limit, error envelope
+// ============================================================
+
+const { createHandler } = require("./lib/http");
+const { buildAmortization } = require("./lib/amortization");
+
+// ------------------------------
+// //#1 MAIN HANDLER
+// ------------------------------
+exports.handler = createHandler("amortization", async (req) => {
+  const { body } = req;
+
+  // rate is an internal input (a rate-sheet quote); clients send apr or let the sheet price it.
+  const { rate, ...input } = body;
+  const res = buildAmortization(input);
+  if (!res.ok) return req.fail(400, "invalid_input", res.error);
+
+  return req.json(200, res);
+});
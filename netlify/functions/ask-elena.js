@@ -1,54 +1,66 @@
 // netlify/functions/ask-elena.js
 // ============================================================
-// v3.4.0 — RealtySaSS • Ask Elena
+// v4.2.3 — RealtySaSS • Ask Elena
 // ✅ Local Memory Support: context.thread + context.memory
 // ✅ FIX: Recovers last_number_1_10 from thread if memory missing
 // ✅ NEW: "remember 5" command stores the number
 // ✅ Clean answers for product + pricing
+// ✅ NEW: Pricing answers come from realtysass.json pricing.catalogs
+// ✅ NEW: FAQ + glossary retrieval (realtysass faq, basics terms, state core terms)
+// ✅ NEW: Scored intent registry (lib/intents.js) — multi-intent + debug ranking
+// ✅ NEW: Slash commands: /reset /memory /forget <key> /state TX /mode buyer|seller|investor
+//    memory_patch: a key set to null means "delete it" (memory_echo already has it removed)
+// ✅ NEW: Server-side memory (lib/memory-store.js) keyed by verified user or session_id;
+//    context.memory only fills keys the server doesn't have yet (and never ones /forget or /reset dropped)
+// ✅ NEW: Multi-turn affordability slot filling → same verdict engine as elena-agent
+//    (FIX: now with the resolved state + remembered loan type, so both give the same verdict)
+// ✅ NEW: context.agent (elena-agent payload) narrated as a BLUF reply (lib/narrate.js)
+// ✅ NEW: State scripts (lib/scripts.js) — option period, earnest money, appraisal, follow-up
+//    fills address / deadlines from memory → profile, buyer name from memory / the message only;
+//    plain text + email
+// ✅ NEW: Fair-housing + legal guardrails (lib/guardrails.js) screen every non-command message;
+//    response.guardrail records whether one fired
+// ✅ NEW: Structured replies (lib/reply-blocks.js): blocks + reply_markdown + reply_text;
+//    truncation is block-aware (whole sentences / bullets). context.reply_format picks `reply`.
+// ✅ SECURITY: Supabase profile reads only for verified identities (lib/session.js —
+//    signed session token or Netlify Identity). Posted email / identity.email are ignored;
+//    everyone else runs in anonymous mode (response.identity.mode)
+// ✅ SECURITY: body/message caps (413) + shared rate limiter (lib/rate-limit.js) → 429 + Retry-After
+// ✅ Request pipeline (lib/http.js): origin allowlist (403), preflight, request_id, error envelope
 // ============================================================
 
 const { createClient } = require("@supabase/supabase-js");
+const {
+  normalizeStateKey,
+  detectStateInText,
+  loadBasics,
+  loadRealtySaSS,
+  loadState,
+} = require("./lib/knowledge");
+const { answerPricing } = require("./lib/pricing");
+const { answerFromKnowledge } = require("./lib/retrieval");
+const { classifyIntents } = require("./lib/intents");
+const { runCommand, applyMemoryPatch } = require("./lib/commands");
+const { resolveMemoryKey, mergeClientMemory, createMemoryStore } = require("./lib/memory-store");
+const { identityMeta } = require("./lib/session");
+const { checkMessageLength } = require("./lib/rate-limit");
+const { createHandler } = require("./lib/http");
+const { advanceAffordability } = require("./lib/slot-filling");
+const { narrateAgent } = require("./lib/narrate");
+const { SITUATIONS, buildScript } = require("./lib/scripts");
+const { screenMessage, guardrailRecord } = require("./lib/guardrails");
+const {
+  paragraph,
+  cta,
+  replyButtons,
+  blocksFromMarkdown,
+  fitBlocks,
+  renderMarkdown,
+  renderText,
+} = require("./lib/reply-blocks");
 
 /* ============================================================
-   //#1 — CORS
-============================================================ */
-const DEFAULT_ALLOW_ORIGINS = [
-  "https://realtysass.com",
-  "https://www.realtysass.com",
-  "https://realtysass.netlify.app",
-  "https://realtysass.webflow.io",
-  "https://www.realtysass.webflow.io",
-  "http://localhost:8888",
-  "http://localhost:3000",
-];
-
-function readAllowOriginsFromEnv() {
-  const raw = String(process.env.REALTYSASS_ALLOW_ORIGINS || "").trim();
-  if (!raw) return DEFAULT_ALLOW_ORIGINS;
-  return raw.split(",").map((s) => s.trim()).filter(Boolean);
-}
-
-const ALLOW_ORIGINS = readAllowOriginsFromEnv();
-
-function corsHeaders(origin) {
-  const o = String(origin || "").trim();
-  const allow = ALLOW_ORIGINS.includes(o) ? o : "*";
-  return {
-    "Access-Control-Allow-Origin": allow,
-    "Access-Control-Allow-Headers": "Content-Type, Authorization",
-    "Access-Control-Allow-Methods": "POST, OPTIONS",
-    "Access-Control-Max-Age": "86400",
-    Vary: "Origin",
-    "Content-Type": "application/json",
-  };
-}
-
-function respond(statusCode, headers, payload) {
-  return { statusCode, headers, body: JSON.stringify(payload || {}) };
-}
-
-/* ============================================================
-   //#2 — Profile lookup columns
+   //#1 — Profile lookup columns
 ============================================================ */
 const SELECT_COLS = [
   "id",
@@ -64,7 +76,7 @@ const SELECT_COLS = [
 ].join(",");
 
 /* ============================================================
-   //#3 — Helpers
+   //#2 — Helpers
 ============================================================ */
 function safeStr(x) {
   const s = String(x ?? "").trim();
@@ -87,39 +99,6 @@ function pickName(profile) {
   return { full: "", first: "", last: "" };
 }
 
-function getEmailFromPayload(payload) {
-  const direct = normalizeEmail(payload?.email);
-  if (direct) return direct;
-
-  const ident = normalizeEmail(payload?.identity?.email);
-  if (ident) return ident;
-
-  const ctxEmail = normalizeEmail(payload?.context?.email);
-  if (ctxEmail) return ctxEmail;
-
-  const ctxProfEmail = normalizeEmail(payload?.context?.profile?.email);
-  if (ctxProfEmail) return ctxProfEmail;
-
-  return "";
-}
-
-function clampTextToChars(text, maxChars) {
-  const s = String(text || "");
-  const n = Number(maxChars);
-  if (!Number.isFinite(n) || n <= 0) return s;
-  if (s.length <= n) return s;
-
-  const cut = s.slice(0, n);
-  const lastBreak = Math.max(
-    cut.lastIndexOf("\n"),
-    cut.lastIndexOf(". "),
-    cut.lastIndexOf("! "),
-    cut.lastIndexOf("? ")
-  );
-  const finalCut = (lastBreak > 120 ? cut.slice(0, lastBreak + 1) : cut).trim();
-  return finalCut.replace(/\s+$/g, "") + "…";
-}
-
 function lastAssistantTurn(thread) {
   if (!Array.isArray(thread)) return "";
   for (let i = thread.length - 1; i >= 0; i--) {
@@ -128,96 +107,88 @@ function lastAssistantTurn(thread) {
   return "";
 }
 
-function recoverNumberFromThread(thread) {
-  // Looks for Elena saying: "Sure — 5." or "Sure —5."
-  if (!Array.isArray(thread)) return null;
-  for (let i = thread.length - 1; i >= 0; i--) {
-    const m = thread[i];
-    if (!m || m.role !== "assistant") continue;
-    const txt = String(m.content || "");
-    const match = txt.match(/sure\s*[—-]\s*(10|[1-9])\b/i);
-    if (match) {
-      const n = Number(match[1]);
-      if (Number.isFinite(n) && n >= 1 && n <= 10) return n;
-    }
-  }
-  return null;
-}
-
 /* ============================================================
-   //#4 — Intent detection
+   //#3 — Intent detection
 ============================================================ */
 function detectIntent(text, memory, thread) {
-  const t = String(text || "").toLowerCase().trim();
-
-  const isGreeting =
-    /^(hi|hey|hello|yo|sup|good (morning|afternoon|evening))[\!\.\s,]*$/.test(t) ||
-    /^(hi|hey|hello)\s+(elena|there)[\!\.\s,]*$/.test(t);
+  // Registry lives in lib/intents.js; primary drives the reply, the rest ride along.
+  const c = classifyIntents(text, { memory, thread });
+  return {
+    ...c.primary,
+    all: c.intents,
+    state_hint: c.state_hint,
+    ranking: c.ranking,
+  };
+}
 
-  if (isGreeting) return { type: "greeting" };
+/* ============================================================
+   //#4 — Deterministic replies (short)
+============================================================ */
+const MENU_CHOICES = ["Script", "Offer move", "Workflow"];
 
-  if (t === "/reset") return { type: "reset" };
+function replyGreeting() {
+  return "Hey — want a script, an offer move, or a workflow?";
+}
 
-  // remember N
-  const rememberMatch = t.match(/^remember\s+(10|[1-9])\b/);
-  if (rememberMatch) return { type: "remember_number_1_10", n: Number(rememberMatch[1]) };
+function replyProduct() {
+  return "RealtySaSS is built to keep deals clean: scripts, negotiation prep, workflows, and timeline-based next steps. Buyer, seller, or investor — who are we working on?";
+}
 
-  // pick number
-  if (/(pick|choose).*(number).*(1|one).*(10|ten)/.test(t) || /number 1 to 10/.test(t)) {
-    return { type: "pick_number_1_10" };
-  }
+const FILL_IN_LABELS = {
+  buyer_name: "buyer name",
+  property_address: "property address",
+  option_period_end: "option period end date",
+  earnest_money_due: "earnest money due date",
+  appraisal_deadline: "appraisal deadline",
+};
 
-  // recall number
-  if (t.includes("what number did you") || t.includes("what number was it") || t.includes("which number")) {
-    if (memory && typeof memory.last_number_1_10 === "number") return { type: "recall_number_1_10" };
+function stateLabel(key) {
+  return String(key || "").split("-").map((w) => w.charAt(0).toUpperCase() + w.slice(1)).join(" ");
+}
 
-    // recovery path: thread might contain the number
-    const recovered = recoverNumberFromThread(thread);
-    if (typeof recovered === "number") return { type: "recall_number_1_10_recovered", n: recovered };
+function situationList(keys) {
+  return keys.map((k) => SITUATIONS[k].title.toLowerCase()).join(", ");
+}
 
-    return { type: "recall_number_1_10_missing" };
+function replyScript(built) {
+  if (built.ok) {
+    const ask = built.missing.length
+      ? `\n\nTell me the ${built.missing.map((k) => FILL_IN_LABELS[k] || k).join(" / ")} and I’ll fill it in.`
+      : "";
+    return `${built.text}${ask}`;
   }
-
-  // product/pricing
-  if (t.includes("best product") || t.includes("how much") || t.includes("cost") || t.includes("pricing")) {
-    return { type: "product_pricing" };
+  if (built.reason === "no_state") {
+    const have = built.states_available.map(stateLabel).join(", ");
+    return `Which state is the deal in? I have scripts for ${have || "no states yet"} — try **/state TX**.`;
   }
-
-  if (t.includes("buyerprofile") || t.includes("buyer profile") || t.includes("buyerbrief") || t.includes("realtysass")) {
-    return { type: "product_question" };
+  if (built.reason === "no_state_scripts") {
+    return `I don’t have scripts in the ${stateLabel(built.state)} pack yet, so I won’t guess at local wording.`;
   }
-
-  if (t.includes("account") || t.includes("sign up") || t.includes("signup") || t.includes("login")) {
-    return { type: "account_help" };
+  if (built.reason === "no_template") {
+    const st = stateLabel(built.state);
+    return `No ${st} script for ${SITUATIONS[built.situation].title.toLowerCase()} yet. For ${st} I have: ${situationList(built.available)}.`;
   }
-
-  return { type: "general" };
-}
-
-/* ============================================================
-   //#5 — Deterministic replies (short)
-============================================================ */
-function replyGreeting() {
-  return "Hey — want a script, an offer move, or a workflow?";
+  return `Which one: ${situationList(built.available)}?`;
 }
 
-function replyProduct() {
-  return "RealtySaSS is built to keep deals clean: scripts, negotiation prep, workflows, and timeline-based next steps. Buyer, seller, or investor — who are we working on?";
+function replyPricing(text) {
+  // Single source of truth: realtysass.json pricing.catalogs
+  const load = loadRealtySaSS();
+  return answerPricing(text, load.ok ? load.data : null);
 }
 
-function replyPricing() {
-  // Current pricing snapshot from your locked-in plan
-  return [
-    "Best “core” product: **BuyerBrief™** (timeline-first buyer intelligence).",
-    "",
-    "Pricing:",
-    "• Single: **$179**",
-    "• Pro: **$249/mo** or **$2,200/yr**",
-    "• Teams 5: **$699/mo** or **$6,700/yr**",
-    "• Teams 10: **$1,200/mo** or **$11,500/yr**",
-    "",
-    "Tell me: solo agent or team — and do you want BuyerBrief or the CRM add-on?"
-  ].join("\n");
+const KNOWLEDGE_MIN_SCORE_WHEN_ASKED = 0.45;
+
+function replyFromKnowledge(text, stateKey, opts) {
+  const basicsLoad = loadBasics();
+  const realtysassLoad = loadRealtySaSS();
+  const stateLoad = loadState(stateKey);
+  return answerFromKnowledge(text, {
+    basics: basicsLoad.ok ? basicsLoad.data : null,
+    realtysass: realtysassLoad.ok ? realtysassLoad.data : null,
+    state: stateLoad.ok ? stateLoad.data : null,
+    stateFile: stateLoad.ok ? stateLoad.file : null,
+  }, opts);
 }
 
 function replyAccount() {
@@ -232,21 +203,18 @@ function replyAccount() {
 }
 
 /* ============================================================
-   //#6 — Handler
+   //#5 — Handler
 ============================================================ */
-module.exports.handler = async (event) => {
-  const origin = event.headers?.origin || "";
-  const headers = corsHeaders(origin);
-
-  if (event.httpMethod === "OPTIONS") return respond(204, headers, {});
-  if (event.httpMethod !== "POST") return respond(405, headers, { error: "Method Not Allowed" });
-
-  let payload = {};
-  try { payload = JSON.parse(event.body || "{}"); }
-  catch (_) { return respond(400, headers, { error: "Invalid JSON body" }); }
+// Origin, preflight, body parsing, identity and rate limiting happen in lib/http.js.
+module.exports.handler = createHandler("ask-elena", async (req) => {
+  const { event, identity } = req;
+  const payload = req.body;
 
   const userText = safeStr(payload.message);
-  if (!userText) return respond(400, headers, { error: "Missing message" });
+  if (!userText) return req.fail(400, "missing_message", "Missing message.");
+
+  const msgCap = checkMessageLength(userText, "ask-elena");
+  if (!msgCap.ok) return req.fail(msgCap.status, "message_too_long", msgCap.error);
 
   const context = safeObj(payload.context) || {};
   const limits = safeObj(context.response_limits) || {};
@@ -254,13 +222,13 @@ module.exports.handler = async (event) => {
   const GREET_MAX = Number.isFinite(Number(limits.greeting_max_chars)) ? Number(limits.greeting_max_chars) : 160;
 
   const thread = Array.isArray(context.thread) ? context.thread : [];
-  const memory = safeObj(context.memory) || {};
   const memory_patch = {};
 
-  // optional profile lookup
+  const email = identity.mode === "verified" ? identity.email || "" : "";
+
+  // optional profile lookup (verified only)
   const SUPABASE_URL = process.env.SUPABASE_URL;
   const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
-  const email = getEmailFromPayload(payload);
 
   let profile = null;
   if (email && SUPABASE_URL && SUPABASE_SERVICE_KEY) {
@@ -286,22 +254,140 @@ module.exports.handler = async (event) => {
     last_name: safeStr(profile.last_name) || name.last || null,
   } : null;
 
+  // Server-side memory: verified user → else session_id
+  const memKey = resolveMemoryKey({
+    userId: identity.mode === "verified" ? identity.sub : null,
+    sessionId: safeStr(payload.session_id) || safeStr(context.session_id),
+  });
+  const memoryStore = createMemoryStore({ event });
+  const stored = await memoryStore.load(memKey.key);
+  const merged = mergeClientMemory(stored.data, safeObj(context.memory) || {}, stored.forgotten);
+  const memory = merged.data;
+
   const intent = detectIntent(userText, memory, thread);
 
+  // State: what the user just said wins, then context → memory → profile → state keyword hints
+  const stateKey =
+    detectStateInText(userText) ||
+    normalizeStateKey(context.state || memory.state || profile?.license_state || profile?.state) ||
+    intent.state_hint ||
+    "";
+
+  // Commands only touch memory, so they skip screening.
+  const screen = intent.type === "command" ? { fired: false } : screenMessage(userText, { stateKey });
+
+  const debugEnabled =
+    payload?.debug === true ||
+    (event.queryStringParameters &&
+      (event.queryStringParameters.debug === "1" || event.queryStringParameters.debug === "true"));
+
+  const REPLY_FORMAT = context.reply_format === "text" ? "text" : "markdown";
+
+  // Every branch hands over `reply` (markdown) or `blocks`; fitting + both renderings happen here.
+  const send = async (body, { maxChars = MAX_CHARS } = {}) => {
+    const fitted = fitBlocks(body.blocks || blocksFromMarkdown(body.reply), maxChars, REPLY_FORMAT);
+    const reply_markdown = renderMarkdown(fitted.blocks);
+    const reply_text = renderText(fitted.blocks);
+
+    const saved = await memoryStore.save(
+      memKey.key,
+      memKey.keyType,
+      { data: memory, touched: stored.touched, forgotten: stored.forgotten },
+      body.memory_patch,
+      { reset: body.memory_reset === true }
+    );
+    const out = {
+      ...body,
+      reply: REPLY_FORMAT === "text" ? reply_text : reply_markdown,
+      reply_format: REPLY_FORMAT,
+      reply_markdown,
+      reply_text,
+      blocks: fitted.blocks,
+      truncated: fitted.truncated,
+      intents: intent.all.map((i) => ({ type: i.type, score: i.score })),
+      guardrail: guardrailRecord(screen),
+      identity: identityMeta(identity),
+      memory_meta: {
+        store: memoryStore.adapter,
+        key_type: memKey.keyType,
+        persisted: saved.persisted,
+        evicted: saved.evicted,
+      },
+    };
+    if (debugEnabled) {
+      out.debug = {
+        intent_ranking: intent.ranking,
+        state_key: stateKey || null,
+        state_hint: intent.state_hint || null,
+        memory_load_error: stored.error,
+        memory_save_error: saved.error,
+        memory_filled_from_client: merged.filled,
+      };
+    }
+    return req.json(200, out);
+  };
+
+  // Multi-part messages: answer the primary, then fold in one answerable secondary intent.
+  const withSecondary = (replyText) => {
+    const second = intent.all.find((i) => i.type !== intent.type);
+    if (!second) return replyText;
+    let extra = "";
+    if (second.type === "product_pricing") extra = replyPricing(userText).reply;
+    else if (second.type === "knowledge_question") {
+      const kb2 = replyFromKnowledge(userText, stateKey, { minScore: KNOWLEDGE_MIN_SCORE_WHEN_ASKED });
+      extra = kb2.ok ? kb2.hit.answer : "";
+    }
+    return extra && !replyText.includes(extra) ? `${replyText}\n\nAlso — ${extra}` : replyText;
+  };
+
+  // Slash commands
+  if (intent.type === "command") {
+    const cmd = runCommand(userText, memory);
+    Object.assign(memory_patch, cmd.memory_patch);
+    const reply = cmd.reply;
+    return send({
+      ok: true,
+      intent: "command",
+      command: cmd.command,
+      command_ok: cmd.ok,
+      reply,
+      memory_patch,
+      memory_reset: cmd.memory_reset === true,
+      memory_echo: cmd.memory_reset ? {} : applyMemoryPatch(memory, memory_patch),
+      profile: profileContext
+    });
+  }
+
+  // Guardrails: steering / schools / demographics / legal advice → state safe redirect
+  if (screen.fired) {
+    memory_patch.last_intent = "guardrail_redirect";
+
+    const reply = screen.redirect;
+    return send({
+      ok: true,
+      intent: "guardrail_redirect",
+      reply,
+      memory_patch,
+      memory_echo: applyMemoryPatch(memory, memory_patch),
+      profile: profileContext
+    });
+  }
+
   // Greeting
   if (intent.type === "greeting") {
     memory_patch.last_intent = "greeting";
-    const reply = clampTextToChars(replyGreeting(), GREET_MAX);
-    return respond(200, headers, {
+    const reply = replyGreeting();
+    return send({
       ok: true,
       intent: "greeting",
       reply,
+      blocks: [paragraph(reply), replyButtons(MENU_CHOICES)],
       memory_patch,
       // ✅ also send a full echo (HUD v2.2.1 will store this)
-      memory_echo: { ...memory, ...memory_patch },
+      memory_echo: applyMemoryPatch(memory, memory_patch),
       profile: profileContext,
       ui: { speed: 22, startDelay: 90 }
-    });
+    }, { maxChars: GREET_MAX });
   }
 
   // Remember N
@@ -309,13 +395,13 @@ module.exports.handler = async (event) => {
     const n = Number(intent.n);
     memory_patch.last_number_1_10 = n;
     memory_patch.last_intent = "remember_number_1_10";
-    const reply = clampTextToChars(`Locked in — I’ll remember **${n}**.`, MAX_CHARS);
-    return respond(200, headers, {
+    const reply = `Locked in — I’ll remember **${n}**.`;
+    return send({
       ok: true,
       intent: "remember_number_1_10",
       reply,
       memory_patch,
-      memory_echo: { ...memory, ...memory_patch },
+      memory_echo: applyMemoryPatch(memory, memory_patch),
       profile: profileContext
     });
   }
@@ -325,13 +411,13 @@ module.exports.handler = async (event) => {
     const n = Math.floor(Math.random() * 10) + 1;
     memory_patch.last_number_1_10 = n;
     memory_patch.last_intent = "pick_number_1_10";
-    const reply = clampTextToChars(`Sure — ${n}.`, MAX_CHARS);
-    return respond(200, headers, {
+    const reply = `Sure — ${n}.`;
+    return send({
       ok: true,
       intent: "pick_number_1_10",
       reply,
       memory_patch,
-      memory_echo: { ...memory, ...memory_patch },
+      memory_echo: applyMemoryPatch(memory, memory_patch),
       profile: profileContext
     });
   }
@@ -340,13 +426,13 @@ module.exports.handler = async (event) => {
   if (intent.type === "recall_number_1_10") {
     const n = Number(memory.last_number_1_10);
     memory_patch.last_intent = "recall_number_1_10";
-    const reply = clampTextToChars(`I picked **${n}**.`, MAX_CHARS);
-    return respond(200, headers, {
+    const reply = `I picked **${n}**.`;
+    return send({
       ok: true,
       intent: "recall_number_1_10",
       reply,
       memory_patch,
-      memory_echo: { ...memory, ...memory_patch },
+      memory_echo: applyMemoryPatch(memory, memory_patch),
       profile: profileContext
     });
   }
@@ -356,29 +442,150 @@ module.exports.handler = async (event) => {
     const n = Number(intent.n);
     memory_patch.last_number_1_10 = n;
     memory_patch.last_intent = "recall_number_1_10_recovered";
-    const reply = clampTextToChars(`I picked **${n}**.`, MAX_CHARS);
-    return respond(200, headers, {
+    const reply = `I picked **${n}**.`;
+    return send({
       ok: true,
       intent: "recall_number_1_10_recovered",
       reply,
       memory_patch,
-      memory_echo: { ...memory, ...memory_patch },
+      memory_echo: applyMemoryPatch(memory, memory_patch),
       profile: profileContext
     });
   }
 
   // Recall missing
   if (intent.type === "recall_number_1_10_missing") {
-    const reply = clampTextToChars(
-      "I don’t have it saved yet — say **“remember 5”** (or any 1–10) and I’ll keep it.",
-      MAX_CHARS
-    );
-    return respond(200, headers, {
+    const reply = "I don’t have it saved yet — say **“remember 5”** (or any 1–10) and I’ll keep it.";
+    return send({
       ok: true,
       intent: "recall_number_1_10_missing",
       reply,
       memory_patch,
-      memory_echo: { ...memory, ...memory_patch },
+      memory_echo: applyMemoryPatch(memory, memory_patch),
+      profile: profileContext
+    });
+  }
+
+  // Agent narration: the widget already ran elena-agent — narrate its numbers instead of re-asking.
+  const agent = safeObj(context.agent);
+  const agentUsable =
+    agent?.ok === true &&
+    (intent.type === "general" ||
+      (intent.type === "affordability" && !memory.pending_slot && agent.verdict?.status !== "INSUFFICIENT"));
+
+  if (agentUsable) {
+    const basicsLoad = loadBasics();
+    const story = narrateAgent(agent, { basics: basicsLoad.ok ? basicsLoad.data : null, maxChars: MAX_CHARS });
+
+    if (story.ok) {
+      memory_patch.last_intent = "agent_narration";
+      if (agent.verdict?.status) {
+        memory_patch.last_verdict = {
+          status: agent.verdict.status,
+          grade: agent.verdict.grade || null,
+          all_in_monthly: agent.mortgage?.all_in_monthly ?? null,
+        };
+      }
+
+      const reply = story.reply;
+      return send({
+        ok: true,
+        intent: "agent_narration",
+        reply,
+        narration: {
+          template: "elena_response_patterns.bluf_template",
+          labels: story.labels,
+          scenario_id: story.scenario_id,
+        },
+        memory_patch,
+        memory_echo: applyMemoryPatch(memory, memory_patch),
+        profile: profileContext
+      });
+    }
+  }
+
+  // Scripts / templates from the state pack
+  if (intent.type === "script") {
+    const built = buildScript({ text: userText, stateKey, memory, profile });
+    Object.assign(memory_patch, built.parsed || {});
+    memory_patch.last_intent = "script";
+    if (built.situation) memory_patch.last_script_situation = built.situation;
+
+    const reply = replyScript(built);
+    const blocks = blocksFromMarkdown(reply);
+    if (built.ok) blocks.push(cta([{ label: "Copy email", action: "copy", value: built.email.copy }]));
+    return send({
+      ok: true,
+      intent: "script",
+      reply,
+      blocks,
+      script: built.ok
+        ? {
+            situation: built.situation,
+            state: built.state,
+            template: built.template,
+            text: built.text,
+            email: built.email,
+            missing: built.missing,
+          }
+        : { situation: built.situation || null, state: built.state || null, error: built.reason },
+      memory_patch,
+      memory_echo: applyMemoryPatch(memory, memory_patch),
+      profile: profileContext
+    });
+  }
+
+  // Affordability (multi-turn slot filling)
+  if (intent.type === "affordability") {
+    const stateLoad = loadState(stateKey);
+    const turn = advanceAffordability({
+      text: userText,
+      memory,
+      stateKey,
+      stateDefaults: stateLoad.ok ? stateLoad.data?.defaults || null : null,
+    });
+
+    memory_patch.affordability = turn.slots;
+    memory_patch.pending_slot = turn.pending_slot;
+    memory_patch.last_intent = "affordability";
+    if (turn.done) {
+      memory_patch.last_verdict = {
+        status: turn.evaluation.verdict.status,
+        grade: turn.evaluation.verdict.grade,
+        all_in_monthly: turn.evaluation.mortgage?.ok ? turn.evaluation.mortgage.all_in_monthly : null,
+      };
+    }
+
+    const reply = turn.reply;
+    return send({
+      ok: true,
+      intent: "affordability",
+      reply,
+      affordability: {
+        done: turn.done,
+        collected: turn.slots,
+        missing_inputs: turn.missing,
+        asking_for: turn.pending_slot,
+        mortgage: turn.done ? turn.evaluation.mortgage : null,
+        verdict: turn.done ? turn.evaluation.verdict : null,
+        next_action: turn.done ? turn.evaluation.next_action : null,
+      },
+      memory_patch,
+      memory_echo: applyMemoryPatch(memory, memory_patch),
+      profile: profileContext
+    });
+  }
+
+  if (intent.type === "affordability_cancel") {
+    memory_patch.pending_slot = null;
+    memory_patch.last_intent = "affordability_cancel";
+    const reply = "No problem — paused. I kept what you gave me; say **“can I afford it?”** to pick back up.";
+    return send({
+      ok: true,
+      intent: "affordability_cancel",
+      reply,
+      memory_patch,
+      memory_echo: applyMemoryPatch(memory, memory_patch),
       profile: profileContext
     });
   }
@@ -386,13 +593,19 @@ module.exports.handler = async (event) => {
   // Product + pricing
   if (intent.type === "product_pricing") {
     memory_patch.last_intent = "product_pricing";
-    const reply = clampTextToChars(replyPricing(), MAX_CHARS);
-    return respond(200, headers, {
+    const pricing = replyPricing(userText);
+    const reply = withSecondary(pricing.reply);
+    return send({
       ok: true,
       intent: "product_pricing",
       reply,
+      pricing: {
+        topic: pricing.topic,
+        items_used: pricing.items_used,
+        source: pricing.source,
+      },
       memory_patch,
-      memory_echo: { ...memory, ...memory_patch },
+      memory_echo: applyMemoryPatch(memory, memory_patch),
       profile: profileContext
     });
   }
@@ -400,13 +613,13 @@ module.exports.handler = async (event) => {
   // Product question
   if (intent.type === "product_question") {
     memory_patch.last_intent = "product_question";
-    const reply = clampTextToChars(replyProduct(), MAX_CHARS);
-    return respond(200, headers, {
+    const reply = replyProduct();
+    return send({
       ok: true,
       intent: "product_question",
       reply,
       memory_patch,
-      memory_echo: { ...memory, ...memory_patch },
+      memory_echo: applyMemoryPatch(memory, memory_patch),
       profile: profileContext
     });
   }
@@ -414,30 +627,54 @@ module.exports.handler = async (event) => {
   // Account help
   if (intent.type === "account_help") {
     memory_patch.last_intent = "account_help";
-    const reply = clampTextToChars(replyAccount(), MAX_CHARS);
-    return respond(200, headers, {
+    const reply = replyAccount();
+    return send({
       ok: true,
       intent: "account_help",
       reply,
       memory_patch,
-      memory_echo: { ...memory, ...memory_patch },
+      memory_echo: applyMemoryPatch(memory, memory_patch),
+      profile: profileContext
+    });
+  }
+
+  // Knowledge lookup (FAQ + glossary + state terms); a classified knowledge question gets a looser bar
+  const kb = replyFromKnowledge(
+    userText,
+    stateKey,
+    intent.type === "knowledge_question" ? { minScore: KNOWLEDGE_MIN_SCORE_WHEN_ASKED } : undefined
+  );
+  if (kb.ok) {
+    memory_patch.last_intent = "knowledge_answer";
+    const reply = withSecondary(kb.hit.answer);
+    return send({
+      ok: true,
+      intent: "knowledge_answer",
+      reply,
+      knowledge: {
+        id: kb.hit.id,
+        title: kb.hit.title,
+        score: kb.hit.score,
+        source: kb.hit.source,
+        state: stateKey || null,
+      },
+      memory_patch,
+      memory_echo: applyMemoryPatch(memory, memory_patch),
       profile: profileContext
     });
   }
 
   // General fallback (tight)
   memory_patch.last_intent = "general";
-  const reply = clampTextToChars(
-    "Got you. Pick one so I can be surgical: **script**, **offer move**, or **workflow**?",
-    MAX_CHARS
-  );
+  const reply = "Got you. Pick one so I can be surgical: **script**, **offer move**, or **workflow**?";
 
-  return respond(200, headers, {
+  return send({
     ok: true,
     intent: "general",
     reply,
+    blocks: [paragraph(reply), replyButtons(MENU_CHOICES)],
     memory_patch,
-    memory_echo: { ...memory, ...memory_patch },
+    memory_echo: applyMemoryPatch(memory, memory_patch),
     profile: profileContext
   });
-};
+});
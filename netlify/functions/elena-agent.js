@@ -1,11 +1,53 @@
 // netlify/functions/elena-agent.js
 // ============================================================
-// v2.2.0 — RealtySaSS • Agentic Elena (Orchestrator)
+// v2.19.1 — RealtySaSS • Agentic Elena (Orchestrator)
+//
+// ✅ Finance math + verdict engine live in lib/affordability.js
+//    (same engine ask-elena uses for chat slot filling)
+// ✅ loanType drives the math: conventional PMI, FHA MIP, VA funding fee, USDA fees, minimum down;
+//    VA exemption via vaFundingFeeExempt (disability compensation), repeat use via vaPriorUse
+// ✅ APR from data/rate-sheet.json (program • term • credit band • LTV, optional points);
+//    inputs_used.assumptions.rate_sheet cites the sheet version + row
+// ✅ VA loans: residual-income test by VA region (resolved state) + family size
+//    (scenario/overrides familySize, else profile family_size / household_size) → verdict.va_residual
+// ✅ Verdict uses front-end + back-end DTI (back-end needs monthlyDebts) with program limits;
+//    verdict.rules / status_from / explain name the rule set
+// ✅ cash_to_close: down payment, closing costs, prepaids/escrow, earnest money, TX option fee,
+//    less seller concessions + lender credits (lib/cash-to-close.js)
+// ✅ amortization (opt-in via body.amortization): yearly/monthly schedule, extra payments,
+//    lump sums, recasts, interest saved, payoff date, MI drop-off (lib/amortization.js)
+// ✅ FIX: body.amortization only sets payoff options (extra payments, recasts, granularity);
+//    the loan, APR and MI always come from the mortgage estimate (standalone: amortization.js)
+// ✅ rent_vs_buy (opt-in via body.rentVsBuy + rentMonthly): break-even, yearly net worth,
+//    horizon or pcsMonths, basics decision logic (lib/rent-vs-buy.js)
+// ✅ What-if questions (lib/what-if.js): price, down ($ or %), term, rate, HOA, income, credit
+//    → what_if { label, changes, baseline, hypothetical, diff }; top-level numbers stay the baseline
+// ✅ quick: exact max price + minimum down payment from the verdict solver (no 1.28 buffer);
+//    missing tax rate / insurance / HOA stay null so the estimate defaults apply (were $0)
+// ✅ Grid mode (body.sensitivity): two variables swept → payment + status per cell, plus the
+//    solved GREEN/CAUTION/NO-GO boundary values (lib/sensitivity.js)
+//
+// ✅ Compare mode (body.compare = [{ label, price, hoaMonthly, taxRate, insuranceAnnual, state }]):
+//    one buyer vs. several homes → each home's breakdown, verdict, cash-to-close, ranked, plus the
+//    biggest cost differences (lib/compare.js); intent = "property_compare"
+// ✅ Scenarios are saved (lib/scenario-store.js: Blobs, Supabase, or local files) under the
+//    verified user or session_id → saved { persisted, store, error }; body.save = false skips it.
+//    elena-scenarios lists, loads, re-runs (current rate sheet) and deletes them by scenario_id
+//
+// ✅ question is screened by lib/guardrails.js (fair housing + legal advice):
+//    numbers still compute; intent = "guardrail_redirect" + guardrail { fired, redirect, ... }
+//
+// ✅ SECURITY: fetchProfileByEmail only runs for a verified identity (lib/session.js);
+//    body.email / identity.email / context.profile.email are no longer trusted
+//
+// ✅ SECURITY: body/question caps (413) + shared rate limiter (lib/rate-limit.js) → 429 + Retry-After
+// ✅ Request pipeline (lib/http.js): origin allowlist (403), preflight 204, request_id, error envelope
 //
 // ✅ Adds deterministic knowledge loading:
 // - netlify/functions/data/ask-elena-realestate-basics.json
 // - netlify/functions/data/realtysass.json
 // - netlify/functions/data/states-<state>.json  (ex: states-texas.json)
+// - netlify/functions/data/rate-sheet.json      (APRs, via lib/rate-sheet.js)
 //
 // ✅ Output includes:
 // - knowledge: { basics, state, realtysass }      (so Ask-Elena can narrate or render)
@@ -16,68 +58,38 @@
 /* eslint-disable no-console */
 
 const crypto = require("crypto");
-const path = require("path");
-const fs = require("fs");
 const { createClient } = require("@supabase/supabase-js");
+const {
+  DATA_DIR,
+  BASICS_FILENAME,
+  REALTYSASS_FILENAME,
+  normalizeStateKey,
+  loadBasics,
+  loadRealtySaSS,
+  loadState,
+} = require("./lib/knowledge");
+const { evaluateAffordability, normalizeLoanType } = require("./lib/affordability");
+const { rateSheetRecord } = require("./lib/rate-sheet");
+const { buildAmortization, scheduleOptions } = require("./lib/amortization");
+const { rentVsBuy } = require("./lib/rent-vs-buy");
+const {
+  parseWhatIf,
+  describeChanges,
+  applyWhatIf,
+  summarizeEvaluation,
+  diffSummaries,
+} = require("./lib/what-if");
+const { buildSensitivityGrid } = require("./lib/sensitivity");
+const { compareProperties } = require("./lib/compare");
+const { screenMessage, guardrailRecord } = require("./lib/guardrails");
+const { identityMeta } = require("./lib/session");
+const { checkMessageLength } = require("./lib/rate-limit");
+const { ALLOW_ORIGINS, createHandler } = require("./lib/http");
+const { resolveOwner, buildRecord, createScenarioStore } = require("./lib/scenario-store");
 
 // ------------------------------
-// //#1 CORS + ORIGIN CONTROL
+// //#1 HELPERS
 // ------------------------------
-const DEFAULT_ALLOW_ORIGINS = [
-  "https://realtysass.com",
-  "https://www.realtysass.com",
-  "https://realtysass.netlify.app",
-
-  // Webflow staging (optional)
-  "https://realtysass.webflow.io",
-  "https://www.realtysass.webflow.io",
-
-  "http://localhost:8888",
-  "http://localhost:3000",
-];
-
-function readAllowOriginsFromEnv() {
-  const raw = String(process.env.REALTYSASS_ALLOW_ORIGINS || "").trim();
-  if (!raw) return DEFAULT_ALLOW_ORIGINS;
-  return raw
-    .split(",")
-    .map((s) => s.trim())
-    .filter(Boolean);
-}
-
-const ALLOW_ORIGINS = readAllowOriginsFromEnv();
-
-function corsHeaders(origin) {
-  const o = String(origin || "").trim();
-  const allowOrigin = ALLOW_ORIGINS.includes(o) ? o : "*";
-  return {
-    "Access-Control-Allow-Origin": allowOrigin,
-    "Access-Control-Allow-Headers": "*",
-    "Access-Control-Allow-Methods": "POST, OPTIONS",
-    "Content-Type": "application/json",
-    "Vary": "Origin",
-  };
-}
-
-function respond(statusCode, payload, origin) {
-  return {
-    statusCode,
-    headers: corsHeaders(origin),
-    body: JSON.stringify(payload || {}),
-  };
-}
-
-// ------------------------------
-// //#2 HELPERS
-// ------------------------------
-function safeJsonParse(raw) {
-  try {
-    return JSON.parse(raw || "{}");
-  } catch {
-    return {};
-  }
-}
-
 function safeStr(x) {
   const s = String(x ?? "").trim();
   return s || "";
@@ -94,24 +106,32 @@ function num(v) {
   return Number.isFinite(n) ? n : null;
 }
 
+// Like num(), but a missing value stays null so the engine's defaults apply (Number(null) is 0).
+function numOrNull(v) {
+  return v === undefined || v === null || v === "" ? null : num(v);
+}
+
 function clamp(n, lo, hi) {
   if (!Number.isFinite(n)) return n;
   return Math.max(lo, Math.min(hi, n));
 }
 
-function roundTo(n, step) {
-  if (!Number.isFinite(n)) return n;
-  return Math.round(n / step) * step;
+// true / "yes" / 1 (form values and FAD flags arrive in any of these shapes)
+function readBool(v) {
+  if (typeof v === "boolean") return v;
+  if (typeof v === "number") return v > 0;
+  return /^(true|yes|y|1)$/i.test(String(v || "").trim());
 }
 
 function nowTs() {
   return Math.floor(Date.now() / 1000);
 }
 
+// Random salt: two runs in the same second (or a re-run) never collide.
 function makeScenarioId(email, ts) {
   const h = crypto
     .createHash("sha256")
-    .update(String(email || "") + ":" + String(ts))
+    .update(String(email || "") + ":" + String(ts) + ":" + crypto.randomBytes(8).toString("hex"))
     .digest("hex");
   return "elena_" + h.slice(0, 16);
 }
@@ -128,11 +148,6 @@ function pickFirst(...vals) {
   return null;
 }
 
-function hasPositiveMoney(n) {
-  const x = Number(n);
-  return Number.isFinite(x) && x > 0;
-}
-
 function pickName(profile) {
   const full = safeStr(profile?.full_name);
   const first = safeStr(profile?.first_name);
@@ -144,132 +159,8 @@ function pickName(profile) {
 }
 
 // ------------------------------
-// //#2A STATE NORMALIZATION + KNOWLEDGE LOADER
+// //#1A STATE RESOLUTION (loaders live in lib/knowledge.js)
 // ------------------------------
-const DATA_DIR = path.join(__dirname, "data");
-const BASICS_FILENAME = "ask-elena-realestate-basics.json";
-const REALTYSASS_FILENAME = "realtysass.json";
-
-// Cache across warm invocations
-let __BASICS_CACHE = null;
-let __REALTYSASS_CACHE = null;
-const __STATE_CACHE = new Map();
-
-const STATE_ALIASES = {
-  tx: "texas",
-  az: "arizona",
-  ca: "california",
-  fl: "florida",
-  ny: "new-york",
-  nj: "new-jersey",
-  il: "illinois",
-  wa: "washington",
-  or: "oregon",
-  co: "colorado",
-  nv: "nevada",
-  ga: "georgia",
-  nc: "north-carolina",
-  sc: "south-carolina",
-  va: "virginia",
-  md: "maryland",
-  pa: "pennsylvania",
-
-  "new york": "new-york",
-  "new jersey": "new-jersey",
-  "north carolina": "north-carolina",
-  "south carolina": "south-carolina",
-};
-
-function normalizeStateKey(raw) {
-  const s0 = safeStr(raw).toLowerCase();
-  if (!s0) return "";
-
-  if (/^[a-z]{2}$/.test(s0) && STATE_ALIASES[s0]) return STATE_ALIASES[s0];
-
-  const cleaned = s0.replace(/[_\s]+/g, "-").replace(/[^a-z-]/g, "");
-  if (!cleaned) return "";
-
-  if (STATE_ALIASES[cleaned]) return STATE_ALIASES[cleaned];
-
-  return cleaned;
-}
-
-function readJsonFileAbs(absPath) {
-  const raw = fs.readFileSync(absPath, "utf8");
-  return JSON.parse(raw);
-}
-
-function loadBasics() {
-  if (__BASICS_CACHE) {
-    return { ok: true, file: BASICS_FILENAME, data: __BASICS_CACHE, error: null, cached: true };
-  }
-
-  const abs = path.join(DATA_DIR, BASICS_FILENAME);
-  try {
-    const data = readJsonFileAbs(abs);
-    __BASICS_CACHE = data;
-    return { ok: true, file: BASICS_FILENAME, data, error: null, cached: false };
-  } catch (e) {
-    return {
-      ok: false,
-      file: BASICS_FILENAME,
-      data: null,
-      error: `Failed to load ${BASICS_FILENAME}: ${String(e?.message || e)}`,
-      cached: false,
-    };
-  }
-}
-
-function loadRealtySaSS() {
-  if (__REALTYSASS_CACHE) {
-    return { ok: true, file: REALTYSASS_FILENAME, data: __REALTYSASS_CACHE, error: null, cached: true };
-  }
-
-  const abs = path.join(DATA_DIR, REALTYSASS_FILENAME);
-  try {
-    const data = readJsonFileAbs(abs);
-    __REALTYSASS_CACHE = data;
-    return { ok: true, file: REALTYSASS_FILENAME, data, error: null, cached: false };
-  } catch (e) {
-    return {
-      ok: false,
-      file: REALTYSASS_FILENAME,
-      data: null,
-      error: `Failed to load ${REALTYSASS_FILENAME}: ${String(e?.message || e)}`,
-      cached: false,
-    };
-  }
-}
-
-function loadState(stateKey) {
-  const key = normalizeStateKey(stateKey);
-  if (!key) {
-    return { ok: false, key: "", file: null, data: null, error: "No state provided.", cached: false };
-  }
-
-  if (__STATE_CACHE.has(key)) {
-    return { ok: true, key, file: `states-${key}.json`, data: __STATE_CACHE.get(key), error: null, cached: true };
-  }
-
-  const filename = `states-${key}.json`;
-  const abs = path.join(DATA_DIR, filename);
-
-  try {
-    const data = readJsonFileAbs(abs);
-    __STATE_CACHE.set(key, data);
-    return { ok: true, key, file: filename, data, error: null, cached: false };
-  } catch (e) {
-    return {
-      ok: false,
-      key,
-      file: filename,
-      data: null,
-      error: `Failed to load ${filename}: ${String(e?.message || e)}`,
-      cached: false,
-    };
-  }
-}
-
 function resolveStateFromInputs({ body, profile, contextProfile }) {
   const o = body?.overrides && typeof body.overrides === "object" ? body.overrides : {};
   const ctx = body?.context && typeof body.context === "object" ? body.context : {};
@@ -293,158 +184,7 @@ function resolveStateFromInputs({ body, profile, contextProfile }) {
 }
 
 // ------------------------------
-// //#2B QUESTION PARSERS (DETERMINISTIC)
-// ------------------------------
-function parseHypotheticalCreditScoreFromQuestion(question) {
-  const t = String(question || "").toLowerCase().trim();
-  if (!t) return null;
-
-  const looksHypothetical =
-    /\bif\b|\bwent\s*up\b|\braise\b|\bbump\b|\bincrease\b|\bimprove\b|\bup\s*to\b|\bto\s*\d{3}\b/.test(t);
-
-  if (!looksHypothetical) return null;
-
-  const m =
-    t.match(/(?:credit\s*score|fico)\D{0,12}(\d{3})\b/) ||
-    t.match(/\bto\D{0,4}(\d{3})\b/);
-
-  if (!m) return null;
-
-  const s = Number(m[1]);
-  if (!Number.isFinite(s)) return null;
-  if (s < 300 || s > 850) return null;
-
-  return Math.round(s);
-}
-
-// ------------------------------
-// //#2C FINANCE MATH (DETERMINISTIC)
-// ------------------------------
-function aprTierFromScore(score) {
-  const s = Number.isFinite(score) ? score : null;
-  if (!s) return 0.070;
-  if (s >= 780) return 0.0625;
-  if (s >= 740) return 0.0675;
-  if (s >= 700) return 0.0725;
-  if (s >= 660) return 0.0800;
-  return 0.0900;
-}
-
-function pmtMonthlyPI(principal, apr, termYears) {
-  if (!Number.isFinite(principal) || principal <= 0) return null;
-  const y = Number.isFinite(termYears) ? termYears : 30;
-  const n = Math.round(y * 12);
-  const r = (Number.isFinite(apr) ? apr : 0.07) / 12;
-  if (n <= 0) return null;
-
-  if (r <= 0) return principal / n;
-
-  const pow = Math.pow(1 + r, n);
-  const p = (principal * (r * pow)) / (pow - 1);
-  return Number.isFinite(p) ? p : null;
-}
-
-function principalFromPmt(targetPI, apr, termYears) {
-  if (!Number.isFinite(targetPI) || targetPI <= 0) return null;
-  const y = Number.isFinite(termYears) ? termYears : 30;
-  const n = Math.round(y * 12);
-  const r = (Number.isFinite(apr) ? apr : 0.07) / 12;
-  if (n <= 0) return null;
-
-  if (r <= 0) return targetPI * n;
-
-  const pow = Math.pow(1 + r, n);
-  const principal = (targetPI * (pow - 1)) / (r * pow);
-  return Number.isFinite(principal) ? principal : null;
-}
-
-function estimateAllInHousing({
-  price,
-  downpayment,
-  creditScore,
-  termYears,
-  taxRate,
-  insuranceAnnual,
-  hoaMonthly,
-}) {
-  const P = Number(price);
-  const D = Number(downpayment);
-  const s = Number(creditScore);
-  const y = Number.isFinite(termYears) ? termYears : 30;
-
-  if (!Number.isFinite(P) || P <= 0) return { ok: false, reason: "Missing or invalid price." };
-  if (!Number.isFinite(D) || D < 0) return { ok: false, reason: "Missing or invalid downpayment." };
-  if (!Number.isFinite(s) || s < 300 || s > 850) return { ok: false, reason: "Missing or invalid creditScore." };
-
-  const loan = Math.max(0, P - D);
-  const apr = aprTierFromScore(s);
-  const pi = pmtMonthlyPI(loan, apr, y);
-
-  if (!Number.isFinite(pi) || pi <= 0) return { ok: false, reason: "Unable to compute P&I." };
-
-  const used = {
-    taxRate: Number.isFinite(taxRate) ? taxRate : 0.020,
-    insuranceAnnual: Number.isFinite(insuranceAnnual) ? insuranceAnnual : 2400,
-    hoaMonthly: Number.isFinite(hoaMonthly) ? hoaMonthly : 0,
-  };
-
-  const taxesMonthly = (P * used.taxRate) / 12;
-  const insMonthly = used.insuranceAnnual / 12;
-  const hoa = used.hoaMonthly;
-
-  const allIn = pi + taxesMonthly + insMonthly + hoa;
-
-  return {
-    ok: true,
-    apr_assumed: apr,
-    loan_amount: Math.round(loan),
-    term_years: y,
-    breakdown: {
-      principal_interest: Math.round(pi),
-      taxes: Math.round(taxesMonthly),
-      insurance: Math.round(insMonthly),
-      hoa: Math.round(hoa),
-    },
-    all_in_monthly: Math.round(allIn),
-    assumptions_used: used,
-  };
-}
-
-function buildQuickAffordability({
-  income,
-  housingCapPct = 0.30,
-  buffer = 1.28,
-  apr,
-  termYears = 30,
-}) {
-  const inc = Number.isFinite(income) ? income : null;
-  if (!inc) return null;
-
-  const housingCap = inc * housingCapPct;
-  const piTarget = housingCap / buffer;
-
-  const principal0 = principalFromPmt(piTarget, apr, termYears);
-  const price0 = principal0 ? principal0 : null;
-  const price5 = principal0 ? principal0 / 0.95 : null;
-
-  return {
-    housing_cap_monthly: Math.round(housingCap),
-    pi_target_monthly: Math.round(piTarget),
-    assumptions: {
-      housing_cap_pct: housingCapPct,
-      buffer,
-      apr_assumed: Number.isFinite(apr) ? apr : null,
-      term_years: termYears,
-    },
-    quick_max_price: {
-      price_0_down: price0 ? Math.round(price0) : null,
-      price_5_down: price5 ? Math.round(price5) : null,
-    },
-  };
-}
-
-// ------------------------------
-// //#3 FAD SNAPSHOT INGEST (REALTYSaSS)
+// //#2 FAD SNAPSHOT INGEST (REALTYSaSS)
 // ------------------------------
 function readFadSnapshot(body) {
   const ctx = body?.context && typeof body.context === "object" ? body.context : {};
@@ -465,10 +205,18 @@ function readFadSnapshot(body) {
     creditScore: num(pickFirst(fad.creditScore, fad.credit_score, fad.score, fad.scoreValue)),
     termYears: num(pickFirst(fad.termYears, fad.term_years, fad.term)),
     loanType: String(pickFirst(fad.loanType, fad.loan_type, fad.mortgageType) || "").toLowerCase() || null,
+    vaFundingFeeExempt: pickFirst(fad.vaFundingFeeExempt, fad.va_funding_fee_exempt, fad.vaDisability),
+    vaPriorUse: pickFirst(fad.vaPriorUse, fad.va_prior_use),
+    points: num(pickFirst(fad.points, fad.discountPoints, fad.discount_points)),
+    familySize: num(pickFirst(fad.familySize, fad.family_size, fad.householdSize, fad.household_size)) || null,
+    monthlyDebts: pickFirst(fad.monthlyDebts, fad.monthly_debts, fad.debts),
+    earnestMoney: pickFirst(fad.earnestMoney, fad.earnest_money),
+    sellerConcessions: pickFirst(fad.sellerConcessions, fad.seller_concessions),
+    lenderCredits: pickFirst(fad.lenderCredits, fad.lender_credits),
     income: num(pickFirst(fad.income, fad.monthlyIncome, fad.monthly_income, fad.totalIncome)),
-    taxRate: num(pickFirst(fad.taxRate, fad.tax_rate)),
-    insuranceAnnual: num(pickFirst(fad.insuranceAnnual, fad.insurance_annual)),
-    hoaMonthly: num(pickFirst(fad.hoaMonthly, fad.hoa_monthly)),
+    taxRate: numOrNull(pickFirst(fad.taxRate, fad.tax_rate)),
+    insuranceAnnual: numOrNull(pickFirst(fad.insuranceAnnual, fad.insurance_annual)),
+    hoaMonthly: numOrNull(pickFirst(fad.hoaMonthly, fad.hoa_monthly)),
   };
 }
 
@@ -487,21 +235,18 @@ function buildScenario(body) {
 
   let creditScoreSource = "missing";
   const creditScoreRaw = num(pickFirst(overrides.creditScore, fad.creditScore, scenario.creditScore, scenario.score));
-  let creditScore = creditScoreRaw ? clamp(Math.round(creditScoreRaw), 300, 850) : null;
+  const creditScore = creditScoreRaw ? clamp(Math.round(creditScoreRaw), 300, 850) : null;
 
   if (creditScore !== null) {
     if (overrides.creditScore !== undefined && overrides.creditScore !== null) creditScoreSource = "overrides";
     else if (fad.creditScore !== undefined && fad.creditScore !== null) creditScoreSource = "fad";
     else if (scenario.creditScore !== undefined && scenario.creditScore !== null) creditScoreSource = "scenario";
     else creditScoreSource = "scenario/overrides";
-  } else {
-    const fromQ = parseHypotheticalCreditScoreFromQuestion(question);
-    if (fromQ !== null) {
-      creditScore = fromQ;
-      creditScoreSource = "question_hypothetical";
-    }
   }
 
+  // "what if I put 10% down on a $350k house…" → hypothetical layer; the baseline stays as given.
+  const whatIf = parseWhatIf(question);
+
   const termYearsRaw = num(pickFirst(overrides.termYears, fad.termYears, scenario.termYears));
   const termYears = termYearsRaw ? clamp(Math.round(termYearsRaw), 10, 40) : 30;
 
@@ -509,14 +254,54 @@ function buildScenario(body) {
     pickFirst(overrides.loanType, fad.loanType, scenario.loanType, "conv") || "conv"
   ).toLowerCase();
 
-  const taxRate = num(pickFirst(overrides.taxRate, fad.taxRate, scenario.taxRate));
-  const insuranceAnnual = num(pickFirst(overrides.insuranceAnnual, fad.insuranceAnnual, scenario.insuranceAnnual));
-  const hoaMonthly = num(pickFirst(overrides.hoaMonthly, fad.hoaMonthly, scenario.hoaMonthly));
+  const vaFundingFeeExempt = readBool(
+    pickFirst(overrides.vaFundingFeeExempt, fad.vaFundingFeeExempt, scenario.vaFundingFeeExempt, scenario.vaDisability)
+  );
+  const vaPriorUse = readBool(pickFirst(overrides.vaPriorUse, fad.vaPriorUse, scenario.vaPriorUse));
+
+  const points = num(pickFirst(overrides.points, fad.points, scenario.points, scenario.discountPoints));
+  const familySize =
+    num(pickFirst(overrides.familySize, fad.familySize, scenario.familySize, scenario.householdSize)) || null;
+
+  // 0 is a real answer (no debts), so only a missing value falls back to expenses.
+  const debtsRaw = pickFirst(overrides.monthlyDebts, fad.monthlyDebts, scenario.monthlyDebts, scenario.debts);
+  const monthlyDebts = debtsRaw === null ? null : num(debtsRaw);
+
+  // Cash-to-close inputs stay raw: lib/cash-to-close.js tells "not given" apart from 0.
+  const earnestMoney = pickFirst(overrides.earnestMoney, fad.earnestMoney, scenario.earnestMoney);
+  const optionFee = pickFirst(overrides.optionFee, scenario.optionFee);
+  const sellerConcessions = pickFirst(overrides.sellerConcessions, fad.sellerConcessions, scenario.sellerConcessions);
+  const lenderCredits = pickFirst(overrides.lenderCredits, fad.lenderCredits, scenario.lenderCredits);
+
+  const taxRate = numOrNull(pickFirst(overrides.taxRate, fad.taxRate, scenario.taxRate));
+  const insuranceAnnual = numOrNull(pickFirst(overrides.insuranceAnnual, fad.insuranceAnnual, scenario.insuranceAnnual));
+  const hoaMonthly = numOrNull(pickFirst(overrides.hoaMonthly, fad.hoaMonthly, scenario.hoaMonthly));
 
   const contextProfile = ctx?.profile && typeof ctx.profile === "object" ? ctx.profile : null;
 
+  // Opt-in: body.amortization = true or { granularity, startDate, extraMonthly, lumpSums, recasts, ... }
+  const amortRaw = pickFirst(body?.amortization, scenario.amortization);
+  const amortization =
+    amortRaw && typeof amortRaw === "object" ? amortRaw : readBool(amortRaw) ? {} : null;
+
+  // Opt-in: body.rentVsBuy = { rentMonthly, horizonYears | pcsMonths, appreciation, rentGrowth, ... }
+  const rvbRaw = pickFirst(body?.rentVsBuy, scenario.rentVsBuy);
+  const rentVsBuy = rvbRaw && typeof rvbRaw === "object" ? { ...rvbRaw } : null;
+  const rentMonthly = num(pickFirst(overrides.rentMonthly, fad.rentMonthly, scenario.rentMonthly, scenario.rent));
+  if (rentVsBuy && rentVsBuy.rentMonthly === undefined && rentMonthly !== null) rentVsBuy.rentMonthly = rentMonthly;
+
+  // Opt-in grid mode: body.sensitivity = { x: { variable, from, to, steps | values }, y: { ... } }
+  const sensRaw = pickFirst(body?.sensitivity, scenario.sensitivity);
+  const sensitivity = sensRaw && typeof sensRaw === "object" ? sensRaw : null;
+
+  // Opt-in compare mode: body.compare = [{ label, price, hoaMonthly, taxRate, insuranceAnnual, state }, ...]
+  // (or { properties: [...] }); the rest of the scenario is the buyer.
+  const cmpRaw = pickFirst(body?.compare, scenario.compare);
+  const compare = Array.isArray(cmpRaw) ? cmpRaw : Array.isArray(cmpRaw?.properties) ? cmpRaw.properties : null;
+
   return {
     question,
+    whatIf,
     overrides,
     baseline: scenario,
     fad,
@@ -529,162 +314,29 @@ function buildScenario(body) {
     creditScoreSource,
     termYears,
     loanType,
+    vaFundingFeeExempt,
+    vaPriorUse,
+    points,
+    familySize,
+    monthlyDebts,
+    earnestMoney,
+    optionFee,
+    sellerConcessions,
+    lenderCredits,
 
     income,
     taxRate,
     insuranceAnnual,
     hoaMonthly,
-  };
-}
-
-function listMissingInputs({ income, expenses, creditScore, downpayment, price, housingAllIn }) {
-  const missing = [];
-  if (!Number.isFinite(income)) missing.push("income");
-  if (!Number.isFinite(expenses)) missing.push("expenses");
-
-  if (!Number.isFinite(housingAllIn) || housingAllIn <= 0) {
-    if (!Number.isFinite(price)) missing.push("price");
-    if (!Number.isFinite(downpayment)) missing.push("downpayment");
-    if (!Number.isFinite(creditScore)) missing.push("creditScore");
-  }
-  return missing;
-}
-
-// ------------------------------
-// //#4 VERDICT ENGINE (DETERMINISTIC)
-// ------------------------------
-function computeVerdict({ income, expenses, housingAllIn }) {
-  const inc = Number.isFinite(income) ? income : null;
-  const exp = Number.isFinite(expenses) ? expenses : 0;
-  const hou = Number.isFinite(housingAllIn) && housingAllIn > 0 ? housingAllIn : null;
-
-  if (!inc) {
-    return {
-      status: "INSUFFICIENT",
-      grade: "N/A",
-      housingCap: null,
-      ratios: { housingRatio: null, expenseRatio: null },
-      residual: null,
-      notes: ["Missing income; cannot compute affordability rails."],
-    };
-  }
-
-  const housingCap = inc * 0.30;
-
-  if (!hou) {
-    return {
-      status: "INSUFFICIENT",
-      grade: "N/A",
-      housingCap: Math.round(housingCap),
-      ratios: { housingRatio: null, expenseRatio: exp / inc },
-      residual: null,
-      notes: ["Missing housing estimate; using cap + quick rails only."],
-    };
-  }
-
-  const housingRatio = hou / inc;
-  const residual = inc - exp - hou;
-
-  const cushionLow = inc * 0.05;
-  const cushionGood = inc * 0.12;
-
-  let status = "GREEN";
-  const notes = [];
-
-  if (residual < 0) {
-    status = "NO-GO";
-    notes.push("Residual income is negative after expenses + housing.");
-  } else if (hou > housingCap) {
-    status = "NO-GO";
-    notes.push("Housing cost exceeds the 30% housing cap.");
-  } else if (residual < cushionLow) {
-    status = "CAUTION";
-    notes.push("Buffer is thin after expenses + housing.");
-  }
-
-  let grade = "B";
-  if (status === "NO-GO") grade = "D";
-  else if (status === "CAUTION") grade = "C+";
-  else {
-    if (housingRatio <= 0.25 && residual >= cushionGood) grade = "A";
-    else if (housingRatio <= 0.28 && residual >= cushionLow) grade = "A-";
-    else if (housingRatio <= 0.30 && residual >= cushionLow) grade = "B+";
-    else grade = "B";
-  }
-
-  return {
-    status,
-    grade,
-    housingCap: Math.round(housingCap),
-    ratios: { housingRatio, expenseRatio: exp / inc },
-    residual: Math.round(residual),
-    notes,
-  };
-}
-
-function pickNextAction({ verdict, missing_inputs, price, housingAllIn }) {
-  if (!verdict || verdict.status === "INSUFFICIENT") {
-    if (missing_inputs && missing_inputs.length) {
-      return {
-        type: "collect_missing_inputs",
-        target: { missing: missing_inputs },
-        why: "I can give quick rails now, and a tighter verdict once those inputs are provided.",
-      };
-    }
-    return {
-      type: "collect_missing_inputs",
-      target: null,
-      why: "Need more inputs to produce a defensible recommendation.",
-    };
-  }
-
-  if (verdict.status === "NO-GO") {
-    if (
-      Number.isFinite(price) &&
-      price > 0 &&
-      Number.isFinite(housingAllIn) &&
-      housingAllIn > 0 &&
-      Number.isFinite(verdict.housingCap)
-    ) {
-      const cap = verdict.housingCap;
-      const ratio = cap / housingAllIn;
-      const targetPrice = roundTo(price * ratio, 1000);
-
-      return {
-        type: "lower_price",
-        target: {
-          current_price: Math.round(price),
-          target_price: Math.max(0, Math.round(targetPrice)),
-          target_housing_cap: Math.round(cap),
-        },
-        why: "Brings estimated all-in housing closer to the 30% cap using your current scenario.",
-      };
-    }
-
-    return {
-      type: "adjust_scenario",
-      target: null,
-      why: "Lower price, increase downpayment, reduce expenses, or improve credit to reach GREEN.",
-    };
-  }
-
-  if (verdict.status === "CAUTION") {
-    return {
-      type: "increase_buffer",
-      target: null,
-      why: "Small adjustments can move you from CAUTION to GREEN (more residual buffer).",
-    };
-  }
-
-  return {
-    type: "lock_in_plan",
-    target: null,
-    why: "You’re in a stable range—next step is tightening assumptions and building the offer plan.",
+    amortization,
+    rentVsBuy,
+    sensitivity,
+    compare,
   };
 }
 
 // ------------------------------
-// //#5 SUPABASE PROFILE LOOKUP (DIRECT)
+// //#3 SUPABASE PROFILE LOOKUP (DIRECT)
 // ------------------------------
 const SELECT_COLS_AGENT = [
   "id",
@@ -731,34 +383,21 @@ async function fetchProfileByEmail(email) {
 }
 
 // ------------------------------
-// //#6 MAIN HANDLER
+// //#4 AGENT RUN
 // ------------------------------
-exports.handler = async (event) => {
-  const origin = event.headers?.origin || event.headers?.Origin || "";
-
-  if (event.httpMethod === "OPTIONS") {
-    return respond(200, { ok: true }, origin);
-  }
+// One elena-agent run → { ok: true, payload } or { ok: false, status, code, error }.
+// Shared by the handler below and elena-scenarios (re-run with current rate sheets).
+async function runAgent({ event, body, identity }) {
 
-  if (event.httpMethod !== "POST") {
-    return respond(405, { ok: false, error: "Method not allowed. Use POST." }, origin);
-  }
-
-  const body = safeJsonParse(event.body);
-
-  const email =
-    normalizeEmail(
-      pickFirst(
-        body.email,
-        body?.identity?.email,
-        body?.context?.email,
-        body?.context?.profile?.email
-      )
-    ) || "";
+  // Verified identity only — a posted email never unlocks a profile read.
+  const email = identity.mode === "verified" ? normalizeEmail(identity.email) : "";
 
   const sc = buildScenario(body);
 
-  // Pull profile from Supabase if email exists; else allow context.profile
+  const qCap = checkMessageLength(sc.question, "elena-agent");
+  if (!qCap.ok) return { ok: false, status: qCap.status, code: "message_too_long", error: qCap.error };
+
+  // Pull profile from Supabase for a verified email; else allow context.profile
   let profile = null;
   let profileSource = "none";
   let profileError = null;
@@ -808,6 +447,8 @@ exports.handler = async (event) => {
     state_key: stateLoad.ok ? stateLoad.key : normalizeStateKey(resolvedStateRaw) || null,
   };
 
+  const screen = sc.question ? screenMessage(sc.question, { stateKey: knowledge.state_key }) : { fired: false };
+
   const knowledge_used = {
     basics: {
       ok: basicsLoad.ok,
@@ -837,79 +478,112 @@ exports.handler = async (event) => {
   const expenses = sc.expenses;
   const downpayment = sc.downpayment;
   const creditScore = sc.creditScore;
+  const familySize = num(
+    pickFirst(
+      sc.familySize,
+      profile?.family_size,
+      profile?.household_size,
+      sc.contextProfile?.family_size,
+      sc.contextProfile?.household_size
+    )
+  );
 
-  // Mortgage estimate (deterministic)
-  let mortgage = null;
-  let mortgageSource = "missing";
-
-  if (Number.isFinite(price) && Number.isFinite(downpayment) && Number.isFinite(creditScore)) {
-    const stateDefaults =
-      stateLoad.ok && stateLoad.data && typeof stateLoad.data === "object"
-        ? stateLoad.data.defaults || null
-        : null;
-
-    const taxRate = pickFirst(sc.taxRate, stateDefaults?.tax_rate, stateDefaults?.property_tax_rate);
-    const insuranceAnnual = pickFirst(
-      sc.insuranceAnnual,
-      stateDefaults?.insurance_annual,
-      stateDefaults?.homeowners_insurance_annual
-    );
-    const hoaMonthly = pickFirst(sc.hoaMonthly, stateDefaults?.hoa_monthly);
-
-    const m = estimateAllInHousing({
-      price,
-      downpayment,
-      creditScore,
-      termYears: sc.termYears,
-      taxRate: num(taxRate),
-      insuranceAnnual: num(insuranceAnnual),
-      hoaMonthly: num(hoaMonthly),
-    });
-
-    if (m.ok && hasPositiveMoney(m.all_in_monthly)) {
-      mortgage = m;
-      mortgageSource = "deterministic_estimate";
-    } else {
-      mortgage = { ok: false, reason: m.reason || "Mortgage estimate failed." };
-      mortgageSource = "deterministic_estimate:failed";
-    }
-  } else {
-    mortgageSource = "insufficient_inputs_for_mortgage";
-  }
-
-  const housingAllIn = mortgage?.ok ? num(mortgage.all_in_monthly) : null;
-
-  // Quick rails
-  const aprAssumed = aprTierFromScore(creditScore);
-  const quick = buildQuickAffordability({
-    income,
-    housingCapPct: 0.30,
-    buffer: 1.28,
-    apr: aprAssumed,
-    termYears: sc.termYears,
-  });
-
-  const verdict = computeVerdict({
-    income,
-    expenses,
-    housingAllIn,
-  });
+  const stateDefaults =
+    stateLoad.ok && stateLoad.data && typeof stateLoad.data === "object"
+      ? stateLoad.data.defaults || null
+      : null;
 
-  const missing_inputs = listMissingInputs({
+  // Mortgage estimate + quick rails + verdict (deterministic, shared with ask-elena)
+  const evalArgs = {
     income,
     expenses,
-    creditScore,
-    downpayment,
     price,
-    housingAllIn,
-  });
-
-  const next_action = pickNextAction({
+    downpayment,
+    creditScore,
+    termYears: sc.termYears,
+    taxRate: sc.taxRate,
+    insuranceAnnual: sc.insuranceAnnual,
+    hoaMonthly: sc.hoaMonthly,
+    loanType: sc.loanType,
+    vaExempt: sc.vaFundingFeeExempt,
+    vaPriorUse: sc.vaPriorUse,
+    points: sc.points,
+    familySize,
+    stateKey: knowledge.state_key,
+    debts: sc.monthlyDebts,
+    earnestMoney: sc.earnestMoney,
+    optionFee: sc.optionFee,
+    sellerConcessions: sc.sellerConcessions,
+    lenderCredits: sc.lenderCredits,
+    stateDefaults,
+  };
+  const evaluation = evaluateAffordability(evalArgs);
+
+  const {
+    mortgage,
+    mortgageSource,
+    aprAssumed,
+    rate,
+    quick,
     verdict,
     missing_inputs,
-    price,
-    housingAllIn,
-  });
+    next_action,
+    cash_to_close,
+  } = evaluation;
+
+  // Hypothetical layer: same engine, question values on top of the baseline inputs.
+  let what_if = null;
+  if (sc.whatIf.detected) {
+    const hypoArgs = applyWhatIf(evalArgs, sc.whatIf.changes);
+    const baseSummary = summarizeEvaluation(evalArgs, evaluation);
+    const hypoSummary = summarizeEvaluation(hypoArgs, evaluateAffordability(hypoArgs));
+    what_if = {
+      label: describeChanges(sc.whatIf.changes),
+      changes: sc.whatIf.changes,
+      parsed: sc.whatIf.parsed,
+      baseline: baseSummary,
+      hypothetical: hypoSummary,
+      diff: diffSummaries(baseSummary, hypoSummary),
+    };
+  }
+
+  const sensitivity = sc.sensitivity
+    ? buildSensitivityGrid({ baseArgs: evalArgs, x: sc.sensitivity.x, y: sc.sensitivity.y })
+    : null;
+
+  const compare = sc.compare ? compareProperties({ baseArgs: evalArgs, properties: sc.compare }) : null;
+
+  // Same loan, APR and MI as the mortgage estimate; the request only adds the payoff options.
+  const amortization =
+    sc.amortization && mortgage?.ok
+      ? buildAmortization({
+          ...scheduleOptions(sc.amortization),
+          price,
+          downpayment,
+          creditScore,
+          termYears: sc.termYears,
+          loanType: sc.loanType,
+          vaFundingFeeExempt: sc.vaFundingFeeExempt,
+          vaPriorUse: sc.vaPriorUse,
+          rate: mortgage.rate,
+        })
+      : sc.amortization
+        ? { ok: false, error: "Amortization needs a priced mortgage (price + downpayment)." }
+        : null;
+
+  // Owner cost comes from the same mortgage; both sides start with the cash-to-close total.
+  const rent_vs_buy = sc.rentVsBuy
+    ? rentVsBuy({
+        ...sc.rentVsBuy,
+        price,
+        downpayment,
+        mortgage,
+        loanType: sc.loanType,
+        creditScore,
+        upfrontCash: cash_to_close?.ok ? cash_to_close.total : null,
+        verdict,
+      })
+    : null;
 
   const ts = nowTs();
   const scenario_id = makeScenarioId(email || "anon", ts);
@@ -921,14 +595,19 @@ exports.handler = async (event) => {
     downpayment: Number.isFinite(downpayment) ? Math.round(downpayment) : null,
     creditScore: Number.isFinite(creditScore) ? creditScore : null,
     termYears: sc.termYears,
-    loanType: sc.loanType,
+    loanType: normalizeLoanType(sc.loanType),
+    va_funding_fee_exempt: sc.vaFundingFeeExempt,
+    familySize: Number.isFinite(familySize) ? Math.round(familySize) : null,
+    monthlyDebts: Number.isFinite(sc.monthlyDebts) ? Math.round(sc.monthlyDebts) : null,
     assumptions: {
-      housing_cap_pct: 0.30,
-      buffer_allin_to_pi: 1.28,
+      housing_cap_pct: quick ? quick.assumptions.housing_cap_pct : null,
+      dti_rule_set: verdict.rules ? verdict.rules.key : null,
+      max_price_method: quick ? quick.assumptions.method : null,
       apr_assumed: Number.isFinite(creditScore) ? aprAssumed : null,
+      rate_sheet: rateSheetRecord(rate),
     },
     sources: {
-      email: email ? "request" : "missing",
+      email: email ? identity.source : "missing",
       profile: profileSource,
       creditScore: Number.isFinite(creditScore) ? sc.creditScoreSource : "missing",
       mortgage: mortgageSource,
@@ -944,10 +623,22 @@ exports.handler = async (event) => {
     scenario_id,
     ts,
     email: email || null,
+    identity: identityMeta(identity),
     profile_used,
 
-    intent: sc.question ? "user_question" : "affordability_check",
+    intent: screen.fired
+      ? "guardrail_redirect"
+      : compare
+        ? "property_compare"
+        : sensitivity
+          ? "sensitivity_grid"
+          : what_if
+            ? "what_if"
+            : sc.question
+              ? "user_question"
+              : "affordability_check",
     question: sc.question || null,
+    guardrail: screen.fired ? { ...guardrailRecord(screen), redirect: screen.redirect } : { fired: false },
 
     missing_inputs,
     inputs_used,
@@ -962,6 +653,8 @@ exports.handler = async (event) => {
           source: mortgageSource,
           all_in_monthly: mortgage.ok ? mortgage.all_in_monthly : null,
           breakdown: mortgage.ok ? mortgage.breakdown : null,
+          line_items: mortgage.ok ? mortgage.line_items : null,
+          program: mortgage.ok ? mortgage.program : null,
           assumptions_used: mortgage.ok ? mortgage.assumptions_used : null,
           apr_assumed: mortgage.ok ? mortgage.apr_assumed : null,
           term_years: mortgage.ok ? mortgage.term_years : sc.termYears,
@@ -972,6 +665,8 @@ exports.handler = async (event) => {
           source: mortgageSource,
           all_in_monthly: null,
           breakdown: null,
+          line_items: null,
+          program: null,
           assumptions_used: null,
           apr_assumed: Number.isFinite(creditScore) ? aprAssumed : null,
           term_years: sc.termYears,
@@ -981,6 +676,12 @@ exports.handler = async (event) => {
 
     verdict,
     next_action,
+    cash_to_close: cash_to_close || null,
+    amortization,
+    rent_vs_buy,
+    what_if,
+    sensitivity,
+    compare,
 
     context: {
       fad_ok: !!(sc.fad && Object.keys(sc.fad).length),
@@ -1008,5 +709,38 @@ exports.handler = async (event) => {
     };
   }
 
-  return respond(200, payload, origin);
-};
+  return { ok: true, payload };
+}
+
+// ------------------------------
+// //#5 MAIN HANDLER
+// ------------------------------
+// Origin, preflight, body parsing, identity and rate limiting happen in lib/http.js.
+exports.handler = createHandler("elena-agent", async (req) => {
+  const { event, body, identity } = req;
+
+  const run = await runAgent({ event, body, identity });
+  if (!run.ok) return req.fail(run.status, run.code, run.error);
+  const payload = run.payload;
+
+  // Saved under the verified user, else session_id; body.save === false opts out.
+  const { owner } = resolveOwner({
+    userId: identity.mode === "verified" ? identity.sub : null,
+    sessionId: safeStr(body?.session_id) || safeStr(body?.context?.session_id),
+  });
+
+  if (body?.save === false) {
+    payload.saved = { persisted: false, store: null, error: null };
+  } else if (!owner) {
+    payload.saved = { persisted: false, store: null, error: "Send session_id (or sign in) to save this scenario." };
+  } else {
+    const store = createScenarioStore({ event });
+    const record = buildRecord({ owner, payload, body, title: body?.title });
+    const res = await store.save(owner, record);
+    payload.saved = { persisted: res.persisted, store: store.adapter, error: res.error };
+  }
+
+  return req.json(200, payload);
+});
+
+exports.runAgent = runAgent;
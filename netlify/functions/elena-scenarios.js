@@ -0,0 +1,114 @@
+// netlify/functions/elena-scenarios.js
+// ============================================================
+// v1.0.0 — RealtySaSS • Saved elena-agent scenarios
+//
+// ✅ POST { action, scenario_id?, session_id?, limit? }
+// - "list"   → newest first: { items: [{ scenario_id, title, created_at, rerun_of, summary }], total }
+// - "get"    → the stored record: request, summary, payload (as elena-agent returned it)
+// - "rerun"  → runs the stored request through elena-agent again (current rate sheet + data files),
+//              saves it as a new scenario (rerun_of = original) → { payload, previous, changes }
+// - "delete" → { deleted }
+//
+// ✅ Owner = verified user, else session_id (same keys elena-agent saves under);
+//    another owner's scenario_id is a 404, never a 403
+// ✅ Request pipeline (lib/http.js): origin allowlist, preflight, request_id, rate limit, error envelope
+// ============================================================
+
+const { createHandler } = require("./lib/http");
+const { resolveOwner, isScenarioId, buildRecord, createScenarioStore } = require("./lib/scenario-store");
+const { runAgent } = require("./elena-agent");
+
+// ------------------------------
+// //#1 HELPERS
+// ------------------------------
+const ACTIONS = ["list", "get", "rerun", "delete"];
+
+function safeStr(x) {
+  if (x === null || x === undefined) return "";
+  return String(x).trim();
+}
+
+function delta(a, b) {
+  return Number.isFinite(a) && Number.isFinite(b) ? Math.round((b - a) * 100000) / 100000 : null;
+}
+
+// Re-run minus original for the numbers a rate-sheet update can move.
+function diffRuns(before, after) {
+  const changes = {};
+  for (const key of ["all_in_monthly", "apr_assumed", "cash_to_close"]) {
+    changes[key] = delta(before?.[key], after?.[key]);
+  }
+  changes.status = before?.status === after?.status ? null : `${before?.status} → ${after?.status}`;
+  changes.grade = before?.grade === after?.grade ? null : `${before?.grade} → ${after?.grade}`;
+  for (const key of ["rate_sheet_version", "rate_sheet_row"]) {
+    changes[key] = before?.[key] === after?.[key] ? null : `${before?.[key]} → ${after?.[key]}`;
+  }
+  return changes;
+}
+
+// ------------------------------
+// //#2 MAIN HANDLER
+// ------------------------------
+exports.handler = createHandler("elena-scenarios", async (req) => {
+  const { event, body, identity } = req;
+
+  const action = safeStr(body.action).toLowerCase() || "list";
+  if (!ACTIONS.includes(action)) {
+    return req.fail(400, "invalid_input", `Unknown action "${action}". Use: ${ACTIONS.join(", ")}.`);
+  }
+
+  const { owner, ownerType } = resolveOwner({
+    userId: identity.mode === "verified" ? identity.sub : null,
+    sessionId: safeStr(body.session_id) || safeStr(body.context?.session_id),
+  });
+  if (!owner) return req.fail(401, "no_owner", "Sign in or send session_id to use saved scenarios.");
+
+  const store = createScenarioStore({ event });
+
+  if (action === "list") {
+    const res = await store.list(owner, { limit: body.limit });
+    if (!res.ok) return req.fail(502, "store_error", "Saved scenarios are unavailable right now.");
+    return req.json(200, { ok: true, action, store: store.adapter, owner_type: ownerType, items: res.items, total: res.total });
+  }
+
+  const id = safeStr(body.scenario_id);
+  if (!isScenarioId(id)) return req.fail(400, "invalid_input", "scenario_id is missing or malformed.");
+
+  if (action === "delete") {
+    const res = await store.remove(owner, id);
+    if (!res.ok) return req.fail(502, "store_error", "Saved scenarios are unavailable right now.");
+    if (!res.deleted) return req.fail(404, "not_found", "Scenario not found.");
+    return req.json(200, { ok: true, action, scenario_id: id, deleted: true });
+  }
+
+  const found = await store.get(owner, id);
+  if (found.error) return req.fail(502, "store_error", "Saved scenarios are unavailable right now.");
+  if (!found.record) return req.fail(404, "not_found", "Scenario not found.");
+
+  if (action === "get") {
+    return req.json(200, { ok: true, action, store: store.adapter, scenario: found.record });
+  }
+
+  // rerun: same inputs, today's rate sheet + data files.
+  const previous = found.record;
+  const run = await runAgent({ event, body: previous.request || {}, identity });
+  if (!run.ok) return req.fail(run.status, run.code, run.error);
+  const payload = run.payload;
+
+  const record = buildRecord({ owner, payload, body: previous.request || {}, title: previous.title, rerunOf: previous.id });
+  if (body.save === false) {
+    payload.saved = { persisted: false, store: null, error: null };
+  } else {
+    const res = await store.save(owner, record);
+    payload.saved = { persisted: res.persisted, store: store.adapter, error: res.error };
+  }
+
+  return req.json(200, {
+    ok: true,
+    action,
+    rerun_of: previous.id,
+    previous: { scenario_id: previous.id, created_at: previous.created_at, summary: previous.summary },
+    changes: diffRuns(previous.summary, record.summary),
+    payload,
+  });
+});
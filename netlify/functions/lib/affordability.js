@@ -0,0 +1,1105 @@
+// netlify/functions/lib/affordability.js
+// ============================================================
+// v1.7.2 — RealtySaSS • Affordability engine (deterministic)
+//
+// ✅ Shared by elena-agent (truth packet) and ask-elena (chat slot filling)
+// ✅ Finance math: rate-sheet APR (lib/rate-sheet.js), P&I, all-in housing, quick rails
+// ✅ Loan programs: conventional PMI, FHA UFMIP + annual MIP, VA funding fee
+//    (disabled-veteran exemption), USDA guarantee fees, minimum down payments
+// ✅ Verdict engine + next action
+// ✅ VA loans: residual-income test (VA region × family size) feeds status + grade
+// ✅ Front-end + back-end DTI against basics thresholds, tightened by per-program limits
+//    (money_math.rule_of_thumb_thresholds.program_limits); verdict.rules + explain say which applied
+// ✅ aprOverride (what-if "at 6%") replaces the sheet APR; rate.source = "override"
+// ✅ Quick rails solve the exact max price (your down payment + program minimum) and the minimum
+//    down payment for a price against the verdict rules — no fixed all-in/P&I buffer;
+//    next_action lower_price uses the solved price
+// ✅ FIX: missing tax rate / insurance now fall back to the estimate defaults instead of $0
+// ✅ FIX: program limits only move the NO-GO line; GREEN keeps the basics comfort line (or the
+//    program's own *_green_percent), so the CAUTION band no longer collapses (conventional:
+//    NO-GO above 28/36, GREEN up to 25/33)
+// ✅ FIX: a program limit can only tighten the basics NO-GO line, never loosen it
+// ✅ evaluateAffordability(): one call → mortgage, quick, verdict, missing, next_action, cash_to_close
+// ============================================================
+
+const { lookupRate } = require("./rate-sheet");
+const { loadBasics } = require("./knowledge");
+const { estimateCashToClose } = require("./cash-to-close");
+
+// ------------------------------
+// //#1 HELPERS
+// ------------------------------
+function num(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Like num(), but a missing value stays null (Number(null) is 0).
+function numOrNull(v) {
+  return v === undefined || v === null || v === "" ? null : num(v);
+}
+
+function roundTo(n, step) {
+  if (!Number.isFinite(n)) return n;
+  return Math.round(n / step) * step;
+}
+
+function pickFirst(...vals) {
+  for (const v of vals) {
+    if (
+      v !== undefined &&
+      v !== null &&
+      v !== "" &&
+      !(typeof v === "number" && !Number.isFinite(v))
+    ) return v;
+  }
+  return null;
+}
+
+function hasPositiveMoney(n) {
+  const x = Number(n);
+  return Number.isFinite(x) && x > 0;
+}
+
+// ------------------------------
+// //#2 LOAN PROGRAMS
+// ------------------------------
+// Published program rules as of 2024; estimates until a lender quotes.
+const LOAN_PROGRAMS = {
+  conventional: { label: "Conventional", min_down_pct: 0.03, min_credit: 620 },
+  fha: { label: "FHA", min_down_pct: 0.035, min_down_pct_low_credit: 0.10, low_credit_below: 580, min_credit: 500 },
+  va: { label: "VA", min_down_pct: 0, min_credit: null },
+  usda: { label: "USDA", min_down_pct: 0, min_credit: null },
+};
+
+// Conventional PMI: annual rate by LTV band, scaled by credit score.
+const PMI_LTV_BANDS = [
+  { above: 0.95, rate: 0.0085 },
+  { above: 0.90, rate: 0.0062 },
+  { above: 0.85, rate: 0.0044 },
+  { above: 0.80, rate: 0.0028 },
+];
+const PMI_CREDIT_FACTORS = [
+  { min: 760, factor: 0.70 },
+  { min: 740, factor: 0.85 },
+  { min: 720, factor: 1.00 },
+  { min: 700, factor: 1.20 },
+  { min: 680, factor: 1.45 },
+  { min: 660, factor: 1.80 },
+  { min: 0, factor: 2.20 },
+];
+
+const FHA_UFMIP_PCT = 0.0175;
+const FHA_HIGH_BALANCE = 726200; // base loans above this pay the higher MIP tier
+
+const USDA_UPFRONT_PCT = 0.01;
+const USDA_ANNUAL_PCT = 0.0035;
+
+function normalizeLoanType(raw) {
+  const s = String(raw || "").toLowerCase().replace(/[^a-z]/g, "");
+  if (s.startsWith("fha")) return "fha";
+  if (s.startsWith("va") || s.includes("veteran")) return "va";
+  if (s.startsWith("usda") || s.includes("rural")) return "usda";
+  return "conventional";
+}
+
+function minDownPct(type, creditScore) {
+  const p = LOAN_PROGRAMS[type] || LOAN_PROGRAMS.conventional;
+  if (type === "fha" && Number.isFinite(creditScore) && creditScore < p.low_credit_below) {
+    return p.min_down_pct_low_credit;
+  }
+  return p.min_down_pct;
+}
+
+function conventionalPmiRate(ltv, creditScore) {
+  const band = PMI_LTV_BANDS.find((b) => ltv > b.above);
+  if (!band) return 0;
+  const s = Number.isFinite(creditScore) ? creditScore : 0;
+  const f = PMI_CREDIT_FACTORS.find((c) => s >= c.min).factor;
+  return roundTo(band.rate * f, 0.0001);
+}
+
+function fhaAnnualMipRate(ltv, termYears, baseLoan) {
+  const high = baseLoan > FHA_HIGH_BALANCE;
+  if (termYears <= 15) {
+    if (ltv <= 0.90) return high ? 0.0040 : 0.0015;
+    return high ? 0.0065 : 0.0040;
+  }
+  if (ltv > 0.95) return high ? 0.0075 : 0.0055;
+  return high ? 0.0070 : 0.0050;
+}
+
+// Purchase loans; veterans receiving disability compensation pay no funding fee.
+function vaFundingFeePct(downPct, priorUse) {
+  if (downPct >= 0.10) return 0.0125;
+  if (downPct >= 0.05) return 0.015;
+  return priorUse ? 0.033 : 0.0215;
+}
+
+// Upfront fees are financed into the loan (the usual choice); monthly MI is priced on the base loan.
+function loanProgramCosts({
+  loanType,
+  price,
+  downpayment,
+  creditScore,
+  termYears = 30,
+  vaExempt = false,
+  vaPriorUse = false,
+  financeUpfrontFee = true,
+}) {
+  const type = normalizeLoanType(loanType);
+  const program = LOAN_PROGRAMS[type];
+  const baseLoan = Math.max(0, price - downpayment);
+  const ltv = price > 0 ? baseLoan / price : 0;
+  const downPct = price > 0 ? downpayment / price : 0;
+
+  const minPct = minDownPct(type, creditScore);
+  const minDown = Math.round(price * minPct);
+
+  let upfront = null;
+  let monthlyMi = null;
+  const notes = [];
+
+  if (type === "conventional") {
+    const rate = conventionalPmiRate(ltv, creditScore);
+    if (rate > 0) {
+      monthlyMi = {
+        key: "pmi",
+        label: "PMI",
+        annual_pct: rate,
+        ends: "at 78% LTV (request removal at 80%)",
+      };
+    }
+  } else if (type === "fha") {
+    upfront = { key: "ufmip", label: "FHA upfront MIP", pct: FHA_UFMIP_PCT };
+    monthlyMi = {
+      key: "mip",
+      label: "FHA MIP",
+      annual_pct: fhaAnnualMipRate(ltv, termYears, baseLoan),
+      ends: ltv > 0.90 ? "life of loan" : "after 11 years",
+    };
+  } else if (type === "va") {
+    const pct = vaExempt ? 0 : vaFundingFeePct(downPct, vaPriorUse);
+    upfront = { key: "va_funding_fee", label: "VA funding fee", pct, exempt: !!vaExempt };
+    if (vaExempt) notes.push("VA funding fee waived (disability compensation).");
+  } else if (type === "usda") {
+    upfront = { key: "usda_guarantee", label: "USDA upfront guarantee fee", pct: USDA_UPFRONT_PCT };
+    monthlyMi = { key: "usda_annual_fee", label: "USDA annual fee", annual_pct: USDA_ANNUAL_PCT, ends: "life of loan" };
+    notes.push("USDA also has household income and property location limits.");
+  }
+
+  if (upfront) {
+    upfront.amount = Math.round(baseLoan * upfront.pct);
+    upfront.financed = !!financeUpfrontFee;
+  }
+  if (monthlyMi) monthlyMi.monthly = Math.round((baseLoan * monthlyMi.annual_pct) / 12);
+
+  const totalLoan = baseLoan + (upfront && upfront.financed ? upfront.amount : 0);
+
+  const meetsMinDown = downpayment + 0.5 >= minDown;
+  const meetsMinCredit = !program.min_credit || !Number.isFinite(creditScore) || creditScore >= program.min_credit;
+
+  if (!meetsMinDown) {
+    notes.push(`Down payment is below the ${program.label} minimum (${roundTo(minPct * 100, 0.1)}% = $${minDown.toLocaleString("en-US")}).`);
+  }
+  if (!meetsMinCredit) {
+    notes.push(`Credit score is below the usual ${program.label} minimum of ${program.min_credit}.`);
+  }
+
+  return {
+    type,
+    label: program.label,
+    ltv: roundTo(ltv, 0.0001),
+    base_loan: Math.round(baseLoan),
+    total_loan: Math.round(totalLoan),
+    min_down_pct: minPct,
+    min_down_payment: minDown,
+    meets_min_down: meetsMinDown,
+    min_credit: program.min_credit,
+    meets_min_credit: meetsMinCredit,
+    upfront_fee: upfront,
+    monthly_mi: monthlyMi,
+    notes,
+  };
+}
+
+// ------------------------------
+// //#2A VA RESIDUAL INCOME
+// ------------------------------
+// VA Pamphlet 26-7, ch. 4: minimum monthly residual by region and family size.
+const VA_RESIDUAL_TABLE = {
+  // loan amount $80,000 and above
+  standard: {
+    northeast: [450, 755, 909, 1025, 1062],
+    midwest: [441, 738, 889, 1003, 1039],
+    south: [441, 738, 889, 1003, 1039],
+    west: [491, 823, 990, 1117, 1158],
+  },
+  // loan amount below $80,000
+  small_loan: {
+    northeast: [390, 654, 788, 888, 921],
+    midwest: [382, 641, 772, 868, 902],
+    south: [382, 641, 772, 868, 902],
+    west: [425, 713, 859, 967, 1004],
+  },
+};
+const VA_SMALL_LOAN_BELOW = 80000;
+const VA_EXTRA_MEMBER = { standard: 80, small_loan: 75 }; // each member past 5 (up to 7)
+const VA_RESIDUAL_STRONG = 1.2; // lenders look for 120% when DTI runs high
+
+// [code, normalized state key (lib/knowledge.js), VA region]
+const VA_REGION_STATES = [
+  ["ct", "connecticut", "northeast"], ["me", "maine", "northeast"], ["ma", "massachusetts", "northeast"],
+  ["nh", "new-hampshire", "northeast"], ["nj", "new-jersey", "northeast"], ["ny", "new-york", "northeast"],
+  ["pa", "pennsylvania", "northeast"], ["ri", "rhode-island", "northeast"], ["vt", "vermont", "northeast"],
+  ["il", "illinois", "midwest"], ["in", "indiana", "midwest"], ["ia", "iowa", "midwest"], ["ks", "kansas", "midwest"],
+  ["mi", "michigan", "midwest"], ["mn", "minnesota", "midwest"], ["mo", "missouri", "midwest"],
+  ["ne", "nebraska", "midwest"], ["nd", "north-dakota", "midwest"], ["oh", "ohio", "midwest"],
+  ["sd", "south-dakota", "midwest"], ["wi", "wisconsin", "midwest"],
+  ["al", "alabama", "south"], ["ar", "arkansas", "south"], ["de", "delaware", "south"],
+  ["dc", "district-of-columbia", "south"], ["fl", "florida", "south"], ["ga", "georgia", "south"],
+  ["ky", "kentucky", "south"], ["la", "louisiana", "south"], ["md", "maryland", "south"],
+  ["ms", "mississippi", "south"], ["nc", "north-carolina", "south"], ["ok", "oklahoma", "south"],
+  ["pr", "puerto-rico", "south"], ["sc", "south-carolina", "south"], ["tn", "tennessee", "south"],
+  ["tx", "texas", "south"], ["va", "virginia", "south"], ["wv", "west-virginia", "south"],
+  ["ak", "alaska", "west"], ["az", "arizona", "west"], ["ca", "california", "west"], ["co", "colorado", "west"],
+  ["hi", "hawaii", "west"], ["id", "idaho", "west"], ["mt", "montana", "west"], ["nv", "nevada", "west"],
+  ["nm", "new-mexico", "west"], ["or", "oregon", "west"], ["ut", "utah", "west"], ["wa", "washington", "west"],
+  ["wy", "wyoming", "west"],
+];
+
+function vaRegionForState(stateKey) {
+  const k = String(stateKey || "").trim().toLowerCase().replace(/[_\s]+/g, "-");
+  if (!k) return null;
+  const hit = VA_REGION_STATES.find(([code, name]) => k === code || k === name);
+  return hit ? hit[2] : null;
+}
+
+function vaRequiredResidual({ region, familySize, loanAmount }) {
+  const tier = Number.isFinite(loanAmount) && loanAmount < VA_SMALL_LOAN_BELOW ? "small_loan" : "standard";
+  const row = VA_RESIDUAL_TABLE[tier][region];
+  const n = Math.max(1, Math.round(familySize));
+  const base = row[Math.min(n, 5) - 1];
+  const extra = Math.max(0, Math.min(n, 7) - 5) * VA_EXTRA_MEMBER[tier];
+  return { required: base + extra, tier };
+}
+
+// Residual here = income − expenses − all-in housing (same figure the verdict uses);
+// a lender's worksheet also takes out payroll taxes and maintenance/utilities.
+function vaResidualCheck({ residual, familySize, stateKey, loanAmount }) {
+  const region = vaRegionForState(stateKey);
+  const size = Number.isFinite(familySize) && familySize > 0 ? Math.round(familySize) : null;
+
+  const out = {
+    applied: false,
+    region,
+    family_size: size,
+    loan_tier: null,
+    required: null,
+    actual: Number.isFinite(residual) ? Math.round(residual) : null,
+    ratio: null,
+    result: null,
+    note: null,
+  };
+
+  if (!region) {
+    out.note = "Add the property state to run the VA residual-income check.";
+    return out;
+  }
+  if (!size) {
+    out.note = "Add family size to run the VA residual-income check.";
+    return out;
+  }
+  if (!Number.isFinite(residual)) return out;
+
+  const req = vaRequiredResidual({ region, familySize: size, loanAmount });
+  out.applied = true;
+  out.loan_tier = req.tier;
+  out.required = req.required;
+  out.ratio = roundTo(residual / req.required, 0.01);
+
+  if (residual < req.required) {
+    out.result = "fail";
+    out.note = `VA residual income $${out.actual.toLocaleString("en-US")} is below the $${req.required.toLocaleString("en-US")} required (${region}, family of ${size}).`;
+  } else if (residual < req.required * VA_RESIDUAL_STRONG) {
+    out.result = "thin";
+    out.note = `VA residual income clears the $${req.required.toLocaleString("en-US")} minimum but not the 120% lenders prefer.`;
+  } else {
+    out.result = "pass";
+  }
+  return out;
+}
+
+// ------------------------------
+// //#3 FINANCE MATH (DETERMINISTIC)
+// ------------------------------
+function pmtMonthlyPI(principal, apr, termYears) {
+  if (!Number.isFinite(principal) || principal <= 0) return null;
+  const y = Number.isFinite(termYears) ? termYears : 30;
+  const n = Math.round(y * 12);
+  const r = (Number.isFinite(apr) ? apr : 0.07) / 12;
+  if (n <= 0) return null;
+
+  if (r <= 0) return principal / n;
+
+  const pow = Math.pow(1 + r, n);
+  const p = (principal * (r * pow)) / (pow - 1);
+  return Number.isFinite(p) ? p : null;
+}
+
+function principalFromPmt(targetPI, apr, termYears) {
+  if (!Number.isFinite(targetPI) || targetPI <= 0) return null;
+  const y = Number.isFinite(termYears) ? termYears : 30;
+  const n = Math.round(y * 12);
+  const r = (Number.isFinite(apr) ? apr : 0.07) / 12;
+  if (n <= 0) return null;
+
+  if (r <= 0) return targetPI * n;
+
+  const pow = Math.pow(1 + r, n);
+  const principal = (targetPI * (pow - 1)) / (r * pow);
+  return Number.isFinite(principal) ? principal : null;
+}
+
+// A caller-set APR (what-if "at 6%") replaces the sheet rate; the row stays for reference.
+function withAprOverride(quote, aprOverride) {
+  if (!Number.isFinite(aprOverride) || aprOverride <= 0) return quote;
+  return {
+    ...quote,
+    source: "override",
+    apr: aprOverride,
+    points: 0,
+    points_cost_pct: 0,
+    notes: [...(quote.notes || []), `APR set to ${Math.round(aprOverride * 100000) / 1000}% by the scenario, not the sheet.`],
+  };
+}
+
+function estimateAllInHousing({
+  price,
+  downpayment,
+  creditScore,
+  termYears,
+  taxRate,
+  insuranceAnnual,
+  hoaMonthly,
+  loanType,
+  vaExempt,
+  vaPriorUse,
+  points,
+  aprOverride,
+}) {
+  const P = Number(price);
+  const D = Number(downpayment);
+  const s = Number(creditScore);
+  const y = Number.isFinite(termYears) ? termYears : 30;
+
+  if (!Number.isFinite(P) || P <= 0) return { ok: false, reason: "Missing or invalid price." };
+  if (!Number.isFinite(D) || D < 0) return { ok: false, reason: "Missing or invalid downpayment." };
+  if (!Number.isFinite(s) || s < 300 || s > 850) return { ok: false, reason: "Missing or invalid creditScore." };
+
+  const program = loanProgramCosts({ loanType, price: P, downpayment: D, creditScore: s, termYears: y, vaExempt, vaPriorUse });
+  const loan = program.total_loan;
+  const rate = withAprOverride(
+    lookupRate({ program: program.type, termYears: y, creditScore: s, ltv: program.ltv, points }),
+    aprOverride
+  );
+  const apr = rate.apr;
+  const pi = pmtMonthlyPI(loan, apr, y);
+
+  if (!Number.isFinite(pi) || pi <= 0) return { ok: false, reason: "Unable to compute P&I." };
+
+  const used = {
+    taxRate: Number.isFinite(taxRate) ? taxRate : 0.020,
+    insuranceAnnual: Number.isFinite(insuranceAnnual) ? insuranceAnnual : 2400,
+    hoaMonthly: Number.isFinite(hoaMonthly) ? hoaMonthly : 0,
+  };
+
+  const taxesMonthly = (P * used.taxRate) / 12;
+  const insMonthly = used.insuranceAnnual / 12;
+  const hoa = used.hoaMonthly;
+  const mi = program.monthly_mi ? program.monthly_mi.monthly : 0;
+
+  const allIn = pi + taxesMonthly + insMonthly + hoa + mi;
+
+  const line_items = [
+    { key: "principal_interest", label: "Principal & interest", monthly: Math.round(pi) },
+    { key: "taxes", label: "Property taxes", monthly: Math.round(taxesMonthly) },
+    { key: "insurance", label: "Homeowners insurance", monthly: Math.round(insMonthly) },
+    { key: "hoa", label: "HOA", monthly: Math.round(hoa) },
+  ];
+  if (program.monthly_mi) {
+    const m = program.monthly_mi;
+    line_items.push({ key: m.key, label: m.label, monthly: m.monthly, annual_pct: m.annual_pct, ends: m.ends });
+  }
+  if (program.upfront_fee) {
+    const u = program.upfront_fee;
+    line_items.push({ key: u.key, label: u.label, amount: u.amount, pct: u.pct, financed: u.financed, exempt: !!u.exempt });
+  }
+  // Discount points are paid at closing, priced on the full loan.
+  const pointsCost = Math.round(loan * rate.points_cost_pct);
+  if (rate.points > 0) {
+    line_items.push({ key: "discount_points", label: "Discount points", amount: pointsCost, points: rate.points, financed: false });
+  }
+
+  return {
+    ok: true,
+    apr_assumed: apr,
+    rate: { ...rate, points_cost: pointsCost },
+    loan_amount: Math.round(loan),
+    term_years: y,
+    breakdown: {
+      principal_interest: Math.round(pi),
+      taxes: Math.round(taxesMonthly),
+      insurance: Math.round(insMonthly),
+      hoa: Math.round(hoa),
+      mortgage_insurance: Math.round(mi),
+    },
+    line_items,
+    program,
+    all_in_monthly: Math.round(allIn),
+    assumptions_used: used,
+  };
+}
+
+// Quick rails: exact max price (your down payment and the program minimum) + minimum down for a price,
+// solved against the same verdict rules, taxes, insurance, HOA and MI as the full estimate.
+// solverArgs = null skips the solver (sensitivity cells only need the verdict).
+function buildQuickAffordability({ income, housingCapPct = 0.30, apr, termYears = 30, solverArgs, downpayment, price }) {
+  const inc = Number.isFinite(income) ? income : null;
+  if (!inc) return null;
+
+  const housingCap = inc * housingCapPct;
+  const creditAssumed = !Number.isFinite(solverArgs?.creditScore);
+  const args = solverArgs ? { ...solverArgs, creditScore: creditAssumed ? QUICK_ASSUMED_CREDIT : solverArgs.creditScore } : null;
+  const type = normalizeLoanType(solverArgs?.loanType);
+  const minPct = minDownPct(type, args?.creditScore);
+
+  const solveBoth = (opts) => ({
+    green: solveMaxPrice(args, { ...opts, target: "GREEN" }),
+    caution: solveMaxPrice(args, { ...opts, target: "CAUTION" }),
+  });
+
+  const withDown = args && Number.isFinite(downpayment) ? { downpayment: Math.round(downpayment), ...solveBoth({ downpayment }) } : null;
+  const withMin = args ? { down_pct: minPct, ...solveBoth({ downPct: minPct }) } : null;
+  const solved = [withDown?.green, withDown?.caution, withMin?.green, withMin?.caution].find(Boolean);
+
+  return {
+    housing_cap_monthly: Math.round(housingCap),
+    assumptions: {
+      housing_cap_pct: housingCapPct,
+      method: args ? "solver" : null,
+      apr_assumed: Number.isFinite(apr) ? apr : null,
+      term_years: termYears,
+      loan_type: type,
+      credit_score: args ? args.creditScore : null,
+      credit_assumed: !!args && creditAssumed,
+      housing: solved ? verdictAtPrice(args, solved.price, solved.downpayment).mortgage.assumptions_used : null,
+    },
+    quick_max_price: args ? { with_downpayment: withDown, with_min_down: withMin } : null,
+    min_down_for_price:
+      args && Number.isFinite(price) && price > 0
+        ? {
+            price: Math.round(price),
+            green: solveMinDown(args, { price, target: "GREEN" }),
+            caution: solveMinDown(args, { price, target: "CAUTION" }),
+          }
+        : null,
+  };
+}
+
+function listMissingInputs({ income, expenses, creditScore, downpayment, price, housingAllIn }) {
+  const missing = [];
+  if (!Number.isFinite(income)) missing.push("income");
+  if (!Number.isFinite(expenses)) missing.push("expenses");
+
+  if (!Number.isFinite(housingAllIn) || housingAllIn <= 0) {
+    if (!Number.isFinite(price)) missing.push("price");
+    if (!Number.isFinite(downpayment)) missing.push("downpayment");
+    if (!Number.isFinite(creditScore)) missing.push("creditScore");
+  }
+  return missing;
+}
+
+// ------------------------------
+// //#4 VERDICT ENGINE (DETERMINISTIC)
+// ------------------------------
+// Comfort line (green) + hard line (max) per ratio, as decimals; used when basics can't load.
+const DEFAULT_DTI = {
+  front_end: { green: 0.28, max: 0.33 },
+  back_end: { green: 0.36, max: 0.43 },
+};
+
+const STATUS_RANK = { GREEN: 0, CAUTION: 1, "NO-GO": 2 };
+
+function zoneFromKnowledge(z) {
+  const green = num(z?.safe_zone?.max_percent_of_gross_income);
+  const max = num(z?.caution_zone?.max_percent_of_gross_income);
+  return green && max ? { green: green / 100, max: max / 100 } : null;
+}
+
+// Basics thresholds, with the program's published maxima as the hard (NO-GO) line when they're stricter.
+// The comfort (GREEN) line stays the basics one unless the program sets its own *_green_percent.
+// A program limit of null means "no limit on that ratio" (VA front-end).
+function dtiRuleSet(loanType) {
+  const type = normalizeLoanType(loanType);
+  const load = loadBasics();
+  const t = load.ok ? load.data?.money_math?.rule_of_thumb_thresholds : null;
+
+  const front = zoneFromKnowledge(t?.housing_ratio);
+  const back = zoneFromKnowledge(t?.debt_ratio);
+  const base = {
+    front_end: front || DEFAULT_DTI.front_end,
+    back_end: back || DEFAULT_DTI.back_end,
+  };
+  const baseSource = front && back ? `${load.file} money_math.rule_of_thumb_thresholds` : "built-in defaults";
+
+  const limits = t?.program_limits?.[type];
+  if (!limits) {
+    return { key: "rule_of_thumb", label: "rule-of-thumb guardrails", program: type, ...base, source: baseSource, note: null };
+  }
+
+  const withLimits = (zone, pctMax, pctGreen) => {
+    const m = num(pctMax);
+    const g = numOrNull(pctGreen);
+    const max = m ? Math.min(m / 100, zone.max) : zone.max;
+    return { green: Math.min(g !== null ? g / 100 : zone.green, max), max };
+  };
+
+  return {
+    key: `program:${type}`,
+    label: `${LOAN_PROGRAMS[type].label} limits`,
+    program: type,
+    front_end:
+      limits.front_end_max_percent === null
+        ? null
+        : withLimits(base.front_end, limits.front_end_max_percent, limits.front_end_green_percent),
+    back_end: withLimits(base.back_end, limits.back_end_max_percent, limits.back_end_green_percent),
+    source: `${load.file} money_math.rule_of_thumb_thresholds.program_limits.${type}`,
+    note: limits.note || null,
+  };
+}
+
+function pctLabel(ratio) {
+  return `${Math.round(ratio * 1000) / 10}%`;
+}
+
+function describeRules(rules) {
+  const part = (name, z) => (z ? `${name} ≤${pctLabel(z.max)} (GREEN ≤${pctLabel(z.green)})` : `no ${name} limit`);
+  return `${rules.label}: ${part("front-end", rules.front_end)}, ${part("back-end", rules.back_end)}`;
+}
+
+function zoneStatus(ratio, zone) {
+  if (!zone) return "GREEN";
+  if (ratio > zone.max) return "NO-GO";
+  if (ratio > zone.green) return "CAUTION";
+  return "GREEN";
+}
+
+// debts = monthly debt payments for back-end DTI. Living expenses aren't debts, so without a debt
+// figure the back-end ratio is reported as unknown instead of guessed.
+function computeVerdict({ income, expenses, debts, housingAllIn, loanType, familySize, stateKey, loanAmount }) {
+  const inc = Number.isFinite(income) ? income : null;
+  const exp = Number.isFinite(expenses) ? expenses : 0;
+  const hou = Number.isFinite(housingAllIn) && housingAllIn > 0 ? housingAllIn : null;
+  const hasDebts = Number.isFinite(debts) && debts >= 0;
+  const debt = hasDebts ? debts : 0;
+
+  const ruleSet = dtiRuleSet(loanType);
+  const rules = {
+    ...ruleSet,
+    debts_source: hasDebts ? "debts" : "missing",
+    summary: describeRules(ruleSet),
+  };
+
+  if (!inc) {
+    return {
+      status: "INSUFFICIENT",
+      grade: "N/A",
+      housingCap: null,
+      ratios: { housingRatio: null, frontEnd: null, backEnd: null, expenseRatio: null },
+      residual: null,
+      notes: ["Missing income; cannot compute affordability rails."],
+      rules,
+      status_from: [],
+      explain: null,
+      va_residual: null,
+    };
+  }
+
+  // Largest all-in housing payment inside both hard lines (back-end only once debts are known,
+  // or when the program has no front-end line).
+  const caps = [];
+  if (rules.front_end) caps.push(inc * rules.front_end.max);
+  if (hasDebts || !rules.front_end) caps.push(inc * rules.back_end.max - debt);
+  const housingCap = Math.max(0, Math.min(...caps));
+
+  if (!hou) {
+    return {
+      status: "INSUFFICIENT",
+      grade: "N/A",
+      housingCap: Math.round(housingCap),
+      ratios: { housingRatio: null, frontEnd: null, backEnd: null, expenseRatio: exp / inc },
+      residual: null,
+      notes: ["Missing housing estimate; using cap + quick rails only."],
+      rules,
+      status_from: [],
+      explain: null,
+      va_residual: null,
+    };
+  }
+
+  const frontEnd = hou / inc;
+  const backEnd = hasDebts ? (hou + debt) / inc : null;
+  const residual = inc - exp - hou;
+
+  const cushionLow = inc * 0.05;
+  const cushionGood = inc * 0.12;
+
+  // Every check reports its own status; the verdict is the worst of them.
+  const checks = [];
+  const check = (rule, status, note) => checks.push({ rule, status, note });
+
+  if (rules.front_end) {
+    const st = zoneStatus(frontEnd, rules.front_end);
+    if (st === "NO-GO") check("front_end", st, `Front-end DTI ${pctLabel(frontEnd)} is over the ${pctLabel(rules.front_end.max)} line (${rules.label}).`);
+    else if (st === "CAUTION") check("front_end", st, `Front-end DTI ${pctLabel(frontEnd)} is above the ${pctLabel(rules.front_end.green)} comfort line.`);
+  }
+
+  let backStatus = hasDebts ? zoneStatus(backEnd, rules.back_end) : null;
+  if (!hasDebts) check("back_end", "GREEN", "Add monthly debt payments to check back-end DTI.");
+
+  // VA loans: the residual-income table can only pull status down — except that a residual
+  // at 120%+ of the table is what lets VA go past its 41% back-end line.
+  let vaResidual = null;
+  if (normalizeLoanType(loanType) === "va") {
+    vaResidual = vaResidualCheck({ residual, familySize, stateKey, loanAmount });
+    if (vaResidual.result === "fail") check("va_residual", "NO-GO", vaResidual.note);
+    else if (vaResidual.result === "thin") check("va_residual", "CAUTION", vaResidual.note);
+    else if (vaResidual.note) check("va_residual", "GREEN", vaResidual.note);
+
+    if (backStatus === "NO-GO" && vaResidual.result === "pass") {
+      backStatus = "CAUTION";
+      check("back_end", backStatus, `Back-end DTI ${pctLabel(backEnd)} is over ${pctLabel(rules.back_end.max)}, offset by residual income above 120% of the VA table.`);
+    }
+  }
+
+  if (backStatus === "NO-GO" && !checks.some((c) => c.rule === "back_end")) {
+    check("back_end", backStatus, `Back-end DTI ${pctLabel(backEnd)} is over the ${pctLabel(rules.back_end.max)} line (${rules.label}).`);
+  } else if (backStatus === "CAUTION" && !checks.some((c) => c.rule === "back_end")) {
+    check("back_end", backStatus, `Back-end DTI ${pctLabel(backEnd)} is above the ${pctLabel(rules.back_end.green)} comfort line.`);
+  }
+
+  if (residual < 0) check("residual", "NO-GO", "Residual income is negative after expenses + housing.");
+  else if (residual < cushionLow) check("residual", "CAUTION", "Buffer is thin after expenses + housing.");
+
+  const status = checks.reduce((w, c) => (STATUS_RANK[c.status] > STATUS_RANK[w] ? c.status : w), "GREEN");
+  const status_from = status === "GREEN" ? [] : checks.filter((c) => c.status === status).map((c) => c.rule);
+  const notes = checks.map((c) => c.note).filter(Boolean);
+
+  let grade = "B";
+  if (status === "NO-GO") grade = "D";
+  else if (status === "CAUTION") grade = "C+";
+  else {
+    const roomy =
+      backEnd !== null ? backEnd <= rules.back_end.green * 0.9 : !rules.front_end || frontEnd <= rules.front_end.green;
+    if (frontEnd <= 0.25 && residual >= cushionGood) grade = "A";
+    else if (roomy && residual >= cushionLow) grade = "A-";
+    else if (residual >= cushionLow) grade = "B+";
+    else grade = "B";
+  }
+
+  const explain =
+    status === "GREEN"
+      ? `GREEN under ${rules.summary}.`
+      : `${status} from ${status_from.join(" + ")} under ${rules.summary}.`;
+
+  return {
+    status,
+    grade,
+    housingCap: Math.round(housingCap),
+    ratios: { housingRatio: frontEnd, frontEnd, backEnd, expenseRatio: exp / inc },
+    residual: Math.round(residual),
+    notes,
+    rules,
+    status_from,
+    explain,
+    va_residual: vaResidual,
+  };
+}
+
+// A loan the program won't write can't be GREEN: surface the rule and cap at CAUTION.
+function applyProgramLimits(verdict, program) {
+  if (!verdict || !program || !program.notes.length) return verdict;
+  const blocking = !program.meets_min_down || !program.meets_min_credit;
+  const out = { ...verdict, notes: [...verdict.notes, ...program.notes] };
+  if (blocking && out.status === "GREEN") {
+    out.status = "CAUTION";
+    out.grade = "C+";
+    out.program_limited = true;
+  }
+  return out;
+}
+
+// ------------------------------
+// //#4A PRICE + DOWN PAYMENT SOLVER
+// ------------------------------
+// Without a credit score the quick rails price at the middle of the sheet's unknown band.
+const QUICK_ASSUMED_CREDIT = 680;
+const SOLVER_MAX_PRICE = 20000000;
+
+// One priced point → verdict status (program limits applied) + the estimate behind it.
+function verdictAtPrice(args, price, downpayment) {
+  const m = estimateAllInHousing({
+    price,
+    downpayment,
+    creditScore: args.creditScore,
+    termYears: args.termYears,
+    taxRate: args.taxRate,
+    insuranceAnnual: args.insuranceAnnual,
+    hoaMonthly: args.hoaMonthly,
+    loanType: args.loanType,
+    vaExempt: args.vaExempt,
+    vaPriorUse: args.vaPriorUse,
+    points: args.points,
+    aprOverride: args.aprOverride,
+  });
+  if (!m.ok) return null;
+  const v = applyProgramLimits(
+    computeVerdict({
+      income: args.income,
+      expenses: args.expenses,
+      debts: args.debts,
+      housingAllIn: m.all_in_monthly,
+      loanType: args.loanType,
+      familySize: args.familySize,
+      stateKey: args.stateKey,
+      loanAmount: m.program.total_loan,
+    }),
+    m.program
+  );
+  return { status: v.status, mortgage: m };
+}
+
+// At or better than the target status, and fundable (program minimum down + credit met).
+function meetsTarget(point, target) {
+  if (!point) return false;
+  const { program } = point.mortgage;
+  const rank = STATUS_RANK[point.status];
+  return program.meets_min_down && program.meets_min_credit && rank !== undefined && rank <= STATUS_RANK[target];
+}
+
+function solvedPoint(point, price, downpayment) {
+  return {
+    price,
+    downpayment: Math.round(downpayment),
+    all_in_monthly: point.mortgage.all_in_monthly,
+    status: point.status,
+  };
+}
+
+// Highest price (to the dollar) that meets the target with a fixed down payment ($) or share (downPct).
+// Payment and LTV only grow with price, so bracket by doubling, then bisect.
+function solveMaxPrice(args, { target = "GREEN", downpayment, downPct }) {
+  if (!args) return null;
+  const fixed = Number.isFinite(downpayment);
+  const downAt = (p) => (fixed ? downpayment : Math.ceil(p * downPct));
+  const ok = (p) => meetsTarget(verdictAtPrice(args, p, downAt(p)), target);
+
+  let lo = fixed ? Math.max(10000, Math.ceil(downpayment) + 1000) : 10000;
+  if (!ok(lo)) return null;
+  let hi = lo * 2;
+  while (hi < SOLVER_MAX_PRICE && ok(hi)) {
+    lo = hi;
+    hi *= 2;
+  }
+  if (hi >= SOLVER_MAX_PRICE && ok(SOLVER_MAX_PRICE)) lo = SOLVER_MAX_PRICE;
+  else {
+    while (hi - lo > 1) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (ok(mid)) lo = mid;
+      else hi = mid;
+    }
+  }
+  return solvedPoint(verdictAtPrice(args, lo, downAt(lo)), lo, downAt(lo));
+}
+
+// Smallest down payment (to the dollar) that meets the target at this price.
+function solveMinDown(args, { price, target = "GREEN" }) {
+  if (!args || !Number.isFinite(price) || price <= 1000) return null;
+  const ok = (d) => meetsTarget(verdictAtPrice(args, price, d), target);
+
+  let hi = Math.floor(price) - 1000;
+  if (!ok(hi)) return null;
+  let lo = 0;
+  if (ok(lo)) hi = lo;
+  else {
+    while (hi - lo > 1) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (ok(mid)) hi = mid;
+      else lo = mid;
+    }
+  }
+  const point = solvedPoint(verdictAtPrice(args, price, hi), Math.round(price), hi);
+  return { ...point, down_pct: Math.round((hi / price) * 10000) / 100 };
+}
+
+function pickNextAction({ verdict, missing_inputs, price, downpayment, quick }) {
+  if (!verdict || verdict.status === "INSUFFICIENT") {
+    if (missing_inputs && missing_inputs.length) {
+      return {
+        type: "collect_missing_inputs",
+        target: { missing: missing_inputs },
+        why: "I can give quick rails now, and a tighter verdict once those inputs are provided.",
+      };
+    }
+    return {
+      type: "collect_missing_inputs",
+      target: null,
+      why: "Need more inputs to produce a defensible recommendation.",
+    };
+  }
+
+  if (verdict.status === "NO-GO") {
+    // Solved against the full verdict rules with your down payment (not a linear rescale).
+    const maxPrice = quick?.quick_max_price?.with_downpayment?.caution;
+    if (Number.isFinite(price) && price > 0 && maxPrice && maxPrice.price < price) {
+      const green = quick.quick_max_price.with_downpayment.green;
+      const targetPrice = Math.floor(maxPrice.price / 1000) * 1000;
+      return {
+        type: "lower_price",
+        target: {
+          current_price: Math.round(price),
+          target_price: targetPrice,
+          max_price: maxPrice.price,
+          green_price: green ? green.price : null,
+          target_housing_cap: Math.round(verdict.housingCap),
+          target_all_in_monthly: maxPrice.all_in_monthly,
+        },
+        why: `Aim for about $${targetPrice.toLocaleString("en-US")} — the highest price that clears the DTI limits with your down payment, taxes, insurance, HOA and mortgage insurance.`,
+      };
+    }
+
+    const minDown = quick?.min_down_for_price?.caution;
+    if (minDown && Number.isFinite(downpayment) && minDown.downpayment > downpayment) {
+      return {
+        type: "increase_downpayment",
+        target: {
+          current_downpayment: Math.round(downpayment),
+          target_downpayment: minDown.downpayment,
+          target_down_pct: minDown.down_pct,
+          price: minDown.price,
+        },
+        why: `Put about $${minDown.downpayment.toLocaleString("en-US")} down — the smallest down payment that clears the DTI limits at this price.`,
+      };
+    }
+
+    return {
+      type: "adjust_scenario",
+      target: null,
+      why: "Lower price, increase downpayment, reduce expenses, or improve credit to reach GREEN.",
+    };
+  }
+
+  if (verdict.status === "CAUTION") {
+    return {
+      type: "increase_buffer",
+      target: null,
+      why: "Small adjustments can move you from CAUTION to GREEN (more residual buffer).",
+    };
+  }
+
+  return {
+    type: "lock_in_plan",
+    target: null,
+    why: "You’re in a stable range—next step is tightening assumptions and building the offer plan.",
+  };
+}
+
+// ------------------------------
+// //#5 ONE-CALL EVALUATION
+// ------------------------------
+function evaluateAffordability({
+  income,
+  expenses,
+  price,
+  downpayment,
+  creditScore,
+  termYears = 30,
+  taxRate,
+  insuranceAnnual,
+  hoaMonthly,
+  loanType,
+  vaExempt = false,
+  vaPriorUse = false,
+  points,
+  aprOverride,
+  familySize,
+  stateKey,
+  debts,
+  earnestMoney,
+  optionFee,
+  sellerConcessions,
+  lenderCredits,
+  stateDefaults,
+  solve = true,
+}) {
+  let mortgage = null;
+  let mortgageSource = "missing";
+
+  const tax = pickFirst(taxRate, stateDefaults?.tax_rate, stateDefaults?.property_tax_rate);
+  const ins = pickFirst(
+    insuranceAnnual,
+    stateDefaults?.insurance_annual,
+    stateDefaults?.homeowners_insurance_annual
+  );
+  const hoa = pickFirst(hoaMonthly, stateDefaults?.hoa_monthly);
+
+  if (Number.isFinite(price) && Number.isFinite(downpayment) && Number.isFinite(creditScore)) {
+    const m = estimateAllInHousing({
+      price,
+      downpayment,
+      creditScore,
+      termYears,
+      taxRate: numOrNull(tax),
+      insuranceAnnual: numOrNull(ins),
+      hoaMonthly: numOrNull(hoa),
+      loanType,
+      vaExempt,
+      vaPriorUse,
+      points,
+      aprOverride,
+    });
+
+    if (m.ok && hasPositiveMoney(m.all_in_monthly)) {
+      mortgage = m;
+      mortgageSource = "deterministic_estimate";
+    } else {
+      mortgage = { ok: false, reason: m.reason || "Mortgage estimate failed." };
+      mortgageSource = "deterministic_estimate:failed";
+    }
+  } else {
+    mortgageSource = "insufficient_inputs_for_mortgage";
+  }
+
+  const housingAllIn = mortgage?.ok ? num(mortgage.all_in_monthly) : null;
+
+  // Quick rails: same sheet row as the mortgage; without a price, price at the program's minimum down.
+  const type = normalizeLoanType(loanType);
+  const rate = mortgage?.ok
+    ? mortgage.rate
+    : withAprOverride(
+        lookupRate({ program: type, termYears, creditScore, ltv: 1 - minDownPct(type, creditScore), points }),
+        aprOverride
+      );
+  const aprAssumed = rate.apr;
+
+  const verdict = applyProgramLimits(
+    computeVerdict({
+      income,
+      expenses,
+      debts,
+      housingAllIn,
+      loanType,
+      familySize,
+      stateKey,
+      loanAmount: mortgage?.ok ? mortgage.program.total_loan : null,
+    }),
+    mortgage?.ok ? mortgage.program : null
+  );
+
+  // Quick rails share the verdict's housing cap (front-end / back-end limits, whichever binds).
+  const quick = buildQuickAffordability({
+    income,
+    housingCapPct: Number.isFinite(income) && income > 0 ? Math.round((verdict.housingCap / income) * 10000) / 10000 : 0.30,
+    apr: aprAssumed,
+    termYears,
+    downpayment,
+    price,
+    solverArgs: solve
+      ? {
+          income,
+          expenses,
+          debts,
+          creditScore,
+          termYears,
+          taxRate: numOrNull(tax),
+          insuranceAnnual: numOrNull(ins),
+          hoaMonthly: numOrNull(hoa),
+          loanType,
+          vaExempt,
+          vaPriorUse,
+          points,
+          aprOverride,
+          familySize,
+          stateKey,
+        }
+      : null,
+  });
+
+  const cash_to_close = mortgage?.ok
+    ? estimateCashToClose({
+        price,
+        downpayment,
+        mortgage,
+        stateKey,
+        earnestMoney,
+        optionFee,
+        sellerConcessions,
+        lenderCredits,
+      })
+    : null;
+
+  const missing_inputs = listMissingInputs({
+    income,
+    expenses,
+    creditScore,
+    downpayment,
+    price,
+    housingAllIn,
+  });
+
+  const next_action = pickNextAction({
+    verdict,
+    missing_inputs,
+    price,
+    downpayment,
+    quick,
+  });
+
+  return {
+    mortgage,
+    mortgageSource,
+    housingAllIn,
+    aprAssumed,
+    rate,
+    quick,
+    verdict,
+    missing_inputs,
+    next_action,
+    cash_to_close,
+  };
+}
+
+module.exports = {
+  num,
+  roundTo,
+  pickFirst,
+  hasPositiveMoney,
+  LOAN_PROGRAMS,
+  normalizeLoanType,
+  loanProgramCosts,
+  pmtMonthlyPI,
+  principalFromPmt,
+  estimateAllInHousing,
+  buildQuickAffordability,
+  solveMaxPrice,
+  solveMinDown,
+  listMissingInputs,
+  vaRegionForState,
+  vaResidualCheck,
+  dtiRuleSet,
+  computeVerdict,
+  applyProgramLimits,
+  pickNextAction,
+  evaluateAffordability,
+};
@@ -0,0 +1,82 @@
+// netlify/functions/lib/affordability.test.js — run with `npm test` (node --test)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { evaluateAffordability, solveMaxPrice, solveMinDown, loanProgramCosts, vaResidualCheck } = require("./affordability");
+
+const BUYER = {
+  income: 9000,
+  debts: 400,
+  price: 350000,
+  downpayment: 40000,
+  creditScore: 740,
+  termYears: 30,
+  loanType: "conv",
+  stateKey: "texas",
+};
+
+test("conventional rules keep a CAUTION band between GREEN and NO-GO", () => {
+  const { rules } = evaluateAffordability({ ...BUYER, solve: false }).verdict;
+  assert.ok(rules.front_end.green < rules.front_end.max);
+  assert.ok(rules.back_end.green < rules.back_end.max);
+  assert.equal(rules.front_end.max, 0.28);
+  assert.equal(rules.back_end.max, 0.36);
+});
+
+test("conventional: a 40% back-end DTI is NO-GO even with a GREEN front-end", () => {
+  const args = { ...BUYER, income: 10000, price: 300000, downpayment: 60000, solve: false };
+  const { verdict } = evaluateAffordability({ ...args, debts: 1743 });
+  assert.ok(verdict.ratios.frontEnd < 0.25);
+  assert.equal(Math.round(verdict.ratios.backEnd * 100), 40);
+  assert.equal(verdict.status, "NO-GO");
+});
+
+test("solveMaxPrice: the caution price is above the green price, and each lands on its status", () => {
+  const green = solveMaxPrice(BUYER, { target: "GREEN", downpayment: 40000 });
+  const caution = solveMaxPrice(BUYER, { target: "CAUTION", downpayment: 40000 });
+  assert.ok(caution.price > green.price);
+  assert.equal(evaluateAffordability({ ...BUYER, price: green.price, solve: false }).verdict.status, "GREEN");
+  assert.equal(evaluateAffordability({ ...BUYER, price: green.price + 1000, solve: false }).verdict.status, "CAUTION");
+});
+
+test("solveMinDown: the solved down payment reaches GREEN and $1,000 less doesn't", () => {
+  const min = solveMinDown(BUYER, { price: 320000, target: "GREEN" });
+  const at = (downpayment) => evaluateAffordability({ ...BUYER, price: 320000, downpayment, solve: false }).verdict.status;
+  assert.equal(at(min.downpayment), "GREEN");
+  assert.notEqual(at(min.downpayment - 1000), "GREEN");
+});
+
+test("FHA: 1.75% upfront MIP financed, 0.55% annual MIP above 95% LTV", () => {
+  const fha = loanProgramCosts({ loanType: "fha", price: 300000, downpayment: 10500, creditScore: 680, termYears: 30 });
+  assert.equal(fha.base_loan, 289500);
+  assert.equal(fha.upfront_fee.amount, 5066);
+  assert.equal(fha.total_loan, 294566);
+  assert.equal(fha.monthly_mi.annual_pct, 0.0055);
+  assert.equal(fha.monthly_mi.monthly, 133);
+  assert.equal(fha.monthly_mi.ends, "life of loan");
+});
+
+test("VA funding fee: 2.15% first use, 3.3% subsequent, 1.25% at 10% down, waived if exempt", () => {
+  const va = (opts) => loanProgramCosts({ loanType: "va", price: 300000, downpayment: 0, creditScore: 700, ...opts }).upfront_fee;
+  assert.equal(va({}).amount, 6450);
+  assert.equal(va({ vaPriorUse: true }).amount, 9900);
+  assert.equal(va({ downpayment: 30000 }).amount, 3375);
+  assert.equal(va({ vaExempt: true }).amount, 0);
+});
+
+test("VA residual income: table value by region, family size and loan tier", () => {
+  // Texas = South; family of 4, $300k loan → $1,003; $1,100 clears it but not the 120% line
+  const tx = vaResidualCheck({ residual: 1100, familySize: 4, stateKey: "texas", loanAmount: 300000 });
+  assert.equal(tx.region, "south");
+  assert.equal(tx.required, 1003);
+  assert.equal(tx.result, "thin");
+  assert.equal(tx.ratio, 1.1);
+
+  // Arizona = West; family of 6 → $1,158 (family of 5) + $80 for the sixth member
+  assert.equal(vaResidualCheck({ residual: 2000, familySize: 6, stateKey: "AZ", loanAmount: 300000 }).required, 1238);
+
+  // Under $80k uses the small-loan table; Ohio = Midwest, family of 2 → $641
+  const small = vaResidualCheck({ residual: 600, familySize: 2, stateKey: "ohio", loanAmount: 70000 });
+  assert.equal(small.loan_tier, "small_loan");
+  assert.equal(small.required, 641);
+  assert.equal(small.result, "fail");
+});
@@ -0,0 +1,301 @@
+// netlify/functions/lib/amortization.js
+// ============================================================
+// v1.0.1 — RealtySaSS • Amortization engine (deterministic)
+//
+// ✅ Same payment math as lib/affordability.js (pmtMonthlyPI); loan + APR + MI can come
+//    straight from a scenario (price, downpayment, creditScore, loanType) via the same
+//    loan-program and rate-sheet code the verdict uses
+// ✅ Extra monthly principal, lump sums, recasts (re-amortize the balance over the months left)
+// ✅ Baseline vs. with-extras: payoff date, total interest, interest saved, months saved
+// ✅ Mortgage insurance drop-off month: conventional PMI at 78% of the original value
+//    (removal can be requested at 80%), FHA MIP after 11 years when LTV ≤ 90%
+// ✅ Schedule rows monthly or yearly, with balance + equity
+// ✅ scheduleOptions(): just the payoff options, for callers that supply the loan themselves
+// ✅ Standalone endpoint: netlify/functions/amortization.js
+// ============================================================
+
+const { pmtMonthlyPI, loanProgramCosts } = require("./affordability");
+const { lookupRate } = require("./rate-sheet");
+
+// ------------------------------
+// //#1 HELPERS
+// ------------------------------
+const MAX_MONTHS = 480;
+
+function num(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// 6.5 and 0.065 both mean 6.5%.
+function normalizeApr(v) {
+  const n = num(v);
+  if (n === null || n < 0) return null;
+  return n > 1 ? n / 100 : n;
+}
+
+// "2026-11" / "2026-11-01" → { y, m } (m = 1..12). Default: the month after today.
+function parseStartMonth(v, now = new Date()) {
+  const m = String(v || "").match(/^(\d{4})-(\d{1,2})/);
+  if (m && Number(m[2]) >= 1 && Number(m[2]) <= 12) return { y: Number(m[1]), m: Number(m[2]) };
+  const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  return { y: d.getUTCFullYear(), m: d.getUTCMonth() + 1 };
+}
+
+// Payment n (1-based) → "YYYY-MM"
+function monthLabel(start, n) {
+  const idx = start.y * 12 + (start.m - 1) + (n - 1);
+  const y = Math.floor(idx / 12);
+  const m = (idx % 12) + 1;
+  return `${y}-${String(m).padStart(2, "0")}`;
+}
+
+// Lump sums / recasts may name a payment number ("month": 24) or a date ("date": "2028-06").
+function resolveMonth(entry, start) {
+  const byNum = num(entry?.month);
+  if (byNum !== null) return Math.round(byNum);
+  const m = String(entry?.date || "").match(/^(\d{4})-(\d{1,2})/);
+  if (!m) return null;
+  return (Number(m[1]) * 12 + Number(m[2]) - 1) - (start.y * 12 + start.m - 1) + 1;
+}
+
+// ------------------------------
+// //#2 LOAN RESOLUTION
+// ------------------------------
+// Payoff options only — for callers that already own the loan (elena-agent's mortgage estimate),
+// so a posted loanAmount / apr / miMonthly can't replace the program + MI math.
+const SCHEDULE_OPTIONS = ["startDate", "granularity", "extraMonthly", "extraMonthlyFrom", "lumpSums", "recasts", "recast"];
+
+function scheduleOptions(input) {
+  const out = {};
+  for (const k of SCHEDULE_OPTIONS) if (input && input[k] !== undefined) out[k] = input[k];
+  return out;
+}
+
+// Either a bare loan (loanAmount + apr) or a purchase scenario priced like the verdict.
+function resolveLoan(input) {
+  const termYears = num(input.termYears) || 30;
+  const price = num(input.price);
+  const downpayment = num(input.downpayment);
+  const creditScore = num(input.creditScore);
+
+  let loanAmount = num(input.loanAmount);
+  // A lookupRate() quote (e.g. the mortgage estimate's) supplies the APR and the citation.
+  let rate = input.rate && Number.isFinite(input.rate.apr) ? input.rate : null;
+  let apr = rate ? rate.apr : normalizeApr(input.apr);
+  let program = null;
+
+  if (loanAmount === null && price !== null && downpayment !== null) {
+    program = loanProgramCosts({
+      loanType: input.loanType,
+      price,
+      downpayment,
+      creditScore,
+      termYears,
+      vaExempt: !!input.vaFundingFeeExempt,
+      vaPriorUse: !!input.vaPriorUse,
+    });
+    loanAmount = program.total_loan;
+  }
+
+  if (apr === null) {
+    const ltv = program ? program.ltv : price && loanAmount ? loanAmount / price : null;
+    rate = lookupRate({ program: program ? program.type : input.loanType, termYears, creditScore, ltv, points: input.points });
+    apr = rate.apr;
+  }
+
+  if (!Number.isFinite(loanAmount) || loanAmount <= 0) return { ok: false, error: "Provide loanAmount, or price + downpayment." };
+  if (termYears < 1 || termYears > MAX_MONTHS / 12) return { ok: false, error: `termYears must be 1–${MAX_MONTHS / 12}.` };
+
+  // Original value for LTV-based MI removal: the price when we have it.
+  const value = price !== null && price > 0 ? price : null;
+
+  // Monthly MI: explicit amount wins, then the program's own MI.
+  let mi = null;
+  const miMonthly = num(input.miMonthly);
+  if (miMonthly !== null && miMonthly > 0) {
+    mi = { label: "Mortgage insurance", monthly: miMonthly, rule: input.miRule === "fha" ? "fha_11y" : "ltv78" };
+  } else if (program && program.monthly_mi) {
+    const rule = program.type === "conventional" ? "ltv78" : program.type === "fha" && program.ltv <= 0.90 ? "fha_11y" : "life";
+    mi = { label: program.monthly_mi.label, monthly: program.monthly_mi.monthly, rule };
+  }
+
+  return { ok: true, loanAmount, apr, termYears, value, program, rate, mi };
+}
+
+// ------------------------------
+// //#3 SCHEDULE
+// ------------------------------
+function simulate({ loanAmount, apr, termYears, extraMonthly = 0, extraFrom = 1, lumps = [], recasts = [] }) {
+  const n = Math.round(termYears * 12);
+  const r = apr / 12;
+  let payment = pmtMonthlyPI(loanAmount, apr, termYears);
+  let balance = loanAmount;
+  let totalInterest = 0;
+  const rows = [];
+  const recastLog = [];
+
+  for (let k = 1; k <= n && balance > 0.005; k++) {
+    const interest = balance * r;
+    let principal = Math.min(payment - interest, balance);
+    let extra = 0;
+
+    if (extraMonthly > 0 && k >= extraFrom) extra += extraMonthly;
+    for (const l of lumps) if (l.month === k) extra += l.amount;
+    extra = Math.min(extra, balance - principal);
+
+    balance -= principal + extra;
+    totalInterest += interest;
+    rows.push({ n: k, payment: principal + interest, principal, interest, extra, balance: Math.max(0, balance) });
+
+    const rc = recasts.find((x) => x.month === k);
+    if (rc && balance > 0.005 && k < n) {
+      payment = pmtMonthlyPI(balance, apr, (n - k) / 12);
+      recastLog.push({ month: k, new_payment: round2(payment), fee: rc.fee || 0 });
+    }
+  }
+
+  return { rows, totalInterest, recastLog, initialPayment: pmtMonthlyPI(loanAmount, apr, termYears) };
+}
+
+// First payment number at which MI stops, or null for life of loan / no MI.
+function miDropMonth(rows, mi, value, threshold) {
+  if (!mi) return null;
+  if (mi.rule === "fha_11y") return rows.length > 132 ? 133 : null;
+  if (mi.rule !== "ltv78" || !value) return null;
+  const hit = rows.find((row) => row.balance <= value * threshold);
+  return hit ? hit.n + 1 : null;
+}
+
+function yearly(rows) {
+  const out = [];
+  for (const row of rows) {
+    const y = Math.ceil(row.n / 12);
+    let cur = out[out.length - 1];
+    if (!cur || cur.year !== y) {
+      cur = { year: y, payment: 0, principal: 0, interest: 0, extra: 0, mi: 0, balance: 0 };
+      out.push(cur);
+    }
+    cur.payment += row.payment;
+    cur.principal += row.principal;
+    cur.interest += row.interest;
+    cur.extra += row.extra;
+    cur.mi += row.mi;
+    cur.balance = row.balance;
+    cur.end_date = row.date;
+  }
+  return out;
+}
+
+function shapeRow(row, value) {
+  const out = {};
+  for (const [k, v] of Object.entries(row)) out[k] = typeof v === "number" && k !== "n" && k !== "year" ? round2(v) : v;
+  if (value) {
+    out.equity = round2(value - row.balance);
+    out.equity_pct = Math.round(((value - row.balance) / value) * 1000) / 10;
+  }
+  return out;
+}
+
+// → { ok, loan, payment, baseline, with_extras, interest_saved, months_saved, mortgage_insurance, recasts, schedule }
+function buildAmortization(input = {}) {
+  const loan = resolveLoan(input);
+  if (!loan.ok) return { ok: false, error: loan.error };
+
+  const start = parseStartMonth(input.startDate);
+  const n = Math.round(loan.termYears * 12);
+
+  const lumps = (Array.isArray(input.lumpSums) ? input.lumpSums : [])
+    .map((l) => ({ month: resolveMonth(l, start), amount: num(l?.amount) }))
+    .filter((l) => l.month >= 1 && l.month <= n && l.amount > 0);
+
+  // recast: true re-amortizes after every lump sum; recasts: [...] names the months.
+  let recasts = (Array.isArray(input.recasts) ? input.recasts : [])
+    .map((x) => ({ month: resolveMonth(x, start), fee: num(x?.fee) || 0 }))
+    .filter((x) => x.month >= 1 && x.month < n);
+  if (input.recast === true) recasts = recasts.concat(lumps.map((l) => ({ month: l.month, fee: 0 })));
+
+  const extraMonthly = Math.max(0, num(input.extraMonthly) || 0);
+  const extraFrom = Math.max(1, Math.round(num(input.extraMonthlyFrom) || 1));
+
+  const base = simulate({ loanAmount: loan.loanAmount, apr: loan.apr, termYears: loan.termYears });
+  const run = simulate({ loanAmount: loan.loanAmount, apr: loan.apr, termYears: loan.termYears, extraMonthly, extraFrom, lumps, recasts });
+
+  const dropMonth = miDropMonth(run.rows, loan.mi, loan.value, 0.78);
+  const requestMonth = miDropMonth(run.rows, loan.mi, loan.value, 0.8);
+  const baseDropMonth = miDropMonth(base.rows, loan.mi, loan.value, 0.78);
+
+  for (const row of run.rows) {
+    row.date = monthLabel(start, row.n);
+    row.mi = loan.mi && (dropMonth === null || row.n < dropMonth) ? loan.mi.monthly : 0;
+  }
+
+  const totalMi = run.rows.reduce((a, row) => a + row.mi, 0);
+  const recastFees = run.recastLog.reduce((a, x) => a + x.fee, 0);
+  const baseMi = loan.mi
+    ? loan.mi.monthly * (baseDropMonth === null ? base.rows.length : Math.min(base.rows.length, baseDropMonth - 1))
+    : 0;
+
+  const granularity = input.granularity === "monthly" ? "monthly" : "yearly";
+  const schedule = granularity === "monthly" ? run.rows : yearly(run.rows);
+
+  const summary = (sim) => ({
+    months: sim.rows.length,
+    payoff_date: sim.rows.length ? monthLabel(start, sim.rows.length) : null,
+    total_interest: round2(sim.totalInterest),
+  });
+
+  const miDrop = (m) => (m === null ? null : { month: m, date: monthLabel(start, m) });
+
+  return {
+    ok: true,
+    loan: {
+      amount: round2(loan.loanAmount),
+      apr: loan.apr,
+      term_years: loan.termYears,
+      original_value: loan.value,
+      program: loan.program ? loan.program.type : null,
+      rate_sheet: loan.rate ? { version: loan.rate.sheet?.version || null, row_id: loan.rate.row?.id || null } : null,
+      first_payment: monthLabel(start, 1),
+    },
+    payment: {
+      principal_interest: round2(run.initialPayment),
+      mortgage_insurance: loan.mi ? round2(loan.mi.monthly) : 0,
+      extra_monthly: extraMonthly,
+    },
+    baseline: { ...summary(base), total_mi: round2(baseMi) },
+    with_extras: {
+      ...summary(run),
+      total_mi: round2(totalMi),
+      total_extra: round2(run.rows.reduce((a, row) => a + row.extra, 0)),
+      recast_fees: recastFees,
+    },
+    interest_saved: round2(base.totalInterest - run.totalInterest),
+    mi_saved: round2(baseMi - totalMi),
+    months_saved: base.rows.length - run.rows.length,
+    mortgage_insurance: loan.mi
+      ? {
+          label: loan.mi.label,
+          monthly: round2(loan.mi.monthly),
+          rule: loan.mi.rule,
+          drops_off: miDrop(dropMonth),
+          can_request_removal: loan.mi.rule === "ltv78" ? miDrop(requestMonth) : null,
+          drops_off_without_extras: miDrop(baseDropMonth),
+        }
+      : null,
+    recasts: run.recastLog.map((x) => ({ ...x, date: monthLabel(start, x.month) })),
+    granularity,
+    schedule: schedule.map((row) => shapeRow(row, loan.value)),
+  };
+}
+
+module.exports = {
+  scheduleOptions,
+  normalizeApr,
+  buildAmortization,
+};
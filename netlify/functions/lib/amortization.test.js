@@ -0,0 +1,40 @@
+// netlify/functions/lib/amortization.test.js — run with `npm test` (node --test)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildAmortization } = require("./amortization");
+
+const LOAN = { loanAmount: 200000, apr: 6, termYears: 30, startDate: "2026-01" };
+
+test("$200k at 6% for 30 years: textbook payment, interest and first-year balance", () => {
+  const a = buildAmortization(LOAN);
+  assert.ok(a.ok);
+  assert.equal(a.payment.principal_interest, 1199.1);
+  assert.equal(a.baseline.months, 360);
+  assert.equal(a.baseline.payoff_date, "2055-12");
+  assert.equal(a.baseline.total_interest, 231676.38);
+  assert.equal(a.schedule[0].principal, 2456.02);
+  assert.equal(a.schedule[0].balance, 197543.98);
+});
+
+test("$200/mo extra pays off in 21 years and saves ~$79.8k of interest", () => {
+  const a = buildAmortization({ ...LOAN, extraMonthly: 200 });
+  assert.equal(a.with_extras.months, 252);
+  assert.equal(a.months_saved, 108);
+  assert.equal(a.interest_saved, 79800.51);
+});
+
+test("a recast after a $20k lump sum re-amortizes the balance over the months left", () => {
+  const a = buildAmortization({ ...LOAN, lumpSums: [{ month: 12, amount: 20000 }], recast: true });
+  // $177,543.98 over 348 months at 0.5%/mo
+  assert.deepEqual(a.recasts, [{ month: 12, new_payment: 1077.7, fee: 0, date: "2026-12" }]);
+});
+
+test("conventional PMI drops off the month the balance reaches 78% of the price", () => {
+  const a = buildAmortization({ price: 250000, downpayment: 25000, creditScore: 740, loanType: "conv", apr: 6, startDate: "2026-01" });
+  const r = 0.005;
+  const pay = (225000 * r) / (1 - (1 + r) ** -360);
+  const balanceAfter = (n) => 225000 * (1 + r) ** n - (pay * ((1 + r) ** n - 1)) / r;
+  let month = 1;
+  while (balanceAfter(month) > 250000 * 0.78) month++;
+  assert.equal(a.mortgage_insurance.drops_off.month, month + 1); // first payment without PMI
+});
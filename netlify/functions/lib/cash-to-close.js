@@ -0,0 +1,219 @@
+// netlify/functions/lib/cash-to-close.js
+// ============================================================
+// v1.0.0 — RealtySaSS • Cash-to-close estimator (deterministic)
+//
+// ✅ Down payment + closing costs (basics money_math.closing_costs_ranges, low/mid/high)
+// ✅ Prepaids + initial escrow from the mortgage's tax/insurance assumptions, prepaid interest
+// ✅ Discount points and any upfront program fee that isn't financed
+// ✅ Earnest money + state items (Texas option fee from core_terms_tx) — paid at contract,
+//    credited at closing, so they change *when* cash is due, not the total
+// ✅ Seller concessions (capped by program) + lender credits reduce the total,
+//    but never below the down payment (credits can't fund the down payment)
+// ============================================================
+
+const { loadBasics, loadState } = require("./knowledge");
+
+// ------------------------------
+// //#1 ASSUMPTIONS
+// ------------------------------
+const DEFAULT_CLOSING_PCT = { low: 0.02, high: 0.05 };
+const EARNEST_MONEY_PCT = 0.01;
+const ESCROW_TAX_MONTHS = 3; // initial escrow deposit for taxes
+const ESCROW_INSURANCE_MONTHS = 2; // escrow cushion on top of the first-year premium
+const PREPAID_INTEREST_DAYS = 15; // mid-month closing
+
+// Texas option fees run a few hundred dollars; the contract sets the real number.
+const STATE_ITEMS = {
+  texas: [
+    {
+      key: "option_fee",
+      label: "Option fee (paid to seller)",
+      default_amount: 300,
+      input: "optionFee",
+      present: (state) => !!state?.core_terms_tx?.option_period?.money?.option_fee,
+      source: (state) => state?.core_terms_tx?.option_period?.money?.option_fee || null,
+      credited_at_closing: true,
+    },
+  ],
+};
+
+// Max seller concessions as a share of price (conventional depends on LTV).
+function concessionCapPct(programType, ltv) {
+  if (programType === "fha" || programType === "usda") return 0.06;
+  if (programType === "va") return 0.04;
+  if (!Number.isFinite(ltv)) return 0.03;
+  if (ltv > 0.90) return 0.03;
+  if (ltv > 0.75) return 0.06;
+  return 0.09;
+}
+
+// "2%–5% of purchase price" → { low: 0.02, high: 0.05 }
+function closingPctRange(basics) {
+  const typical = basics?.money_math?.closing_costs_ranges?.buyer_closing_costs_percent?.typical;
+  const m = String(typical || "").match(/(\d+(?:\.\d+)?)\s*%?\s*[–-]\s*(\d+(?:\.\d+)?)\s*%/);
+  if (!m) return { ...DEFAULT_CLOSING_PCT, source: "built-in default" };
+  return {
+    low: Number(m[1]) / 100,
+    high: Number(m[2]) / 100,
+    source: "ask-elena-realestate-basics.json money_math.closing_costs_ranges",
+  };
+}
+
+function money(n) {
+  return Math.round(Number(n) || 0);
+}
+
+// A caller-supplied amount, or null when it wasn't given (0 is a real answer).
+function given(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+// ------------------------------
+// //#2 ESTIMATE
+// ------------------------------
+// mortgage = estimateAllInHousing() result (needs ok: true).
+function estimateCashToClose({
+  price,
+  downpayment,
+  mortgage,
+  stateKey,
+  earnestMoney,
+  optionFee,
+  sellerConcessions,
+  lenderCredits,
+}) {
+  if (!mortgage?.ok || !Number.isFinite(price) || price <= 0) {
+    return { ok: false, reason: "Needs a priced mortgage estimate." };
+  }
+
+  const basicsLoad = loadBasics();
+  const range = closingPctRange(basicsLoad.ok ? basicsLoad.data : null);
+  const stateLoad = stateKey ? loadState(stateKey) : { ok: false };
+  const notes = [];
+
+  const down = Math.max(0, Number(downpayment) || 0);
+  const program = mortgage.program || {};
+  const used = mortgage.assumptions_used || {};
+
+  // Closing costs: range from basics; the point estimate is the midpoint.
+  const closingLow = price * range.low;
+  const closingHigh = price * range.high;
+  const closingMid = (closingLow + closingHigh) / 2;
+
+  // Prepaids + initial escrow
+  const taxMonthly = (price * (Number(used.taxRate) || 0)) / 12;
+  const insAnnual = Number(used.insuranceAnnual) || 0;
+  const prepaidInterest = (((program.total_loan || 0) * (mortgage.apr_assumed || 0)) / 365) * PREPAID_INTEREST_DAYS;
+  const prepaid = {
+    insurance_first_year: money(insAnnual),
+    insurance_escrow: money((insAnnual / 12) * ESCROW_INSURANCE_MONTHS),
+    tax_escrow: money(taxMonthly * ESCROW_TAX_MONTHS),
+    prepaid_interest: money(prepaidInterest),
+  };
+  const prepaidTotal = Object.values(prepaid).reduce((a, b) => a + b, 0);
+  if (!taxMonthly || !insAnnual) notes.push("Prepaids leave out taxes or insurance (no rate on file).");
+
+  const pointsCost = money(mortgage.rate?.points_cost);
+  const fee = program.upfront_fee;
+  const upfrontCash = fee && !fee.financed ? money(fee.amount) : 0;
+
+  const items = [
+    { key: "down_payment", label: "Down payment", amount: money(down) },
+    {
+      key: "closing_costs",
+      label: "Closing costs",
+      amount: money(closingMid),
+      low: money(closingLow),
+      high: money(closingHigh),
+      pct_range: [range.low, range.high],
+    },
+    { key: "prepaids_escrow", label: "Prepaids + initial escrow", amount: prepaidTotal, detail: prepaid },
+  ];
+  if (pointsCost > 0) items.push({ key: "discount_points", label: "Discount points", amount: pointsCost });
+  if (upfrontCash > 0) items.push({ key: fee.key, label: fee.label, amount: upfrontCash });
+
+  const gross = items.reduce((a, it) => a + it.amount, 0);
+
+  // Credits only offset costs, never the down payment.
+  const offsettable = gross - money(down);
+  const capPct = concessionCapPct(program.type, program.ltv);
+  const concessionsAsked = given(sellerConcessions) || 0;
+  const concessionsCapped = Math.min(concessionsAsked, price * capPct);
+  if (concessionsAsked > concessionsCapped) {
+    notes.push(`Seller concessions capped at ${Math.round(capPct * 1000) / 10}% of price for ${program.label || "this loan"}.`);
+  }
+  const lenderAsked = given(lenderCredits) || 0;
+
+  let creditsLeft = offsettable;
+  const concessionsApplied = Math.min(concessionsCapped, creditsLeft);
+  creditsLeft -= concessionsApplied;
+  const lenderApplied = Math.min(lenderAsked, creditsLeft);
+  if (concessionsApplied + lenderApplied < concessionsCapped + lenderAsked) {
+    notes.push("Credits exceed closing costs + prepaids; the excess can't go toward the down payment.");
+  }
+
+  const credits = [];
+  if (concessionsApplied > 0) credits.push({ key: "seller_concessions", label: "Seller concessions", amount: -money(concessionsApplied) });
+  if (lenderApplied > 0) credits.push({ key: "lender_credits", label: "Lender credits", amount: -money(lenderApplied) });
+  const creditTotal = credits.reduce((a, c) => a + c.amount, 0);
+
+  // Paid at contract, credited back at closing.
+  const earnestGiven = given(earnestMoney);
+  const at_contract = [
+    {
+      key: "earnest_money",
+      label: "Earnest money",
+      amount: money(earnestGiven !== null ? earnestGiven : price * EARNEST_MONEY_PCT),
+      assumed: earnestGiven === null,
+      credited_at_closing: true,
+    },
+  ];
+  const stateInputs = { optionFee };
+
+  const stateItems = stateLoad.ok ? STATE_ITEMS[stateLoad.key] || [] : [];
+  for (const si of stateItems) {
+    if (!si.present(stateLoad.data)) continue;
+    const amount = given(stateInputs[si.input]);
+    at_contract.push({
+      key: si.key,
+      label: si.label,
+      amount: money(amount !== null ? amount : si.default_amount),
+      assumed: amount === null,
+      credited_at_closing: si.credited_at_closing,
+      source: `${stateLoad.file}: ${si.source(stateLoad.data)}`,
+    });
+  }
+
+  const total = gross + creditTotal;
+  const totalLow = total - money(closingMid) + money(closingLow);
+  const totalHigh = total - money(closingMid) + money(closingHigh);
+  const dueAtContract = at_contract.reduce((a, it) => a + it.amount, 0);
+
+  return {
+    ok: true,
+    total,
+    range: { low: Math.max(money(down), totalLow), high: totalHigh },
+    items,
+    credits,
+    at_contract,
+    due_at_contract: dueAtContract,
+    due_at_closing: Math.max(0, total - dueAtContract),
+    assumptions: {
+      closing_costs_pct: [range.low, range.high],
+      closing_costs_source: range.source,
+      earnest_money_pct: earnestGiven === null ? EARNEST_MONEY_PCT : null,
+      escrow_tax_months: ESCROW_TAX_MONTHS,
+      escrow_insurance_months: ESCROW_INSURANCE_MONTHS,
+      prepaid_interest_days: PREPAID_INTEREST_DAYS,
+      seller_concession_cap_pct: capPct,
+    },
+    notes,
+  };
+}
+
+module.exports = {
+  concessionCapPct,
+  estimateCashToClose,
+};
@@ -0,0 +1,49 @@
+// netlify/functions/lib/cash-to-close.test.js — run with `npm test` (node --test)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { estimateCashToClose } = require("./cash-to-close");
+
+// $375k, 20% down, 7.3% APR, 2% tax, $2,400/yr insurance — a fixed mortgage so the numbers don't ride the rate sheet.
+const MORTGAGE = {
+  ok: true,
+  apr_assumed: 0.073,
+  rate: { points_cost: 0 },
+  program: { type: "conventional", label: "Conventional", ltv: 0.8, total_loan: 300000, upfront_fee: null },
+  assumptions_used: { taxRate: 0.02, insuranceAnnual: 2400 },
+};
+const BASE = { price: 375000, downpayment: 75000, mortgage: MORTGAGE };
+
+test("down payment + 2–5% closing costs (midpoint) + prepaids/escrow", () => {
+  const c = estimateCashToClose(BASE);
+  const item = (key) => c.items.find((i) => i.key === key);
+
+  assert.equal(item("closing_costs").amount, 13125);
+  assert.equal(item("closing_costs").low, 7500);
+  assert.equal(item("closing_costs").high, 18750);
+  // $2,400 first year + $400 cushion + $1,875 tax escrow (3 mo) + $900 interest (15 days)
+  assert.deepEqual(item("prepaids_escrow").detail, {
+    insurance_first_year: 2400,
+    insurance_escrow: 400,
+    tax_escrow: 1875,
+    prepaid_interest: 900,
+  });
+  assert.equal(c.total, 93700);
+  assert.deepEqual(c.range, { low: 88075, high: 99325 });
+});
+
+test("Texas: earnest money + option fee are due at contract, not extra", () => {
+  const c = estimateCashToClose({ ...BASE, stateKey: "texas" });
+  assert.equal(c.total, 93700);
+  assert.deepEqual(
+    c.at_contract.map((i) => [i.key, i.amount]),
+    [["earnest_money", 3750], ["option_fee", 300]]
+  );
+});
+
+test("seller concessions: capped at 6% for 80% LTV and never toward the down payment", () => {
+  const c = estimateCashToClose({ ...BASE, sellerConcessions: 30000 });
+  // Cap $22,500, but only $18,700 of costs to offset → total is the down payment alone.
+  assert.equal(c.credits[0].amount, -18700);
+  assert.equal(c.total, 75000);
+  assert.equal(c.notes.length, 2);
+});
@@ -0,0 +1,163 @@
+// netlify/functions/lib/commands.js
+// ============================================================
+// v1.0.0 — RealtySaSS • Ask Elena slash commands
+//
+// ✅ /reset            → clears every remembered key
+// ✅ /memory           → shows what Elena remembers
+// ✅ /forget <key>     → deletes one key
+// ✅ /state TX         → sets the working state (drives state packs)
+// ✅ /mode buyer|seller|investor
+// ✅ /help             → command list
+//
+// Memory patch contract: a key set to null means "delete this key".
+// ============================================================
+
+const { normalizeStateKey, loadState } = require("./knowledge");
+
+// ------------------------------
+// //#1 CONSTANTS
+// ------------------------------
+const MODES = ["buyer", "seller", "investor"];
+
+// Friendly names people type → stored memory keys
+const KEY_ALIASES = {
+  number: "last_number_1_10",
+  intent: "last_intent",
+};
+
+const HELP_LINES = [
+  "Commands:",
+  "• **/memory** — what I remember",
+  "• **/forget <key>** — drop one item",
+  "• **/state TX** — set your working state",
+  "• **/mode buyer|seller|investor**",
+  "• **/reset** — clear everything",
+];
+
+// ------------------------------
+// //#2 PARSER
+// ------------------------------
+function parseCommand(text) {
+  const m = String(text || "").trim().match(/^\/([a-z]+)\b\s*(.*)$/i);
+  if (!m) return null;
+  return { name: m[1].toLowerCase(), args: m[2].trim() };
+}
+
+function normalizeMemoryKey(raw) {
+  const k = String(raw || "").trim().toLowerCase().replace(/[\s-]+/g, "_").replace(/[^a-z0-9_]/g, "");
+  return KEY_ALIASES[k] || k;
+}
+
+function formatMemoryValue(v) {
+  if (v === null || v === undefined) return "—";
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
+// ------------------------------
+// //#3 COMMANDS
+// ------------------------------
+function cmdReset(memory) {
+  const memory_patch = {};
+  for (const k of Object.keys(memory || {})) memory_patch[k] = null;
+  return {
+    reply: "Clean slate — I’ve cleared everything I remembered.",
+    memory_patch,
+    memory_reset: true,
+  };
+}
+
+function cmdMemory(memory) {
+  const keys = Object.keys(memory || {}).filter((k) => memory[k] !== null && memory[k] !== undefined);
+  if (!keys.length) {
+    return { reply: "I’m not holding anything yet. Try **/state TX** or **/mode buyer**.", memory_patch: {} };
+  }
+  const lines = ["Here’s what I remember:"];
+  for (const k of keys.sort()) lines.push(`• **${k}**: ${formatMemoryValue(memory[k])}`);
+  lines.push("", "Use **/forget <key>** to drop one.");
+  return { reply: lines.join("\n"), memory_patch: {} };
+}
+
+function cmdForget(memory, args) {
+  const key = normalizeMemoryKey(args);
+  if (!key) return { reply: "Which one? Example: **/forget state**", memory_patch: {} };
+
+  if (!Object.prototype.hasOwnProperty.call(memory || {}, key)) {
+    return { reply: `I don’t have **${key}** saved.`, memory_patch: {} };
+  }
+  return { reply: `Done — forgot **${key}**.`, memory_patch: { [key]: null } };
+}
+
+function cmdState(memory, args) {
+  if (!args) {
+    const cur = memory?.state;
+    return {
+      reply: cur ? `Working state: **${cur}**. Change it with **/state AZ**.` : "No state set. Example: **/state TX**",
+      memory_patch: {},
+    };
+  }
+
+  const key = normalizeStateKey(args);
+  if (!key) return { reply: "I didn’t catch the state. Example: **/state TX**", memory_patch: {} };
+
+  const load = loadState(key);
+  const reply = load.ok
+    ? `Got it — working in **${key}**. I’ll use the ${key} playbook from here.`
+    : `Saved **${key}** — I don’t have a state pack for it yet, so answers stay general.`;
+
+  return { reply, memory_patch: { state: key }, state_pack: load.ok ? load.file : null };
+}
+
+function cmdMode(memory, args) {
+  const mode = String(args || "").trim().toLowerCase();
+  if (!MODES.includes(mode)) {
+    return { reply: `Pick one: **/mode ${MODES.join("|")}**`, memory_patch: {} };
+  }
+  return { reply: `Mode set: **${mode}**. Ask away.`, memory_patch: { mode } };
+}
+
+const COMMANDS = {
+  reset: (memory) => cmdReset(memory),
+  memory: (memory) => cmdMemory(memory),
+  forget: (memory, args) => cmdForget(memory, args),
+  state: (memory, args) => cmdState(memory, args),
+  mode: (memory, args) => cmdMode(memory, args),
+  help: () => ({ reply: HELP_LINES.join("\n"), memory_patch: {} }),
+};
+
+// ------------------------------
+// //#4 PUBLIC ENTRY
+// ------------------------------
+function runCommand(text, memory) {
+  const cmd = parseCommand(text);
+  if (!cmd) return null;
+
+  const fn = COMMANDS[cmd.name];
+  if (!fn) {
+    return {
+      command: cmd.name,
+      ok: false,
+      reply: [`I don’t know **/${cmd.name}**.`, ...HELP_LINES].join("\n"),
+      memory_patch: {},
+    };
+  }
+
+  return { command: cmd.name, ok: true, ...fn(memory || {}, cmd.args) };
+}
+
+// Applies a patch where null means delete.
+function applyMemoryPatch(memory, patch) {
+  const out = { ...(memory || {}) };
+  for (const [k, v] of Object.entries(patch || {})) {
+    if (v === null) delete out[k];
+    else out[k] = v;
+  }
+  return out;
+}
+
+module.exports = {
+  MODES,
+  parseCommand,
+  runCommand,
+  applyMemoryPatch,
+};
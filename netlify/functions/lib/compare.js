@@ -0,0 +1,243 @@
+// netlify/functions/lib/compare.js
+// ============================================================
+// v1.0.2 — RealtySaSS • Side-by-side property comparison (deterministic)
+//
+// ✅ One buyer profile (income, debts, credit, loan type, cash) against 2–6 candidate homes
+// ✅ Property fields: label, price, hoaMonthly, taxRate (2.1 = 0.021), insuranceAnnual, state,
+//    optional downpayment ($) or downpayment_pct; otherwise the buyer's down payment (same cash)
+// ✅ Tax / insurance / HOA are per home: the home's own values, else its state pack's `defaults`
+//    block when the pack has one, else the built-in estimates (2% tax, $2,400/yr insurance, no HOA).
+//    The buyer's own scenario tax/insurance/HOA never carry over to a listing.
+// ✅ Each home runs evaluateAffordability() with its own state (VA region, TX option fee, defaults)
+//    → mortgage breakdown, verdict, cash-to-close
+// ✅ FIX: a home whose state file won't load is priced on the built-in estimates (+ a note)
+// ✅ Ranked: verdict status first (GREEN → CAUTION → NO-GO), then all-in monthly, then cash-to-close
+// ✅ differences: cost lines with the widest spread between homes, biggest first
+// ============================================================
+
+const { normalizeStateKey, loadState } = require("./knowledge");
+const { evaluateAffordability } = require("./affordability");
+
+// ------------------------------
+// //#1 INPUTS
+// ------------------------------
+const MIN_PROPERTIES = 2;
+const MAX_PROPERTIES = 6;
+const STATUS_RANK = { GREEN: 0, CAUTION: 1, "NO-GO": 2 };
+
+// Monthly lines + cash-to-close, in the order they're called out.
+const COST_LINES = [
+  { key: "all_in_monthly", label: "All-in monthly", unit: "/mo" },
+  { key: "principal_interest", label: "Principal & interest", unit: "/mo" },
+  { key: "taxes", label: "Property taxes", unit: "/mo" },
+  { key: "insurance", label: "Homeowners insurance", unit: "/mo" },
+  { key: "hoa", label: "HOA", unit: "/mo" },
+  { key: "mortgage_insurance", label: "Mortgage insurance", unit: "/mo" },
+  { key: "cash_to_close", label: "Cash to close", unit: "" },
+];
+
+function num(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// 2.1 and 0.021 both mean a 2.1% tax rate; 0.7 is 0.7% (no real tax rate is 10%+).
+function rate(v) {
+  const n = num(v);
+  if (n === null || n < 0) return null;
+  return Math.round((n >= 0.1 ? n / 100 : n) * 100000) / 100000;
+}
+
+function money(n) {
+  return `$${Math.round(n).toLocaleString("en-US")}`;
+}
+
+// Per-home inputs; anything missing falls back to the buyer's scenario.
+function readProperty(raw, i, baseArgs) {
+  const p = raw && typeof raw === "object" ? raw : {};
+  const price = num(p.price ?? p.homePrice);
+  const label = String(p.label || p.name || p.address || "").trim().slice(0, 80) || `Home ${i + 1}`;
+
+  const downPct = num(p.downpayment_pct ?? p.downpaymentPct);
+  const downpayment =
+    num(p.downpayment) ??
+    (downPct !== null && price !== null ? Math.round((price * downPct) / 100) : null) ??
+    num(baseArgs.downpayment);
+
+  // No state → the buyer's state; a state without a data file falls to the built-in estimates.
+  const stateRaw = String(p.state || "").trim();
+  const stateLoad = stateRaw ? loadState(stateRaw) : null;
+  const stateDefaults = !stateLoad ? baseArgs.stateDefaults || null : stateLoad.ok ? stateLoad.data?.defaults || null : null;
+
+  return {
+    index: i,
+    label,
+    price,
+    downpayment,
+    taxRate: rate(p.taxRate ?? p.tax_rate),
+    insuranceAnnual: num(p.insuranceAnnual ?? p.insurance_annual),
+    hoaMonthly: num(p.hoaMonthly ?? p.hoa_monthly ?? p.hoa),
+    stateKey: stateRaw ? normalizeStateKey(stateRaw) || baseArgs.stateKey : baseArgs.stateKey,
+    stateDefaults,
+    notes: stateLoad && !stateLoad.ok ? [`No data file for ${stateRaw}; taxes and insurance use the built-in estimates.`] : [],
+  };
+}
+
+// ------------------------------
+// //#2 EVALUATE
+// ------------------------------
+function evaluateProperty(baseArgs, p) {
+  if (p.price === null || p.price <= 0) {
+    return { index: p.index, label: p.label, ok: false, error: "Needs a price.", notes: p.notes };
+  }
+
+  // The comparison only needs each verdict; skip the quick-rails price solver.
+  const ev = evaluateAffordability({
+    ...baseArgs,
+    price: p.price,
+    downpayment: p.downpayment,
+    taxRate: p.taxRate,
+    insuranceAnnual: p.insuranceAnnual,
+    hoaMonthly: p.hoaMonthly,
+    stateKey: p.stateKey,
+    stateDefaults: p.stateDefaults,
+    solve: false,
+  });
+  const m = ev.mortgage?.ok ? ev.mortgage : null;
+
+  return {
+    index: p.index,
+    label: p.label,
+    ok: !!m,
+    error: m ? null : ev.mortgage?.reason || "Mortgage estimate unavailable (needs downpayment + credit score).",
+    inputs: {
+      price: p.price,
+      downpayment: p.downpayment,
+      downpayment_pct: Number.isFinite(p.downpayment) ? Math.round((p.downpayment / p.price) * 1000) / 10 : null,
+      state: p.stateKey || null,
+      ...(m ? m.assumptions_used : { taxRate: p.taxRate, insuranceAnnual: p.insuranceAnnual, hoaMonthly: p.hoaMonthly }),
+    },
+    mortgage: m
+      ? {
+          all_in_monthly: m.all_in_monthly,
+          breakdown: m.breakdown,
+          apr_assumed: m.apr_assumed,
+          loan_amount: m.loan_amount,
+          program: m.program.label,
+          meets_min_down: m.program.meets_min_down,
+        }
+      : null,
+    verdict: ev.verdict
+      ? {
+          status: ev.verdict.status,
+          grade: ev.verdict.grade,
+          housing_cap: Math.round(ev.verdict.housingCap),
+          status_from: ev.verdict.status_from,
+          explain: ev.verdict.explain,
+        }
+      : null,
+    cash_to_close: ev.cash_to_close?.ok ? ev.cash_to_close : null,
+    notes: p.notes,
+  };
+}
+
+function costOf(r, key) {
+  if (!r.ok) return null;
+  if (key === "all_in_monthly") return r.mortgage.all_in_monthly;
+  if (key === "cash_to_close") return r.cash_to_close ? r.cash_to_close.total : null;
+  return num(r.mortgage.breakdown[key]);
+}
+
+// Priced homes first; then status, all-in monthly, cash-to-close.
+function compareRank(a, b) {
+  if (a.ok !== b.ok) return a.ok ? -1 : 1;
+  if (!a.ok) return a.index - b.index;
+  const s = (STATUS_RANK[a.verdict?.status] ?? 3) - (STATUS_RANK[b.verdict?.status] ?? 3);
+  if (s) return s;
+  const m = a.mortgage.all_in_monthly - b.mortgage.all_in_monthly;
+  if (m) return m;
+  return (costOf(a, "cash_to_close") ?? Infinity) - (costOf(b, "cash_to_close") ?? Infinity);
+}
+
+// ------------------------------
+// //#3 DIFFERENCES
+// ------------------------------
+// Widest spread per cost line across priced homes; monthly and cash lines sorted separately
+// so a $20k cash gap never buries a $300/mo one.
+function costDifferences(results) {
+  const priced = results.filter((r) => r.ok);
+  if (priced.length < 2) return [];
+
+  const out = [];
+  for (const line of COST_LINES) {
+    const vals = priced.map((r) => ({ label: r.label, value: costOf(r, line.key) })).filter((v) => v.value !== null);
+    if (vals.length < 2) continue;
+    vals.sort((a, b) => a.value - b.value);
+    const low = vals[0];
+    const high = vals[vals.length - 1];
+    const spread = Math.round(high.value - low.value);
+    if (spread <= 0) continue;
+    out.push({
+      item: line.key,
+      label: line.label,
+      spread,
+      low: { label: low.label, value: Math.round(low.value) },
+      high: { label: high.label, value: Math.round(high.value) },
+      text: `${line.label}: ${high.label} is ${money(spread)}${line.unit} more than ${low.label}.`,
+    });
+  }
+
+  const total = out.filter((d) => d.item === "all_in_monthly");
+  const cash = out.filter((d) => d.item === "cash_to_close");
+  const lines = out.filter((d) => d.item !== "all_in_monthly" && d.item !== "cash_to_close");
+  lines.sort((a, b) => b.spread - a.spread);
+  return [...total, ...lines, ...cash];
+}
+
+// ------------------------------
+// //#4 COMPARE
+// ------------------------------
+// baseArgs = the evaluateAffordability() args for the buyer (price/HOA/tax/insurance are set per home).
+function compareProperties({ baseArgs, properties }) {
+  const list = Array.isArray(properties) ? properties : [];
+  if (list.length < MIN_PROPERTIES) return { ok: false, error: `Compare needs at least ${MIN_PROPERTIES} properties.` };
+
+  const notes = [];
+  if (list.length > MAX_PROPERTIES) notes.push(`Only the first ${MAX_PROPERTIES} properties were compared.`);
+
+  const results = list.slice(0, MAX_PROPERTIES).map((raw, i) => evaluateProperty(baseArgs, readProperty(raw, i, baseArgs)));
+  const ranked = [...results].sort(compareRank);
+  ranked.forEach((r, i) => {
+    r.rank = r.ok ? i + 1 : null;
+  });
+
+  const priced = ranked.filter((r) => r.ok);
+  if (!priced.length) {
+    return { ok: false, error: "No property could be priced — needs downpayment and credit score.", properties: ranked };
+  }
+  if (priced.length < ranked.length) notes.push("Homes without a price estimate are listed last, unranked.");
+  for (const r of results) for (const n of r.notes) notes.push(`${r.label}: ${n}`);
+  if (!Number.isFinite(baseArgs.income)) notes.push("No income given, so every verdict is incomplete; ranked by cost.");
+
+  const best = priced[0];
+  return {
+    ok: true,
+    count: ranked.length,
+    best: {
+      label: best.label,
+      status: best.verdict?.status || null,
+      all_in_monthly: best.mortgage.all_in_monthly,
+      cash_to_close: costOf(best, "cash_to_close"),
+    },
+    ranking: priced.map((r) => r.label),
+    properties: ranked,
+    differences: costDifferences(ranked),
+    notes,
+  };
+}
+
+module.exports = {
+  MAX_PROPERTIES,
+  compareProperties,
+};
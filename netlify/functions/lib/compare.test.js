@@ -0,0 +1,67 @@
+// netlify/functions/lib/compare.test.js — run with `npm test` (node --test)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { compareProperties } = require("./compare");
+
+// The buyer's own scenario carries a $250 HOA and a 2.2% tax rate; neither belongs to the listings.
+const BASE = {
+  income: 12000,
+  debts: 300,
+  downpayment: 50000,
+  creditScore: 740,
+  termYears: 30,
+  loanType: "conv",
+  stateKey: "texas",
+  hoaMonthly: 250,
+  taxRate: 0.022,
+  insuranceAnnual: 3000,
+};
+
+function byLabel(res, label) {
+  return res.properties.find((p) => p.label === label);
+}
+
+test("tax / insurance / HOA are per home, never the buyer's scenario values", () => {
+  const res = compareProperties({
+    baseArgs: BASE,
+    properties: [
+      { label: "Mesa", price: 400000, state: "AZ" },
+      { label: "Austin", price: 400000, taxRate: 2.1, hoaMonthly: 80 },
+    ],
+  });
+  assert.ok(res.ok);
+
+  const az = byLabel(res, "Mesa").mortgage.breakdown;
+  assert.equal(az.hoa, 0);
+  assert.equal(az.taxes, 667); // 2% built-in on $400k
+  assert.equal(az.insurance, 200); // $2,400/yr built-in
+
+  const tx = byLabel(res, "Austin").mortgage.breakdown;
+  assert.equal(tx.hoa, 80);
+  assert.equal(tx.taxes, 700); // 2.1% → 0.021 on $400k
+});
+
+test("ranking: cheaper all-in first; differences lead with the all-in gap", () => {
+  const res = compareProperties({
+    baseArgs: BASE,
+    properties: [
+      { label: "Pricier", price: 450000 },
+      { label: "Cheaper", price: 380000 },
+    ],
+  });
+  assert.deepEqual(res.ranking, ["Cheaper", "Pricier"]);
+  assert.equal(res.differences[0].item, "all_in_monthly");
+  assert.equal(res.differences[0].high.label, "Pricier");
+});
+
+test("a state without a data file notes the built-in estimates", () => {
+  const res = compareProperties({
+    baseArgs: BASE,
+    properties: [
+      { label: "Tampa", price: 400000, state: "Florida" },
+      { label: "Austin", price: 400000 },
+    ],
+  });
+  assert.equal(byLabel(res, "Tampa").mortgage.breakdown.taxes, 667);
+  assert.ok(res.notes.some((n) => n.startsWith("Tampa: No data file for Florida")));
+});
@@ -0,0 +1,221 @@
+// netlify/functions/lib/guardrails.js
+// ============================================================
+// v1.0.2 — RealtySaSS • Fair-housing + legal guardrails
+//
+// ✅ Screens a message before any answer is built (ask-elena + elena-agent)
+// ✅ Categories: steering, schools, demographics, legal_advice
+// ✅ Redirect text comes from the resolved state pack:
+// - Texas   → compliance_tx.legal_safety (legal redirect + rule) / fair_housing_guardrails (rule;
+//   the redirect is the built-in line — the pack has no client-facing fair-housing copy)
+// - Arizona → disclosures_and_compliance_guardrails.common_safe_redirects / disclaimer
+//   then realtysass.json safe defaults, then the built-in lines below
+// ✅ Returns a record the caller puts in the response (which rule fired, from where)
+// ✅ FIX: "is it safe to buy now?" / "black mold" no longer fire; crime questions do
+// ============================================================
+
+const { loadState, loadRealtySaSS } = require("./knowledge");
+
+// ------------------------------
+// //#1 DETECTORS
+// ------------------------------
+const PLACE_WORDS = "(neighbou?rhoods?|areas?|communit(y|ies)|part of town|side of town|zip( code)?|suburbs?|subdivisions?)";
+const GROUP_WORDS =
+  "(famil(y|ies)|kids|children|young (couples|professionals|people)|retirees|seniors|elderly|singles|people like (me|us))";
+// Words that only ever describe people; adjectives like "black" or "christian" count only next to a person noun.
+const PEOPLE_TOPICS =
+  "(race|racial|ethnic(ity)?|religio(n|us)|diverse|diversity|minorit(y|ies)|immigrants?|churches|mosques?|synagogues?|lgbtq?\\+?)";
+const PEOPLE_ADJECTIVES = "(white|black|hispanic|latino|asian|jewish|muslim|christian|catholic|gay|disabled|immigrant)";
+const PEOPLE_NOUNS = "(famil(y|ies)|people|folks|neighbou?rs|residents|households|kids|children|population|crowd|community|communities)";
+
+const CATEGORIES = [
+  {
+    category: "steering",
+    kind: "fair_housing",
+    patterns: [
+      new RegExp(`\\b(good|best|nice|right|safe|bad|great)\\s+${PLACE_WORDS}\\b[^.?!]{0,30}\\bfor\\s+${GROUP_WORDS}`),
+      new RegExp(`\\b${PLACE_WORDS}\\b[^.?!]{0,30}\\b(good|best|right|safe) for\\s+${GROUP_WORDS}`),
+      new RegExp(`\\b(family|kid)[- ]friendly\\s+${PLACE_WORDS}`),
+      // The place word is required: "is it safe to buy now?" is a deal question, not steering.
+      new RegExp(`\\b(is|are)\\s+(it|this|that|the)\\s+${PLACE_WORDS}\\s+(safe|dangerous|sketchy|rough|family[- ]friendly)\\b`),
+      new RegExp(`\\b(safe|safest|dangerous|sketchy|rough)\\s+${PLACE_WORDS}\\b`),
+      new RegExp(`\\bcrime\\b[^.?!]{0,40}\\b${PLACE_WORDS}\\b|\\b${PLACE_WORDS}\\b[^.?!]{0,40}\\bcrime\\b`),
+      /\bcrime (rates?|stats|statistics|levels?|maps?)\b/,
+      /\bwhere should (i|we) (live|buy)\b[^.?!]{0,30}\b(as a|with (kids|children)|for (my|our) famil)/,
+    ],
+  },
+  {
+    category: "schools",
+    kind: "fair_housing",
+    patterns: [
+      /\b(good|best|top|great|bad|better|worse)\s+(schools?|school districts?|districts?)\b/,
+      /\bschools?\s+(are|is)\s+(good|bad|better|best|great|the best)\b/,
+      /\b(are|is|how are|how good are) the schools?\b/,
+      /\bschool (ratings?|rankings?|scores?)\b/,
+      /\bwhich (school|school district|district) is (best|better|good)\b/,
+    ],
+  },
+  {
+    category: "demographics",
+    kind: "fair_housing",
+    patterns: [
+      /\bdemographics?\b/,
+      /\bwhat (kind|type|sort)s? of (people|neighbou?rs|families|residents)\b/,
+      /\bwho (lives|lived|is living) (there|here|in)\b/,
+      new RegExp(`\\b${PEOPLE_TOPICS}\\b[^.?!]{0,40}\\b(${PLACE_WORDS}|neighbou?rs|residents|people|live|living)\\b`),
+      new RegExp(`\\b(${PLACE_WORDS}|neighbou?rs|residents|people)\\b[^.?!]{0,40}\\b${PEOPLE_TOPICS}`),
+      new RegExp(`\\b${PEOPLE_ADJECTIVES}\\s+${PEOPLE_NOUNS}\\b`),
+      new RegExp(`\\b${PLACE_WORDS}\\b[^.?!]{0,30}\\b(mostly|mainly|predominantly)\\s+${PEOPLE_ADJECTIVES}\\b`),
+    ],
+  },
+  {
+    category: "legal_advice",
+    kind: "legal",
+    patterns: [
+      /\blegal advice\b/,
+      /\bis (it|this|that) (legal|illegal|enforceable)\b/,
+      /\b(can|should|could) (i|we) sue\b|\bsue (the|them|him|her|my)\b|\blawsuit\b/,
+      /\b(am i|are we|is (the )?(seller|buyer|agent)) (liable|legally)\b/,
+      /\bbreach(ed)? (of )?(the )?contract\b/,
+      /\blegally (binding|allowed|required|obligated|back out)\b/,
+      /\b(interpret|what does) (this|the|my) (contract|clause|addendum|paragraph|lease)( mean)?\b/,
+      /\b(do|should) (i|we) (need|get|hire) an? (lawyer|attorney)\b/,
+    ],
+  },
+];
+
+// ------------------------------
+// //#2 REDIRECT SOURCES
+// ------------------------------
+const DEFAULT_REDIRECTS = {
+  steering:
+    "I keep neighborhood guidance objective — commute times, property features, price trends and days on market. Which of those matters most to you?",
+  schools:
+    "For schools, go straight to the district’s own resources and objective third-party data. I can help you compare commute, homes and price per square foot.",
+  demographics:
+    "I don’t describe who lives where. Public sources like census data are there if you want them — I can compare homes, commutes and market stats.",
+  legal_advice:
+    "I can help with general guidance and wording, but your broker/attorney is the final authority for legal interpretation.",
+};
+
+// common_safe_redirects: the school line for school questions, the first other line for the rest.
+function safeRedirectIndex(redirects, category) {
+  return category === "schools"
+    ? redirects.findIndex((r) => /school/i.test(r))
+    : redirects.findIndex((r) => !/school/i.test(r));
+}
+
+// State packs disagree on shape; each reader returns { redirect, redirect_path, rule, rule_path } or null.
+function fromTexas(state, category) {
+  const c = state?.compliance_tx;
+  if (!c) return null;
+  // legal_safety[0] already speaks to the client; the fair_housing_guardrails lines are
+  // instructions to Elena, so those categories keep the built-in redirect and cite the rule.
+  if (category === "legal_advice") {
+    const rule = (c.legal_safety || [])[0];
+    return rule ? { redirect: rule, redirect_path: "compliance_tx.legal_safety[0]", rule, rule_path: "compliance_tx.legal_safety[0]" } : null;
+  }
+  const lines = c.fair_housing_guardrails || [];
+  const want = category === "steering" ? /steer/i : category === "demographics" || category === "schools" ? /demographic|objective data/i : null;
+  const idx = want ? lines.findIndex((l) => want.test(l)) : -1;
+  const i = idx >= 0 ? idx : 0;
+  return {
+    redirect: null,
+    rule: lines[i] || null,
+    rule_path: lines[i] ? `compliance_tx.fair_housing_guardrails[${i}]` : null,
+  };
+}
+
+function fromArizona(state, category) {
+  const c = state?.disclosures_and_compliance_guardrails;
+  if (!c) return null;
+  if (category === "legal_advice") {
+    return c.disclaimer
+      ? { redirect: null, rule: c.disclaimer, rule_path: "disclosures_and_compliance_guardrails.disclaimer" }
+      : null;
+  }
+  const redirects = c.common_safe_redirects || [];
+  const ri = safeRedirectIndex(redirects, category);
+  const rules = c.fair_housing_safe_language || [];
+  const want = category === "steering" || category === "schools" ? /steer/i : /demographic/i;
+  const li = Math.max(0, rules.findIndex((l) => want.test(l)));
+  return {
+    redirect: ri >= 0 ? redirects[ri] : null,
+    redirect_path: ri >= 0 ? `disclosures_and_compliance_guardrails.common_safe_redirects[${ri}]` : null,
+    rule: rules[li] || null,
+    rule_path: rules[li] ? `disclosures_and_compliance_guardrails.fair_housing_safe_language[${li}]` : null,
+  };
+}
+
+function fromRealtySaSS(category) {
+  const load = loadRealtySaSS();
+  const r = load.ok ? load.data : null;
+  if (category === "legal_advice") {
+    const say = String(r?.integration_notes_for_elena?.safe_defaults?.if_user_asks_legal || "");
+    const m = say.match(/'([^']+)'/);
+    return m ? { redirect: m[1], redirect_path: "integration_notes_for_elena.safe_defaults.if_user_asks_legal" } : null;
+  }
+  return null;
+}
+
+// ------------------------------
+// //#3 PUBLIC ENTRY
+// ------------------------------
+function detectCategory(text) {
+  const t = String(text || "").toLowerCase();
+  for (const def of CATEGORIES) {
+    const hit = def.patterns.find((re) => re.test(t));
+    if (hit) return { category: def.category, kind: def.kind, pattern: hit.source.slice(0, 80) };
+  }
+  return null;
+}
+
+function screenMessage(text, { stateKey } = {}) {
+  const hit = detectCategory(text);
+  if (!hit) return { fired: false };
+
+  const load = stateKey ? loadState(stateKey) : { ok: false };
+  const state = load.ok ? load.data : null;
+  const fromState = state ? fromTexas(state, hit.category) || fromArizona(state, hit.category) : null;
+  const fallback = fromRealtySaSS(hit.category);
+
+  let redirect = DEFAULT_REDIRECTS[hit.category];
+  let redirectSource = { file: null, path: "default" };
+  if (fromState?.redirect) {
+    redirect = fromState.redirect;
+    redirectSource = { file: load.file, path: fromState.redirect_path };
+  } else if (fallback?.redirect) {
+    redirect = fallback.redirect;
+    redirectSource = { file: "realtysass.json", path: fallback.redirect_path };
+  }
+
+  return {
+    fired: true,
+    kind: hit.kind,
+    category: hit.category,
+    state: load.ok ? load.key : null,
+    rule: fromState?.rule || null,
+    rule_source: fromState?.rule ? { file: load.file, path: fromState.rule_path } : null,
+    redirect,
+    redirect_source: redirectSource,
+  };
+}
+
+// Compact record for API responses (no regex internals).
+function guardrailRecord(screen) {
+  if (!screen || !screen.fired) return { fired: false };
+  return {
+    fired: true,
+    kind: screen.kind,
+    category: screen.category,
+    state: screen.state,
+    rule: screen.rule,
+    rule_source: screen.rule_source,
+    redirect_source: screen.redirect_source,
+  };
+}
+
+module.exports = {
+  CATEGORIES,
+  screenMessage,
+  guardrailRecord,
+};
@@ -0,0 +1,58 @@
+// netlify/functions/lib/guardrails.test.js — run with `npm test` (node --test)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { screenMessage } = require("./guardrails");
+
+// message → category that must fire
+const FIRES = [
+  ["is this a good neighborhood for families", "steering"],
+  ["which areas are best for young couples?", "steering"],
+  ["is the neighborhood safe at night", "steering"],
+  ["what is the crime rate in that area", "steering"],
+  ["are the schools good there?", "schools"],
+  ["which school district is best", "schools"],
+  ["what are the demographics of 78704", "demographics"],
+  ["are there a lot of black families in the neighborhood", "demographics"],
+  ["is the area mostly white?", "demographics"],
+  ["how diverse is that community", "demographics"],
+  ["can I sue the seller for hiding the leak", "legal_advice"],
+  ["what does this addendum mean", "legal_advice"],
+];
+
+// Deal, finance and property questions that must pass through
+const PASSES = [
+  "is it safe for me to buy now with rates this high?",
+  "is that safe if I waive appraisal",
+  "is it safe to waive the inspection?",
+  "there is black mold in the neighborhood house",
+  "the area has white oak floors and a christian school nearby",
+  "can I afford a $350k house",
+  "what is the option period in texas",
+];
+
+for (const [text, category] of FIRES) {
+  test(`fires ${category}: ${text}`, () => {
+    const res = screenMessage(text, { stateKey: "texas" });
+    assert.equal(res.fired, true);
+    assert.equal(res.category, category);
+  });
+}
+
+for (const text of PASSES) {
+  test(`passes: ${text}`, () => {
+    assert.equal(screenMessage(text).fired, false);
+  });
+}
+
+test("state redirects: Texas cites its rule, Arizona uses its own copy", () => {
+  const tx = screenMessage("is this a good neighborhood for families", { stateKey: "texas" });
+  assert.equal(tx.redirect_source.path, "default");
+  assert.match(tx.rule_source.path, /^compliance_tx\.fair_housing_guardrails\[\d\]$/);
+
+  const txLegal = screenMessage("can I sue the seller", { stateKey: "texas" });
+  assert.equal(txLegal.redirect_source.path, "compliance_tx.legal_safety[0]");
+
+  const az = screenMessage("are the schools good there?", { stateKey: "arizona" });
+  assert.match(az.redirect, /school/i);
+  assert.match(az.redirect_source.path, /common_safe_redirects/);
+});
@@ -0,0 +1,185 @@
+// netlify/functions/lib/http.js
+// ============================================================
+// v1.0.1 — RealtySaSS • Shared request pipeline for netlify/functions
+//
+// ✅ Origin allowlist (REALTYSASS_ALLOW_ORIGINS, comma-separated) — disallowed origins get 403;
+//    requests without an Origin header (server-to-server, curl) pass without CORS headers
+// ✅ Preflight: OPTIONS → 204 with the same CORS headers everywhere
+// ✅ Request IDs: X-Request-Id in (validated) or generated; echoed as header + body.request_id
+// ✅ JSON body: size cap before parse, must be an object
+// ✅ Identity (lib/session.js) + rate limit (lib/rate-limit.js) before the handler runs;
+//    allowlisted origins skip the limiter's shared origin bucket
+// ✅ Errors share one envelope: { ok: false, error, code, request_id }
+//
+// Usage:
+//   exports.handler = createHandler("my-fn", async (req) => req.json(200, { ok: true }));
+// ============================================================
+
+const crypto = require("crypto");
+const { resolveIdentity } = require("./session");
+const { checkRateLimit, checkBodySize, tooManyRequests } = require("./rate-limit");
+
+// ------------------------------
+// //#1 ORIGINS + CORS
+// ------------------------------
+const DEFAULT_ALLOW_ORIGINS = [
+  "https://realtysass.com",
+  "https://www.realtysass.com",
+  "https://realtysass.netlify.app",
+
+  // Webflow staging (optional)
+  "https://realtysass.webflow.io",
+  "https://www.realtysass.webflow.io",
+
+  "http://localhost:8888",
+  "http://localhost:3000",
+];
+
+function readAllowOriginsFromEnv() {
+  const raw = String(process.env.REALTYSASS_ALLOW_ORIGINS || "").trim();
+  if (!raw) return DEFAULT_ALLOW_ORIGINS;
+  return raw
+    .split(",")
+    .map((s) => s.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+}
+
+const ALLOW_ORIGINS = readAllowOriginsFromEnv();
+
+function readOrigin(event) {
+  const h = event?.headers || {};
+  return String(h.origin || h.Origin || "").trim();
+}
+
+function isAllowedOrigin(origin) {
+  return !origin || ALLOW_ORIGINS.includes(origin);
+}
+
+function corsHeaders(origin) {
+  const base = { Vary: "Origin" };
+  if (!origin || !ALLOW_ORIGINS.includes(origin)) return base;
+  return {
+    ...base,
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Request-Id",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Expose-Headers": "X-Request-Id, Retry-After",
+    "Access-Control-Max-Age": "86400",
+  };
+}
+
+// ------------------------------
+// //#2 REQUEST IDS
+// ------------------------------
+const REQUEST_ID_RE = /^[A-Za-z0-9._-]{8,64}$/;
+
+function readRequestId(event) {
+  const h = event?.headers || {};
+  const given = String(h["x-request-id"] || h["X-Request-Id"] || h["x-nf-request-id"] || "").trim();
+  return REQUEST_ID_RE.test(given) ? given : `req_${crypto.randomUUID().replace(/-/g, "").slice(0, 20)}`;
+}
+
+// ------------------------------
+// //#3 RESPONSES
+// ------------------------------
+function jsonResponse({ statusCode, origin, requestId, payload, extraHeaders }) {
+  const body = payload && typeof payload === "object" && !Array.isArray(payload)
+    ? { ...payload, request_id: requestId }
+    : { data: payload, request_id: requestId };
+  return {
+    statusCode,
+    headers: {
+      ...corsHeaders(origin),
+      "Content-Type": "application/json",
+      "X-Request-Id": requestId,
+      ...(extraHeaders || {}),
+    },
+    body: JSON.stringify(body),
+  };
+}
+
+function errorResponse({ statusCode, code, message, origin, requestId, extra, extraHeaders }) {
+  return jsonResponse({
+    statusCode,
+    origin,
+    requestId,
+    payload: { ok: false, error: message, code, ...(extra || {}) },
+    extraHeaders,
+  });
+}
+
+// ------------------------------
+// //#4 PIPELINE
+// ------------------------------
+// scope = function name (payload caps + rate-limit buckets are per function).
+function createHandler(scope, handler, { methods = ["POST"] } = {}) {
+  return async (event, lambdaContext) => {
+    const origin = readOrigin(event);
+    const requestId = readRequestId(event);
+    const fail = (statusCode, code, message, extra, extraHeaders) =>
+      errorResponse({ statusCode, code, message, origin, requestId, extra, extraHeaders });
+
+    if (!isAllowedOrigin(origin)) return fail(403, "origin_not_allowed", "Origin not allowed.");
+
+    if (event.httpMethod === "OPTIONS") {
+      return { statusCode: 204, headers: { ...corsHeaders(origin), "X-Request-Id": requestId }, body: "" };
+    }
+
+    if (!methods.includes(event.httpMethod)) {
+      return fail(405, "method_not_allowed", `Method not allowed. Use ${methods.join(", ")}.`, null, {
+        Allow: [...methods, "OPTIONS"].join(", "),
+      });
+    }
+
+    const size = checkBodySize(event, scope);
+    if (!size.ok) return fail(size.status, "payload_too_large", size.error);
+
+    let body = {};
+    if (event.httpMethod !== "GET") {
+      const raw = event.isBase64Encoded ? Buffer.from(event.body || "", "base64").toString("utf8") : event.body;
+      try {
+        body = JSON.parse(raw || "{}");
+      } catch (_) {
+        return fail(400, "invalid_json", "Invalid JSON body.");
+      }
+      if (!body || typeof body !== "object" || Array.isArray(body)) {
+        return fail(400, "invalid_json", "JSON body must be an object.");
+      }
+    }
+
+    const identity = await resolveIdentity({ event, lambdaContext, body });
+
+    const rate = await checkRateLimit({ scope, event, identity, allowOrigins: ALLOW_ORIGINS });
+    if (!rate.ok) {
+      const r429 = tooManyRequests(rate);
+      const { retry_after_seconds, limited_by } = r429.body;
+      return fail(429, "rate_limited", r429.body.error, { retry_after_seconds, limited_by }, r429.headers);
+    }
+
+    const req = {
+      event,
+      lambdaContext,
+      body,
+      origin,
+      requestId,
+      identity,
+      rate,
+      json: (statusCode, payload, extraHeaders) =>
+        jsonResponse({ statusCode, origin, requestId, payload, extraHeaders }),
+      fail,
+    };
+
+    try {
+      return await handler(req);
+    } catch (e) {
+      console.error(`[${scope}] ${requestId}`, e);
+      return fail(500, "internal_error", "Something went wrong. Please try again.");
+    }
+  };
+}
+
+module.exports = {
+  ALLOW_ORIGINS,
+  corsHeaders,
+  createHandler,
+};
@@ -0,0 +1,312 @@
+// netlify/functions/lib/intents.js
+// ============================================================
+// v1.1.0 — RealtySaSS • Ask Elena intent registry
+//
+// ✅ Each intent declares weighted patterns (+ negative patterns)
+// ✅ Score = sum of matched weights, capped to 0..1 (confidence)
+// ✅ Multiple intents per message, ranked; primary = top score
+// ✅ State packs contribute elena_intent_hints.keywords as a state_topic intent
+// ✅ Ranking (with matched labels) is returned for debug output
+// ✅ affordability: slot answers while memory.pending_slot is set (cancel clears it)
+// ✅ script: state script/template requests (situation extracted for lib/scripts.js)
+// ============================================================
+
+const { listStateKeys, loadState, loadBasics } = require("./knowledge");
+const { detectSituation } = require("./scripts");
+
+// ------------------------------
+// //#1 TUNING
+// ------------------------------
+const MIN_CONFIDENCE = 0.35;
+
+// ------------------------------
+// //#2 HELPERS
+// ------------------------------
+function escapeRe(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function phraseRe(phrase) {
+  return new RegExp(`\\b${escapeRe(String(phrase).toLowerCase()).replace(/\s+/g, "\\s+")}\\b`);
+}
+
+function recoverNumberFromThread(thread) {
+  // Looks for Elena saying: "Sure — 5." or "Sure —5."
+  if (!Array.isArray(thread)) return null;
+  for (let i = thread.length - 1; i >= 0; i--) {
+    const m = thread[i];
+    if (!m || m.role !== "assistant") continue;
+    const txt = String(m.content || "");
+    const match = txt.match(/sure\s*[—-]\s*(10|[1-9])\b/i);
+    if (match) {
+      const n = Number(match[1]);
+      if (Number.isFinite(n) && n >= 1 && n <= 10) return n;
+    }
+  }
+  return null;
+}
+
+// ------------------------------
+// //#3 DYNAMIC KEYWORDS (knowledge files)
+// ------------------------------
+let __STATE_HINTS_CACHE = null;
+let __GLOSSARY_CACHE = null;
+
+function stateHintKeywords() {
+  if (__STATE_HINTS_CACHE) return __STATE_HINTS_CACHE;
+
+  const out = [];
+  for (const key of listStateKeys()) {
+    const load = loadState(key);
+    const kws = load.ok && Array.isArray(load.data?.elena_intent_hints?.keywords)
+      ? load.data.elena_intent_hints.keywords
+      : [];
+    for (const kw of kws) {
+      const k = String(kw || "").trim().toLowerCase();
+      if (k) out.push({ state: key, keyword: k, re: phraseRe(k) });
+    }
+  }
+  __STATE_HINTS_CACHE = out;
+  return out;
+}
+
+function glossaryTerms() {
+  if (__GLOSSARY_CACHE) return __GLOSSARY_CACHE;
+
+  const load = loadBasics();
+  const b = load.ok ? load.data : null;
+  const terms = new Set();
+  const add = (t) => {
+    const x = String(t || "").trim().toLowerCase();
+    if (x && x.length > 2) terms.add(x);
+  };
+
+  (b?.terminology_quick_hits || []).forEach((h) => add(h?.term));
+  (b?.core_concepts?.parties || []).forEach((h) => add(h?.term));
+  (b?.core_concepts?.key_documents || []).forEach((h) => add(h?.term));
+
+  __GLOSSARY_CACHE = Array.from(terms).map((t) => ({ term: t, re: phraseRe(t) }));
+  return __GLOSSARY_CACHE;
+}
+
+// ------------------------------
+// //#4 REGISTRY
+// ------------------------------
+// Deal-cost words: "how much does an inspection cost" is a real-estate question, not our pricing.
+const TRANSACTION_COST_RE =
+  /\b(inspections?|appraisals?|closing\s*costs?|option\s*fee|earnest|insurance|tax(es)?|hoa|mortgage|house|home|rent|down\s*payment)\b/;
+
+const SCRIPT_REQUEST_RE =
+  /\b(scripts?|templates?|wording|what (do|should) i (say|text|send|tell|write)|(draft|write)( me)? (a|an|the)? ?(email|text|message|note))\b/;
+
+const RE_TERMS_RE =
+  /\b(escrow|equity|points?|contingenc(y|ies)|earnest|option\s*(period|fee)|apprais(al|er)|inspect(ion|or)|title|disclosures?|pre-?approv(al|ed)|ltv|dti|pmi|hoa|closing\s*(costs?|disclosure)|listing\s*agent|buyer\s*agent|lender|underwriting|homestead|survey)\b/;
+
+const INTENTS = [
+  {
+    type: "greeting",
+    exclusive: true,
+    patterns: [
+      { label: "greeting", w: 1, re: /^(hi|hey|hello|yo|sup|good (morning|afternoon|evening))[!.\s,]*$/ },
+      { label: "greeting_named", w: 1, re: /^(hi|hey|hello)\s+(elena|there)[!.\s,]*$/ },
+    ],
+  },
+  {
+    type: "command",
+    exclusive: true,
+    patterns: [{ label: "slash_command", w: 1, re: /^\/[a-z]+\b/ }],
+    extract: (t) => ({ command: t.match(/^\/([a-z]+)/)[1] }),
+  },
+  {
+    type: "remember_number_1_10",
+    exclusive: true,
+    patterns: [{ label: "remember_n", w: 1, re: /^remember\s+(10|[1-9])\b/ }],
+    extract: (t) => ({ n: Number(t.match(/^remember\s+(10|[1-9])\b/)[1]) }),
+  },
+  {
+    type: "pick_number_1_10",
+    patterns: [
+      { label: "pick_number", w: 1, re: /(pick|choose).*(number).*(1|one).*(10|ten)/ },
+      { label: "number_1_to_10", w: 1, re: /number 1 to 10/ },
+    ],
+  },
+  {
+    type: "recall_number_1_10",
+    patterns: [
+      { label: "what_number", w: 1, re: /what number did you|what number was it|which number/ },
+    ],
+    // Resolves to the memory / thread-recovery / missing variants the handler answers.
+    extract: (_t, ctx) => {
+      if (ctx.memory && typeof ctx.memory.last_number_1_10 === "number") return {};
+      const recovered = recoverNumberFromThread(ctx.thread);
+      if (typeof recovered === "number") return { type: "recall_number_1_10_recovered", n: recovered };
+      return { type: "recall_number_1_10_missing" };
+    },
+  },
+  {
+    type: "affordability",
+    patterns: [
+      { label: "afford", w: 0.7, re: /\b(afford|affordability|qualify|pre-?qualify)\b/ },
+      { label: "how_much_house", w: 0.7, re: /\bhow much (house|home)\b/ },
+      { label: "verdict", w: 0.5, re: /\b(verdict|budget for a (house|home)|run (the|my) numbers)\b/ },
+      { label: "labeled_numbers", w: 0.4, re: /\b(income|salary|make|earn|credit score|fico|down ?payment)\b[^.?!]{0,24}\d/ },
+    ],
+    // Mid-conversation: a numeric answer to the question Elena just asked, or a cancel.
+    dynamic: (t, ctx) => {
+      if (!ctx.memory || !ctx.memory.pending_slot) return [];
+      if (/^(cancel|stop|never ?mind|nvm|forget it)\b/.test(t)) return [{ label: "slot_cancel", w: 1, cancel: true }];
+      if (/\d/.test(t)) return [{ label: `slot_answer:${ctx.memory.pending_slot}`, w: 0.9 }];
+      return [];
+    },
+    extract: (_t, _ctx, matched) => (matched.some((m) => m.cancel) ? { type: "affordability_cancel" } : {}),
+  },
+  {
+    type: "script",
+    patterns: [
+      { label: "script_word", w: 0.7, re: /\b(scripts?|templates?|wording)\b/ },
+      { label: "what_to_say", w: 0.7, re: /\bwhat (do|should) i (say|text|send|tell|write)\b/ },
+      { label: "draft_message", w: 0.6, re: /\b(draft|write)( me)? (a|an|the)? ?(email|text|message|note)\b/ },
+      { label: "send_to", w: 0.25, re: /\b(to (my|the) (buyer|client|listing agent|seller))\b/ },
+    ],
+    // Naming the situation only counts alongside a script ask (never enough alone).
+    dynamic: (t) => (detectSituation(t) ? [{ label: "situation", w: 0.25 }] : []),
+    extract: (t) => {
+      const situation = detectSituation(t);
+      return situation ? { situation } : {};
+    },
+  },
+  {
+    type: "product_pricing",
+    patterns: [
+      { label: "best_product", w: 0.8, re: /\bbest product\b/ },
+      { label: "pricing", w: 0.7, re: /\b(pricing|price list|prices)\b/ },
+      { label: "how_much", w: 0.35, re: /\bhow much\b/ },
+      { label: "cost", w: 0.3, re: /\b(cost|costs|price)\b/ },
+      { label: "plan_terms", w: 0.35, re: /\b(plans?|subscriptions?|tiers?|annual|monthly|savings?)\b/ },
+      { label: "seat_terms", w: 0.35, re: /\b(solo|teams?|seats?)\b/ },
+      { label: "product_terms", w: 0.35, re: /\b(crm|buyerbrief|unlock)\b/ },
+    ],
+    negatives: [{ label: "transaction_cost", w: 0.5, re: TRANSACTION_COST_RE }],
+  },
+  {
+    type: "product_question",
+    patterns: [
+      { label: "product_name", w: 0.6, re: /\b(buyerprofile|buyer profile|buyerbrief|realtysass)\b/ },
+    ],
+  },
+  {
+    type: "account_help",
+    patterns: [
+      { label: "account", w: 0.6, re: /\b(account|sign up|signup|login|log in|password)\b/ },
+    ],
+  },
+  {
+    type: "knowledge_question",
+    patterns: [
+      { label: "question_starter", w: 0.3, re: /^(what|whats|what's|define|explain|meaning|how (does|do|much)|who|when)\b/ },
+      { label: "re_term", w: 0.45, re: RE_TERMS_RE },
+    ],
+    dynamic: (t) => glossaryTerms().filter((g) => g.re.test(t)).map((g) => ({ label: `glossary:${g.term}`, w: 0.45 })),
+    negatives: [{ label: "script_request", w: 0.6, re: SCRIPT_REQUEST_RE }],
+  },
+  {
+    type: "state_topic",
+    patterns: [],
+    dynamic: (t) =>
+      stateHintKeywords()
+        .filter((h) => h.re.test(t))
+        .map((h) => ({ label: `${h.state}:${h.keyword}`, w: /\s/.test(h.keyword) ? 0.4 : 0.25, state: h.state })),
+    extract: (_t, _ctx, matched) => {
+      const byState = {};
+      for (const m of matched) if (m.state) byState[m.state] = (byState[m.state] || 0) + m.w;
+      const best = Object.entries(byState).sort((a, b) => b[1] - a[1])[0];
+      return best ? { state: best[0] } : {};
+    },
+  },
+];
+
+// ------------------------------
+// //#5 CLASSIFIER
+// ------------------------------
+function scoreIntent(def, t, ctx) {
+  const matched = [];
+  let score = 0;
+
+  for (const p of def.patterns || []) {
+    if (p.re.test(t)) {
+      matched.push({ label: p.label, w: p.w });
+      score += p.w;
+    }
+  }
+
+  if (typeof def.dynamic === "function") {
+    for (const d of def.dynamic(t, ctx)) {
+      matched.push(d);
+      score += d.w;
+    }
+  }
+
+  if (!matched.length) return null;
+
+  for (const n of def.negatives || []) {
+    if (n.re.test(t)) {
+      matched.push({ label: `-${n.label}`, w: -n.w });
+      score -= n.w;
+    }
+  }
+
+  score = Math.max(0, Math.min(1, score));
+  return { score: Math.round(score * 1000) / 1000, matched };
+}
+
+function classifyIntents(text, ctx = {}) {
+  const t = String(text || "").toLowerCase().trim();
+  const ranking = [];
+
+  for (const def of INTENTS) {
+    const s = scoreIntent(def, t, ctx);
+    if (!s) continue;
+
+    const extra = typeof def.extract === "function" ? def.extract(t, ctx, s.matched) || {} : {};
+    ranking.push({
+      type: extra.type || def.type,
+      family: def.type,
+      score: s.score,
+      exclusive: !!def.exclusive,
+      matched: s.matched.map((m) => m.label),
+      ...Object.fromEntries(Object.entries(extra).filter(([k]) => k !== "type")),
+    });
+  }
+
+  ranking.sort((a, b) => b.score - a.score);
+
+  const exclusive = ranking.find((r) => r.exclusive && r.score >= MIN_CONFIDENCE);
+  const intents = exclusive ? [exclusive] : ranking.filter((r) => r.score >= MIN_CONFIDENCE);
+
+  // state_topic is a hint (which state pack to read), never the answer by itself.
+  const answerable = intents.filter((r) => r.family !== "state_topic");
+  const stateHint = ranking.find((r) => r.family === "state_topic" && r.state) || null;
+
+  const primary = answerable[0] || (stateHint && stateHint.score >= MIN_CONFIDENCE
+    ? { type: "knowledge_question", family: "knowledge_question", score: stateHint.score, matched: stateHint.matched }
+    : { type: "general", family: "general", score: 0, matched: [] });
+
+  return {
+    primary,
+    intents: answerable,
+    state_hint: stateHint ? stateHint.state : null,
+    ranking,
+  };
+}
+
+function listIntentTypes() {
+  return INTENTS.map((d) => d.type);
+}
+
+module.exports = {
+  MIN_CONFIDENCE,
+  INTENTS,
+  classifyIntents,
+  listIntentTypes,
+  recoverNumberFromThread,
+};
@@ -0,0 +1,232 @@
+// netlify/functions/lib/knowledge.js
+// ============================================================
+// v1.2.0 — RealtySaSS • Shared knowledge loader
+//
+// ✅ One loader for every function that reads netlify/functions/data:
+// - ask-elena-realestate-basics.json
+// - realtysass.json
+// - states-<state>.json  (ex: states-texas.json)
+// - rate-sheet.json      (versioned APR grid → lib/rate-sheet.js)
+//
+// ✅ Files are cached across warm invocations.
+// ✅ detectStateInText: "option period in Texas" → texas
+// ============================================================
+
+const path = require("path");
+const fs = require("fs");
+
+// ------------------------------
+// //#1 PATHS + CACHE
+// ------------------------------
+const DATA_DIR = path.join(__dirname, "..", "data");
+const BASICS_FILENAME = "ask-elena-realestate-basics.json";
+const REALTYSASS_FILENAME = "realtysass.json";
+const RATE_SHEET_FILENAME = "rate-sheet.json";
+
+let __BASICS_CACHE = null;
+let __REALTYSASS_CACHE = null;
+let __RATE_SHEET_CACHE = null;
+const __STATE_CACHE = new Map();
+
+// ------------------------------
+// //#2 STATE NORMALIZATION
+// ------------------------------
+const STATE_ALIASES = {
+  tx: "texas",
+  az: "arizona",
+  ca: "california",
+  fl: "florida",
+  ny: "new-york",
+  nj: "new-jersey",
+  il: "illinois",
+  wa: "washington",
+  or: "oregon",
+  co: "colorado",
+  nv: "nevada",
+  ga: "georgia",
+  nc: "north-carolina",
+  sc: "south-carolina",
+  va: "virginia",
+  md: "maryland",
+  pa: "pennsylvania",
+
+  "new york": "new-york",
+  "new jersey": "new-jersey",
+  "north carolina": "north-carolina",
+  "south carolina": "south-carolina",
+};
+
+function safeStr(x) {
+  const s = String(x ?? "").trim();
+  return s || "";
+}
+
+function normalizeStateKey(raw) {
+  const s0 = safeStr(raw).toLowerCase();
+  if (!s0) return "";
+
+  if (/^[a-z]{2}$/.test(s0) && STATE_ALIASES[s0]) return STATE_ALIASES[s0];
+
+  const cleaned = s0.replace(/[_\s]+/g, "-").replace(/[^a-z-]/g, "");
+  if (!cleaned) return "";
+
+  if (STATE_ALIASES[cleaned]) return STATE_ALIASES[cleaned];
+
+  return cleaned;
+}
+
+// Codes that collide with everyday real-estate words ("VA loan", "OR", "CO" = certificate of occupancy).
+const AMBIGUOUS_STATE_CODES = new Set(["va", "or", "co"]);
+
+// Finds a state mentioned in free text: full names in any case, 2-letter codes only in CAPS
+// (so "or" / "in" in a sentence never resolve to a state).
+function detectStateInText(text) {
+  const raw = String(text || "");
+  if (!raw) return "";
+
+  const lower = raw.toLowerCase();
+  const names = new Set(Object.values(STATE_ALIASES));
+  for (const key of names) {
+    const phrase = key.replace(/-/g, " ");
+    if (new RegExp(`\\b${phrase}\\b`).test(lower)) return key;
+  }
+
+  const codes = raw.match(/\b[A-Z]{2}\b/g) || [];
+  for (const c of codes) {
+    const code = c.toLowerCase();
+    if (AMBIGUOUS_STATE_CODES.has(code)) continue;
+    const key = STATE_ALIASES[code];
+    if (key) return key;
+  }
+  return "";
+}
+
+// ------------------------------
+// //#3 LOADERS
+// ------------------------------
+function readJsonFileAbs(absPath) {
+  const raw = fs.readFileSync(absPath, "utf8");
+  return JSON.parse(raw);
+}
+
+function loadBasics() {
+  if (__BASICS_CACHE) {
+    return { ok: true, file: BASICS_FILENAME, data: __BASICS_CACHE, error: null, cached: true };
+  }
+
+  const abs = path.join(DATA_DIR, BASICS_FILENAME);
+  try {
+    const data = readJsonFileAbs(abs);
+    __BASICS_CACHE = data;
+    return { ok: true, file: BASICS_FILENAME, data, error: null, cached: false };
+  } catch (e) {
+    return {
+      ok: false,
+      file: BASICS_FILENAME,
+      data: null,
+      error: `Failed to load ${BASICS_FILENAME}: ${String(e?.message || e)}`,
+      cached: false,
+    };
+  }
+}
+
+function loadRealtySaSS() {
+  if (__REALTYSASS_CACHE) {
+    return { ok: true, file: REALTYSASS_FILENAME, data: __REALTYSASS_CACHE, error: null, cached: true };
+  }
+
+  const abs = path.join(DATA_DIR, REALTYSASS_FILENAME);
+  try {
+    const data = readJsonFileAbs(abs);
+    __REALTYSASS_CACHE = data;
+    return { ok: true, file: REALTYSASS_FILENAME, data, error: null, cached: false };
+  } catch (e) {
+    return {
+      ok: false,
+      file: REALTYSASS_FILENAME,
+      data: null,
+      error: `Failed to load ${REALTYSASS_FILENAME}: ${String(e?.message || e)}`,
+      cached: false,
+    };
+  }
+}
+
+function loadRateSheet() {
+  if (__RATE_SHEET_CACHE) {
+    return { ok: true, file: RATE_SHEET_FILENAME, data: __RATE_SHEET_CACHE, error: null, cached: true };
+  }
+
+  const abs = path.join(DATA_DIR, RATE_SHEET_FILENAME);
+  try {
+    const data = readJsonFileAbs(abs);
+    if (!Array.isArray(data?.rows) || !data.rows.length) throw new Error("rate sheet has no rows");
+    __RATE_SHEET_CACHE = data;
+    return { ok: true, file: RATE_SHEET_FILENAME, data, error: null, cached: false };
+  } catch (e) {
+    return {
+      ok: false,
+      file: RATE_SHEET_FILENAME,
+      data: null,
+      error: `Failed to load ${RATE_SHEET_FILENAME}: ${String(e?.message || e)}`,
+      cached: false,
+    };
+  }
+}
+
+function loadState(stateKey) {
+  const key = normalizeStateKey(stateKey);
+  if (!key) {
+    return { ok: false, key: "", file: null, data: null, error: "No state provided.", cached: false };
+  }
+
+  if (__STATE_CACHE.has(key)) {
+    return { ok: true, key, file: `states-${key}.json`, data: __STATE_CACHE.get(key), error: null, cached: true };
+  }
+
+  const filename = `states-${key}.json`;
+  const abs = path.join(DATA_DIR, filename);
+
+  try {
+    const data = readJsonFileAbs(abs);
+    __STATE_CACHE.set(key, data);
+    return { ok: true, key, file: filename, data, error: null, cached: false };
+  } catch (e) {
+    return {
+      ok: false,
+      key,
+      file: filename,
+      data: null,
+      error: `Failed to load ${filename}: ${String(e?.message || e)}`,
+      cached: false,
+    };
+  }
+}
+
+function listStateKeys() {
+  try {
+    return fs
+      .readdirSync(DATA_DIR)
+      .map((f) => f.match(/^states-([a-z-]+)\.json$/))
+      .filter(Boolean)
+      .map((m) => m[1])
+      .sort();
+  } catch (_) {
+    return [];
+  }
+}
+
+module.exports = {
+  DATA_DIR,
+  BASICS_FILENAME,
+  REALTYSASS_FILENAME,
+  RATE_SHEET_FILENAME,
+  STATE_ALIASES,
+  normalizeStateKey,
+  detectStateInText,
+  readJsonFileAbs,
+  loadBasics,
+  loadRealtySaSS,
+  loadRateSheet,
+  loadState,
+  listStateKeys,
+};
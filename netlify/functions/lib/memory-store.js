@@ -0,0 +1,281 @@
+// netlify/functions/lib/memory-store.js
+// ============================================================
+// v1.1.0 — RealtySaSS • Elena server-side memory
+//
+// ✅ Adapters (ELENA_MEMORY_STORE):
+// - "blobs"    → Netlify Blobs store "elena-memory" (default when deployed on Netlify)
+// - "supabase" → table elena_memory (key text pk, data jsonb, touched jsonb, forgotten jsonb, expires_at, updated_at)
+// - "memory"   → in-process Map (local dev / tests)
+//
+// ✅ Keyed by verified user id or session id (hashed)
+// ✅ TTLs: users ELENA_MEMORY_TTL_DAYS (30), sessions ELENA_SESSION_TTL_HOURS (24)
+// ✅ Size limits: max keys, max value length, max record bytes (oldest keys evicted first)
+// ✅ Merge policy: server record wins; client context.memory only fills missing keys
+// ✅ FIX: /forget and /reset leave tombstones (record.forgotten), so a stale client copy
+//    can't bring a deleted key back; setting the key again clears its tombstone
+// ============================================================
+
+const crypto = require("crypto");
+
+// ------------------------------
+// //#1 LIMITS + TTLs
+// ------------------------------
+const STORE_NAME = "elena-memory";
+const SUPABASE_TABLE = "elena_memory";
+
+const LIMITS = {
+  maxKeys: 50,
+  maxValueChars: 2000,
+  maxRecordBytes: 16 * 1024,
+};
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function ttlMsFor(keyType) {
+  if (keyType === "user") return envNumber("ELENA_MEMORY_TTL_DAYS", 30) * 24 * 3600 * 1000;
+  return envNumber("ELENA_SESSION_TTL_HOURS", 24) * 3600 * 1000;
+}
+
+// ------------------------------
+// //#2 KEYS
+// ------------------------------
+function hashId(s) {
+  return crypto.createHash("sha256").update(String(s)).digest("hex").slice(0, 32);
+}
+
+// userId must come from a verified identity — never from a client-posted email.
+function resolveMemoryKey({ userId, sessionId }) {
+  const uid = String(userId || "").trim();
+  if (uid) return { key: `user_${hashId("id:" + uid)}`, keyType: "user" };
+
+  const sid = String(sessionId || "").trim();
+  if (/^[A-Za-z0-9_-]{8,128}$/.test(sid)) return { key: `session_${hashId(sid)}`, keyType: "session" };
+
+  return { key: null, keyType: "none" };
+}
+
+// ------------------------------
+// //#3 SANITIZE + MERGE POLICY
+// ------------------------------
+const KEY_RE = /^[a-z0-9_]{1,64}$/;
+
+function sanitizeValue(v) {
+  if (v === null || v === undefined) return undefined;
+  if (typeof v === "number") return Number.isFinite(v) ? v : undefined;
+  if (typeof v === "boolean") return v;
+  if (typeof v === "string") return v.slice(0, LIMITS.maxValueChars);
+  if (typeof v === "object") {
+    const json = JSON.stringify(v);
+    return json.length <= LIMITS.maxValueChars ? JSON.parse(json) : undefined;
+  }
+  return undefined;
+}
+
+// Keeps the record inside maxKeys / maxRecordBytes by evicting least-recently-touched keys.
+function enforceLimits(data, touched) {
+  const keys = Object.keys(data).sort((a, b) => (touched[a] || 0) - (touched[b] || 0));
+  const evicted = [];
+
+  while (keys.length > LIMITS.maxKeys) {
+    const k = keys.shift();
+    delete data[k];
+    delete touched[k];
+    evicted.push(k);
+  }
+  while (keys.length && JSON.stringify({ data, touched }).length > LIMITS.maxRecordBytes) {
+    const k = keys.shift();
+    delete data[k];
+    delete touched[k];
+    evicted.push(k);
+  }
+  return evicted;
+}
+
+// Tombstones share the record's TTL; past maxKeys the oldest are dropped.
+function trimForgotten(forgotten) {
+  const keys = Object.keys(forgotten).sort((a, b) => forgotten[a] - forgotten[b]);
+  while (keys.length > LIMITS.maxKeys) delete forgotten[keys.shift()];
+  return forgotten;
+}
+
+// forgotten: { key: deletedAtMs } from the server record — those keys stay deleted.
+function mergeClientMemory(serverData, clientMemory, forgotten) {
+  const out = { ...(serverData || {}) };
+  const gone = forgotten || {};
+  const filled = [];
+  for (const [k, v] of Object.entries(clientMemory || {})) {
+    if (!KEY_RE.test(k) || Object.prototype.hasOwnProperty.call(out, k)) continue;
+    if (Object.prototype.hasOwnProperty.call(gone, k)) continue;
+    const clean = sanitizeValue(v);
+    if (clean === undefined) continue;
+    out[k] = clean;
+    filled.push(k);
+  }
+  return { data: out, filled };
+}
+
+// ------------------------------
+// //#4 ADAPTERS
+// ------------------------------
+const __LOCAL = new Map();
+
+function memoryAdapter() {
+  return {
+    name: "memory",
+    async get(key) {
+      return __LOCAL.has(key) ? JSON.parse(__LOCAL.get(key)) : null;
+    },
+    async set(key, record) {
+      __LOCAL.set(key, JSON.stringify(record));
+    },
+    async del(key) {
+      __LOCAL.delete(key);
+    },
+  };
+}
+
+function blobsAdapter(event) {
+  const blobs = require("@netlify/blobs");
+  // Lambda-compatible handlers must hand the event to Blobs before getStore().
+  if (event && typeof blobs.connectLambda === "function" && event.blobs) blobs.connectLambda(event);
+  const store = blobs.getStore(STORE_NAME);
+  return {
+    name: "blobs",
+    async get(key) {
+      return (await store.get(key, { type: "json" })) || null;
+    },
+    async set(key, record) {
+      await store.setJSON(key, record);
+    },
+    async del(key) {
+      await store.delete(key);
+    },
+  };
+}
+
+function supabaseAdapter() {
+  const { createClient } = require("@supabase/supabase-js");
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+  return {
+    name: "supabase",
+    async get(key) {
+      const { data, error } = await supabase
+        .from(SUPABASE_TABLE)
+        .select("key,data,touched,forgotten,expires_at,updated_at")
+        .eq("key", key)
+        .maybeSingle();
+      if (error) throw new Error(String(error.message || error));
+      return data || null;
+    },
+    async set(key, record) {
+      const { error } = await supabase.from(SUPABASE_TABLE).upsert({ ...record, key }, { onConflict: "key" });
+      if (error) throw new Error(String(error.message || error));
+    },
+    async del(key) {
+      const { error } = await supabase.from(SUPABASE_TABLE).delete().eq("key", key);
+      if (error) throw new Error(String(error.message || error));
+    },
+  };
+}
+
+function pickAdapterName() {
+  const forced = String(process.env.ELENA_MEMORY_STORE || "").trim().toLowerCase();
+  if (["blobs", "supabase", "memory"].includes(forced)) return forced;
+  if (process.env.NETLIFY || process.env.NETLIFY_BLOBS_CONTEXT) return "blobs";
+  return "memory";
+}
+
+function createAdapter({ event } = {}) {
+  const name = pickAdapterName();
+  try {
+    if (name === "blobs") return blobsAdapter(event);
+    if (name === "supabase" && process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY) return supabaseAdapter();
+  } catch (_) {}
+  return memoryAdapter();
+}
+
+// ------------------------------
+// //#5 STORE
+// ------------------------------
+function createMemoryStore({ event, adapter } = {}) {
+  const a = adapter || createAdapter({ event });
+
+  const obj = (x) => (x && typeof x === "object" ? x : {});
+
+  async function load(key) {
+    const empty = { data: {}, touched: {}, forgotten: {}, found: false };
+    if (!key) return { ...empty, error: null };
+    try {
+      const rec = await a.get(key);
+      if (!rec) return { ...empty, error: null };
+
+      const exp = Date.parse(rec.expires_at || "");
+      if (Number.isFinite(exp) && exp < Date.now()) {
+        await a.del(key).catch(() => {});
+        return { ...empty, expired: true, error: null };
+      }
+      return {
+        data: obj(rec.data),
+        touched: obj(rec.touched),
+        forgotten: obj(rec.forgotten),
+        found: true,
+        error: null,
+      };
+    } catch (e) {
+      return { ...empty, error: String(e?.message || e) };
+    }
+  }
+
+  // patch: null deletes a key (and tombstones it); everything else is sanitized and stamped.
+  // reset starts from an empty record — its patch nulls every key, so each one is tombstoned.
+  async function save(key, keyType, base, patch, { reset = false } = {}) {
+    if (!key) return { persisted: false, evicted: [], error: null };
+    try {
+      const data = reset ? {} : { ...(base?.data || {}) };
+      const touched = reset ? {} : { ...(base?.touched || {}) };
+      const forgotten = { ...(base?.forgotten || {}) };
+      const now = Date.now();
+
+      for (const [k, v] of Object.entries(patch || {})) {
+        if (!KEY_RE.test(k)) continue;
+        if (v === null) {
+          delete data[k];
+          delete touched[k];
+          forgotten[k] = now;
+          continue;
+        }
+        const clean = sanitizeValue(v);
+        if (clean === undefined) continue;
+        data[k] = clean;
+        touched[k] = now;
+        delete forgotten[k];
+      }
+
+      const evicted = enforceLimits(data, touched);
+      await a.set(key, {
+        data,
+        touched,
+        forgotten: trimForgotten(forgotten),
+        updated_at: new Date(now).toISOString(),
+        expires_at: new Date(now + ttlMsFor(keyType)).toISOString(),
+      });
+      return { persisted: true, evicted, error: null };
+    } catch (e) {
+      return { persisted: false, evicted: [], error: String(e?.message || e) };
+    }
+  }
+
+  return { adapter: a.name, load, save };
+}
+
+module.exports = {
+  LIMITS,
+  resolveMemoryKey,
+  mergeClientMemory,
+  createMemoryStore,
+};
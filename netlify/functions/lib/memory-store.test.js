@@ -0,0 +1,43 @@
+// netlify/functions/lib/memory-store.test.js — run with `npm test` (node --test)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mergeClientMemory, createMemoryStore } = require("./memory-store");
+
+// One request: load → merge the client's copy → save the patch (what ask-elena does).
+async function turn(store, key, clientMemory, patch, opts) {
+  const stored = await store.load(key);
+  const merged = mergeClientMemory(stored.data, clientMemory, stored.forgotten);
+  await store.save(key, "session", { data: merged.data, touched: stored.touched, forgotten: stored.forgotten }, patch, opts);
+  return merged.data;
+}
+
+test("client memory fills keys the server doesn't have", () => {
+  const { data, filled } = mergeClientMemory({ state: "texas" }, { state: "arizona", mode: "buyer" });
+  assert.deepEqual(data, { state: "texas", mode: "buyer" });
+  assert.deepEqual(filled, ["mode"]);
+});
+
+test("/forget keeps a key gone even when the client still posts it", async () => {
+  const store = createMemoryStore();
+  const key = "session_forget_test";
+  const stale = { state: "texas", mode: "buyer" };
+
+  await turn(store, key, stale, {});
+  await turn(store, key, stale, { state: null });
+  assert.deepEqual(await turn(store, key, stale, {}), { mode: "buyer" });
+
+  // Setting it again clears the tombstone.
+  await turn(store, key, stale, { state: "arizona" });
+  assert.equal((await store.load(key)).data.state, "arizona");
+  assert.equal((await store.load(key)).forgotten.state, undefined);
+});
+
+test("/reset keeps every cleared key gone", async () => {
+  const store = createMemoryStore();
+  const key = "session_reset_test";
+  const stale = { state: "texas", mode: "buyer" };
+
+  await turn(store, key, stale, {});
+  await turn(store, key, stale, { state: null, mode: null }, { reset: true });
+  assert.deepEqual(await turn(store, key, stale, {}), {});
+});
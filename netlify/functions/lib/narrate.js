@@ -0,0 +1,238 @@
+// netlify/functions/lib/narrate.js
+// ============================================================
+// v1.2.0 — RealtySaSS • Elena agent narration (BLUF)
+//
+// ✅ Turns an elena-agent payload (context.agent) into a BLUF reply
+// ✅ Section labels come from basics elena_response_patterns.bluf_template.format
+// ✅ Every number is read from the payload — nothing is recomputed or guessed
+// ✅ Fits response_limits.max_chars by trimming lowest-priority lines first
+// ✅ Loan program line items: monthly MI in the payment detail, upfront fee as its own number
+// ✅ VA residual-income result (verdict.va_residual) shown next to the income numbers
+// ✅ Front-end / back-end DTI with the rule set that judged them (verdict.rules)
+// ✅ Cash-to-close total with its closing-cost range (agent.cash_to_close)
+// ✅ Next move for increase_downpayment (solved minimum down at this price)
+// ============================================================
+
+// ------------------------------
+// //#1 TEMPLATE
+// ------------------------------
+const DEFAULT_LABELS = ["BLUF", "Numbers", "Risks", "Next moves"];
+
+// "BLUF: <1 sentence verdict + why>" → "BLUF"
+function templateLabels(basics) {
+  const fmt = basics?.elena_response_patterns?.bluf_template?.format;
+  if (!Array.isArray(fmt) || fmt.length < 4) return DEFAULT_LABELS;
+  const labels = fmt.map((line) => String(line || "").split(":")[0].trim()).filter(Boolean);
+  return labels.length >= 4 ? labels.slice(0, 4) : DEFAULT_LABELS;
+}
+
+// ------------------------------
+// //#2 FORMATTERS
+// ------------------------------
+function isNum(n) {
+  return typeof n === "number" && Number.isFinite(n);
+}
+
+function money(n) {
+  return isNum(n) ? "$" + Math.round(n).toLocaleString("en-US") : null;
+}
+
+function pct(ratio) {
+  return isNum(ratio) ? `${Math.round(ratio * 1000) / 10}%` : null;
+}
+
+// ------------------------------
+// //#3 SECTIONS
+// ------------------------------
+const STATUS_WHY = {
+  GREEN: "fits the DTI limits with room left over",
+  CAUTION: "fits the limits, but a ratio or the monthly buffer is tight",
+  "NO-GO": "the all-in payment breaks a DTI limit or your buffer",
+  INSUFFICIENT: "I’m missing inputs to call it",
+};
+
+// GREEN math that the loan program won't allow yet (lib/affordability.js applyProgramLimits)
+const PROGRAM_LIMITED_WHY = "the payment fits, but the loan program’s minimums aren’t met yet";
+
+function blufLine(agent) {
+  const v = agent.verdict || {};
+  const status = v.status || "INSUFFICIENT";
+  const grade = v.grade && v.grade !== "N/A" ? ` (${v.grade})` : "";
+  const allIn = money(agent.mortgage?.all_in_monthly);
+  const price = money(agent.inputs_used?.price);
+
+  const what = price && allIn ? ` — ${price} at ~${allIn}/mo all-in` : "";
+  const why = v.program_limited ? PROGRAM_LIMITED_WHY : STATUS_WHY[status] || STATUS_WHY.INSUFFICIENT;
+  return `**${status}${grade}**${what}: ${why}.`;
+}
+
+// Display order follows the template; `rank` says what survives trimming (1 = keep longest).
+function numberItems(agent) {
+  const iu = agent.inputs_used || {};
+  const v = agent.verdict || {};
+  const m = agent.mortgage || {};
+  const b = m.breakdown || {};
+  const items = [];
+  const add = (rank, text, detail) => items.push({ rank, text, detail: detail || "" });
+
+  if (money(iu.income)) add(3, `income ${money(iu.income)}/mo`);
+  if (money(iu.expenses)) add(4, `expenses ${money(iu.expenses)}/mo`);
+
+  const cap = isNum(v.housingCap) ? v.housingCap : agent.quick?.housing_cap_monthly;
+  if (money(cap)) add(2, `housing cap ${money(cap)}`);
+
+  const r = v.ratios || {};
+  if (isNum(r.frontEnd)) {
+    const back = isNum(r.backEnd) ? ` / ${pct(r.backEnd)} back` : "";
+    add(3, `DTI ${pct(r.frontEnd)} front${back}`, v.rules?.label ? ` (${v.rules.label})` : "");
+  }
+
+  if (money(m.all_in_monthly)) {
+    const parts = [
+      isNum(b.principal_interest) && b.principal_interest > 0 && `P&I ${money(b.principal_interest)}`,
+      isNum(b.taxes) && b.taxes > 0 && `tax ${money(b.taxes)}`,
+      isNum(b.insurance) && b.insurance > 0 && `ins ${money(b.insurance)}`,
+      isNum(b.hoa) && b.hoa > 0 && `HOA ${money(b.hoa)}`,
+      isNum(b.mortgage_insurance) && b.mortgage_insurance > 0 &&
+        `${m.program?.monthly_mi?.label || "MI"} ${money(b.mortgage_insurance)}`,
+    ].filter(Boolean);
+    add(1, `est. payment ${money(m.all_in_monthly)}`, parts.length > 1 ? ` (${parts.join(" + ")})` : "");
+  }
+
+  const va = v.va_residual;
+  if (va?.applied) add(4, `VA residual ${money(va.actual)} vs ${money(va.required)} required`);
+
+  const ctc = agent.cash_to_close;
+  if (money(ctc?.total)) {
+    const r = ctc.range;
+    add(5, `cash-to-close ~${money(ctc.total)}`, r && money(r.low) && money(r.high) ? ` (${money(r.low)}–${money(r.high)})` : "");
+  }
+  else if (money(iu.downpayment)) add(5, `cash down ${money(iu.downpayment)}`, " (closing costs not included)");
+
+  // apr_assumed is a decimal rate (0.0725 → 7.25%)
+  if (isNum(m.apr_assumed)) add(6, `APR ${Math.round(m.apr_assumed * 10000) / 100}% assumed`);
+
+  const fee = m.program?.upfront_fee;
+  if (fee && fee.exempt) add(7, `${fee.label} waived`);
+  else if (fee && money(fee.amount)) add(7, `${fee.label} ${money(fee.amount)}`, fee.financed ? " (financed)" : "");
+  return items;
+}
+
+function riskItems(agent) {
+  const v = agent.verdict || {};
+  const iu = agent.inputs_used || {};
+  const out = [];
+
+  for (const n of v.notes || []) if (n) out.push(String(n).replace(/\.$/, ""));
+
+  if (isNum(v.residual) && isNum(iu.income) && v.residual < iu.income * 0.12 && v.status === "GREEN") {
+    out.push(`only ${money(v.residual)}/mo left after housing + expenses`);
+  }
+
+  const b = agent.mortgage?.breakdown;
+  const unpriced = b ? ["taxes", "insurance"].filter((k) => b[k] === 0) : [];
+  if (unpriced.length) out.push(`payment leaves out ${unpriced.join(" + ")} (no rate on file)`);
+
+  if (isNum(iu.creditScore) && iu.creditScore < 680) out.push(`credit ${iu.creditScore} raises the rate`);
+
+  const missing = Array.isArray(agent.missing_inputs) ? agent.missing_inputs : [];
+  if (missing.length) out.push(`missing: ${missing.join(", ")}`);
+
+  if (agent.mortgage?.error) out.push(String(agent.mortgage.error).replace(/\.$/, ""));
+
+  if (!out.length) out.push("rates, taxes and insurance are estimates until a lender quotes");
+  return Array.from(new Set(out)).slice(0, 3);
+}
+
+function nextMoves(agent) {
+  const na = agent.next_action || {};
+  const t = na.target || {};
+  const moves = [];
+
+  if (na.type === "lower_price" && money(t.target_price)) {
+    moves.push(`aim near ${money(t.target_price)} to land under the ${money(t.target_housing_cap) || "housing"} cap`);
+  } else if (na.type === "increase_downpayment" && money(t.target_downpayment)) {
+    moves.push(`put about ${money(t.target_downpayment)} down (${t.target_down_pct}%) at this price`);
+  } else if (na.type === "collect_missing_inputs" && Array.isArray(t.missing) && t.missing.length) {
+    moves.push(`share your ${t.missing.join(", ")}`);
+  } else if (na.why) {
+    moves.push(String(na.why).replace(/\.$/, ""));
+  }
+
+  const status = agent.verdict?.status;
+  if (status === "GREEN") moves.push("get a full pre-approval", "set your offer ceiling");
+  else if (status === "CAUTION") moves.push("cut one monthly debt or add to the down payment", "re-run before you offer");
+  else if (status === "NO-GO") moves.push("lower the price or raise the down payment", "re-run the numbers");
+  else moves.push("re-run once inputs are in", "then get pre-approved");
+
+  return moves.slice(0, 3);
+}
+
+// ------------------------------
+// //#4 ASSEMBLY + FIT
+// ------------------------------
+function render(labels, s) {
+  const lines = [`${labels[0]}: ${s.bluf}`];
+  if (s.numbers.length) {
+    lines.push(`${labels[1]}: ${s.numbers.map((n) => n.text + (s.detail ? n.detail : "")).join(" • ")}`);
+  }
+  if (s.risks.length) lines.push(`${labels[2]}: ${s.risks.join("; ")}`);
+  if (s.moves.length) lines.push(`${labels[3]}: ${s.moves.map((m, i) => `${i + 1}) ${m}`).join(" ")}`);
+  return lines.join("\n");
+}
+
+// Trim order: extra risks → extra moves → number detail → low-rank numbers → whole sections.
+function fitToChars(labels, sections, maxChars) {
+  const s = {
+    bluf: sections.bluf,
+    numbers: sections.numbers.slice(),
+    detail: true,
+    risks: sections.risks.slice(),
+    moves: sections.moves.slice(),
+  };
+  const fits = () => !isNum(maxChars) || maxChars <= 0 || render(labels, s).length <= maxChars;
+  const dropLowestNumber = () => {
+    const worst = s.numbers.reduce((a, n) => (n.rank > a.rank ? n : a));
+    s.numbers = s.numbers.filter((n) => n !== worst);
+  };
+
+  while (!fits() && s.risks.length > 1) s.risks.pop();
+  while (!fits() && s.moves.length > 1) s.moves.pop();
+  if (!fits()) s.detail = false;
+  while (!fits() && s.numbers.length > 3) dropLowestNumber();
+  if (!fits()) s.risks = [];
+  if (!fits()) s.moves = [];
+  while (!fits() && s.numbers.length > 1) dropLowestNumber();
+
+  return { text: render(labels, s), trimmed: !fits() };
+}
+
+function narrateAgent(agent, { basics, maxChars } = {}) {
+  if (!agent || typeof agent !== "object" || agent.ok !== true) {
+    return { ok: false, reply: "", sections: null, error: "No usable agent payload." };
+  }
+
+  const labels = templateLabels(basics);
+  const sections = {
+    bluf: blufLine(agent),
+    numbers: numberItems(agent),
+    risks: riskItems(agent),
+    moves: nextMoves(agent),
+  };
+  const fit = fitToChars(labels, sections, maxChars);
+
+  return {
+    ok: true,
+    reply: fit.text,
+    sections,
+    labels,
+    needs_clamp: fit.trimmed,
+    scenario_id: agent.scenario_id || null,
+    error: null,
+  };
+}
+
+module.exports = {
+  templateLabels,
+  narrateAgent,
+};
@@ -0,0 +1,308 @@
+// netlify/functions/lib/pricing.js
+// ============================================================
+// v1.0.1 — RealtySaSS • Pricing answer engine
+//
+// ✅ Reads realtysass.json pricing.catalogs (single source of truth)
+// ✅ Applies buyerbrief_unlock_path rules (CRM purchase path)
+// ✅ FIX: CRM answers quote the $99 Pro add-on rule (rule_notes) — no standalone CRM tiers
+// ✅ Deterministic monthly vs annual savings math
+// ✅ Topic routing: overview, solo vs team, annual savings, CRM, tier
+// ============================================================
+
+// ------------------------------
+// //#1 HELPERS
+// ------------------------------
+function safeStr(x) {
+  const s = String(x ?? "").trim();
+  return s || "";
+}
+
+function num(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function lowerFirst(s) {
+  const x = safeStr(s);
+  return x ? x.charAt(0).toLowerCase() + x.slice(1) : "";
+}
+
+function money(n) {
+  if (!Number.isFinite(n)) return "—";
+  return "$" + Math.round(n).toLocaleString("en-US");
+}
+
+// ------------------------------
+// //#2 CATALOG READER
+// ------------------------------
+function readCatalogs(realtysass) {
+  const pricing = realtysass?.pricing && typeof realtysass.pricing === "object" ? realtysass.pricing : {};
+  const catalogs = Array.isArray(pricing.catalogs) ? pricing.catalogs : [];
+
+  const items = [];
+  const rules = {};
+  const rule_notes = [];
+
+  for (const c of catalogs) {
+    if (!c || typeof c !== "object") continue;
+
+    if (Array.isArray(c.items)) {
+      for (const it of c.items) {
+        if (!it || typeof it !== "object") continue;
+        items.push({
+          catalog_id: safeStr(c.catalog_id) || null,
+          product_id: safeStr(it.product_id) || null,
+          tier: safeStr(it.tier) || null,
+          price_monthly: num(it.price_monthly),
+          price_annual: num(it.price_annual),
+          includes: Array.isArray(it.includes) ? it.includes.slice() : [],
+        });
+      }
+    }
+
+    if (c.rules && typeof c.rules === "object") {
+      Object.assign(rules, c.rules);
+      if (Array.isArray(c.notes)) rule_notes.push(...c.notes.map(safeStr).filter(Boolean));
+    }
+  }
+
+  return {
+    currency: safeStr(pricing.currency) || "USD",
+    last_confirmed: safeStr(pricing.last_confirmed) || null,
+    items,
+    rules,
+    rule_notes,
+  };
+}
+
+function seatsFromTier(tier) {
+  const m = safeStr(tier).match(/(\d+)\s*agents?/i);
+  return m ? Number(m[1]) : 1;
+}
+
+function annualSavings(item) {
+  const mo = num(item?.price_monthly);
+  const yr = num(item?.price_annual);
+  if (mo === null || yr === null || mo <= 0) return null;
+
+  const monthlyX12 = mo * 12;
+  const savings = monthlyX12 - yr;
+
+  return {
+    monthly_x12: Math.round(monthlyX12),
+    annual: Math.round(yr),
+    savings: Math.round(savings),
+    savings_pct: monthlyX12 > 0 ? Math.round((savings / monthlyX12) * 1000) / 10 : null,
+    months_free: Math.round((savings / mo) * 10) / 10,
+  };
+}
+
+function perSeatMonthly(item) {
+  const mo = num(item?.price_monthly);
+  if (mo === null) return null;
+  return Math.round((mo / seatsFromTier(item.tier)) * 100) / 100;
+}
+
+// ------------------------------
+// //#3 TOPIC DETECTION
+// ------------------------------
+const TIER_MATCHERS = [
+  { re: /\bteams?\s*(?:of\s*)?10\b|\b10\s*agents?\b/, pick: (it) => /10 agents/i.test(it.tier) },
+  { re: /\bteams?\s*(?:of\s*)?5\b|\b5\s*agents?\b/, pick: (it) => /5 agents/i.test(it.tier) },
+  { re: /\bbundle\b/, pick: (it) => it.product_id === "crm_buyerbrief_bundle" },
+  { re: /\bcrm\s*core\b/, pick: (it) => it.product_id === "crm_core" },
+  { re: /\bsolo\b|\bsingle\s*agent\b|\bjust\s*me\b/, pick: (it) => /^solo$/i.test(it.tier) },
+];
+
+function detectPricingTopic(text) {
+  const t = safeStr(text).toLowerCase();
+
+  const mentionsCrm = /\bcrm\b/.test(t);
+  const mentionsSingleUnlock = /\bsingle\b(?!\s*agent)|\bunlock\b|\bone[-\s]?time\b|\$?179\b/.test(t);
+
+  if (mentionsCrm && mentionsSingleUnlock) return "crm_single_unlock";
+  if (mentionsCrm && !/\bcrm\s*core\b|\bbundle\b/.test(t)) return "crm";
+
+  const mentionsSolo = /\bsolo\b|\bsingle\s*agent\b|\bjust\s*me\b/.test(t);
+  const mentionsTeam = /\bteams?\b|\bbrokerage\b|\bagents\b/.test(t);
+  if (mentionsSolo && mentionsTeam) return "compare_solo_team";
+  if (/\bvs\.?\b|\bversus\b|\bcompare\b|\bdifference\b/.test(t) && (mentionsSolo || mentionsTeam)) {
+    return "compare_solo_team";
+  }
+
+  if (/\bannual\b|\byearly\b|\bper\s*year\b|\b\/yr\b|\bsav(e|ings?)\b/.test(t)) return "annual_savings";
+
+  if (TIER_MATCHERS.some((m) => m.re.test(t))) return "tier";
+
+  return "overview";
+}
+
+function matchTiers(text, items) {
+  const t = safeStr(text).toLowerCase();
+  const picked = [];
+  for (const m of TIER_MATCHERS) {
+    if (!m.re.test(t)) continue;
+    for (const it of items) {
+      if (m.pick(it) && !picked.includes(it)) picked.push(it);
+    }
+  }
+  return picked;
+}
+
+// ------------------------------
+// //#4 REPLY BUILDERS
+// ------------------------------
+function lineForItem(it) {
+  const mo = it.price_monthly !== null ? `**${money(it.price_monthly)}/mo**` : null;
+  const yr = it.price_annual !== null ? `**${money(it.price_annual)}/yr**` : null;
+  return `• ${it.tier}: ${[mo, yr].filter(Boolean).join(" or ")}`;
+}
+
+function lineForSavings(it) {
+  const s = annualSavings(it);
+  if (!s) return `• ${it.tier}: annual pricing not listed`;
+  return `• ${it.tier}: ${money(it.price_monthly)} × 12 = ${money(s.monthly_x12)} vs ${money(s.annual)}/yr → save **${money(s.savings)}** (${s.savings_pct}%)`;
+}
+
+function buyerBriefItems(cat) {
+  return cat.items.filter((it) => it.product_id === "buyerbrief");
+}
+
+function isCrmItem(it) {
+  return /crm/.test(safeStr(it.product_id));
+}
+
+// The purchase-path notes ("CRM is ONLY a $99/month add-on…", "NO standalone CRM…") outrank
+// any CRM rows still listed in the catalogs.
+function crmRuleNotes(cat) {
+  const find = (re) => cat.rule_notes.find((n) => re.test(n)) || null;
+  return { addOn: find(/\badd-on\b/i), standalone: find(/\bstandalone\b/i) };
+}
+
+function replyOverview(cat) {
+  const lines = ["Best “core” product: **BuyerBrief™** (timeline-first buyer intelligence).", "", "Pricing:"];
+  for (const it of buyerBriefItems(cat)) lines.push(lineForItem(it));
+  const addOn = crmRuleNotes(cat).addOn;
+  if (addOn) lines.push("", addOn);
+  else if (cat.rules.crm_available_when) lines.push("", `CRM: only with ${cat.rules.crm_available_when}.`);
+  lines.push("", "Solo agent or team — and do you want BuyerBrief or the CRM add-on?");
+  return lines;
+}
+
+function replyCompareSoloTeam(cat) {
+  const lines = ["Solo vs team (BuyerBrief™):"];
+  for (const it of buyerBriefItems(cat)) {
+    const seats = seatsFromTier(it.tier);
+    const per = perSeatMonthly(it);
+    const perTxt = seats > 1 && per !== null ? ` (~${money(per)}/agent/mo)` : "";
+    lines.push(`${lineForItem(it)}${perTxt}`);
+  }
+  lines.push("", "How many agents will be using it?");
+  return lines;
+}
+
+function replyAnnualSavings(cat, picked) {
+  const list = picked.length ? picked : buyerBriefItems(cat);
+  const lines = ["Monthly vs annual:"];
+  for (const it of list) lines.push(lineForSavings(it));
+  return lines;
+}
+
+function replyCrm(cat) {
+  const notes = crmRuleNotes(cat);
+  const lines = [];
+  if (notes.addOn) lines.push(notes.addOn);
+  if (cat.rules.crm_available_when) lines.push(`CRM is available when: **${cat.rules.crm_available_when}**.`);
+  if (notes.standalone) lines.push(notes.standalone);
+  if (cat.rules.crm_not_available_when) lines.push(`Not available with: ${cat.rules.crm_not_available_when}.`);
+  return lines;
+}
+
+function replyCrmSingleUnlock(cat) {
+  const lines = [];
+  if (cat.rules.crm_not_available_when) {
+    lines.push(`No — CRM isn’t included with the ${lowerFirst(cat.rules.crm_not_available_when)}.`);
+  } else {
+    lines.push("No — CRM isn’t part of the single BuyerBrief unlock.");
+  }
+  if (cat.rules.crm_available_when) lines.push(`You’d need: **${cat.rules.crm_available_when}**.`);
+  return lines;
+}
+
+function replyTier(cat, picked) {
+  const lines = [];
+  for (const it of picked) {
+    lines.push(lineForItem(it));
+    if (it.includes.length) lines.push(`  Includes: ${it.includes.join(", ")}`);
+  }
+  const s = picked.length === 1 ? annualSavings(picked[0]) : null;
+  if (s && s.savings > 0) lines.push("", `Annual saves **${money(s.savings)}** vs paying monthly.`);
+  return lines;
+}
+
+// ------------------------------
+// //#5 PUBLIC ENTRY
+// ------------------------------
+function answerPricing(text, realtysass) {
+  const cat = readCatalogs(realtysass);
+  if (!cat.items.length) {
+    return {
+      ok: false,
+      topic: "unavailable",
+      reply: "I don’t have the current price list loaded — check the Pricing page for the latest plans.",
+      items_used: [],
+      source: null,
+    };
+  }
+
+  let topic = detectPricingTopic(text);
+  const picked = matchTiers(text, cat.items);
+  if (topic === "tier" && !picked.length) topic = "overview";
+  // CRM tiers aren't sold on their own — asking for one gets the add-on rule, not a standalone price.
+  if (topic === "tier" && picked.every(isCrmItem)) topic = "crm";
+
+  let lines;
+  let used;
+  if (topic === "crm_single_unlock") {
+    lines = replyCrmSingleUnlock(cat);
+    used = [];
+  } else if (topic === "crm") {
+    lines = replyCrm(cat);
+    used = [];
+  } else if (topic === "compare_solo_team") {
+    lines = replyCompareSoloTeam(cat);
+    used = buyerBriefItems(cat);
+  } else if (topic === "annual_savings") {
+    lines = replyAnnualSavings(cat, picked);
+    used = picked.length ? picked : buyerBriefItems(cat);
+  } else if (topic === "tier") {
+    used = picked.filter((it) => !isCrmItem(it));
+    lines = replyTier(cat, used);
+  } else {
+    lines = replyOverview(cat);
+    used = buyerBriefItems(cat);
+  }
+
+  return {
+    ok: true,
+    topic,
+    reply: lines.join("\n"),
+    items_used: used.map((it) => ({
+      catalog_id: it.catalog_id,
+      product_id: it.product_id,
+      tier: it.tier,
+      price_monthly: it.price_monthly,
+      price_annual: it.price_annual,
+      savings: annualSavings(it),
+    })),
+    source: { file: "realtysass.json", last_confirmed: cat.last_confirmed },
+  };
+}
+
+module.exports = {
+  readCatalogs,
+  annualSavings,
+  perSeatMonthly,
+  detectPricingTopic,
+  answerPricing,
+};
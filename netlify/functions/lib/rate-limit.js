@@ -0,0 +1,218 @@
+// netlify/functions/lib/rate-limit.js
+// ============================================================
+// v1.2.2 — RealtySaSS • Shared rate limiter + payload caps
+//
+// ✅ Token buckets keyed by verified user and client IP (each checked per function); requests
+//    without an allowlisted Origin also share one "other" bucket
+// ✅ FIX: allowlisted origins get no origin bucket — the header is client-set, so anyone could
+//    send the site's Origin from rotating IPs and drain one bucket every real user shares
+// ✅ FIX: client IP comes only from x-nf-client-connection-ip / x-forwarded-for (set by the edge),
+//    never the caller-supplied client-ip header
+// ✅ Backed by Netlify Blobs store "elena-rate-limit"; in-memory fallback off-platform
+//    (Blobs has no atomic increment — limits are best-effort under heavy concurrency)
+// ✅ A request is allowed only if every bucket has a token; denied requests consume nothing
+// ✅ Payload caps: raw body bytes + message length → 413
+// ✅ elena-scenarios: small bodies only (action + scenario_id + session_id)
+// ✅ amortization: loan + payoff options (lump sums / recasts lists) only
+// ✅ Limits (per minute, burst = one minute's worth):
+//    ELENA_RATE_USER_PER_MIN (20) • ELENA_RATE_IP_PER_MIN (40) • ELENA_RATE_ORIGIN_PER_MIN (600, "other")
+// ============================================================
+
+const crypto = require("crypto");
+
+// ------------------------------
+// //#1 LIMITS
+// ------------------------------
+const STORE_NAME = "elena-rate-limit";
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function bucketLimits() {
+  return {
+    user: envNumber("ELENA_RATE_USER_PER_MIN", 20),
+    ip: envNumber("ELENA_RATE_IP_PER_MIN", 40),
+    origin: envNumber("ELENA_RATE_ORIGIN_PER_MIN", 600),
+  };
+}
+
+// Per-function payload caps (ask-elena carries the elena-agent payload in context.agent).
+const PAYLOAD_CAPS = {
+  "ask-elena": { maxBodyBytes: 128 * 1024, maxMessageChars: 2000 },
+  "elena-agent": { maxBodyBytes: 32 * 1024, maxMessageChars: 1000 },
+  "elena-scenarios": { maxBodyBytes: 4 * 1024, maxMessageChars: 200 },
+  amortization: { maxBodyBytes: 8 * 1024, maxMessageChars: 200 },
+};
+
+// ------------------------------
+// //#2 REQUEST KEYS
+// ------------------------------
+function hashId(s) {
+  return crypto.createHash("sha256").update(String(s)).digest("hex").slice(0, 24);
+}
+
+function clientIp(event) {
+  const h = event?.headers || {};
+  const direct = h["x-nf-client-connection-ip"];
+  if (direct) return String(direct).trim();
+  const fwd = String(h["x-forwarded-for"] || "").split(",")[0].trim();
+  return fwd || "unknown";
+}
+
+// allowOrigins: the caller's origin allowlist (lib/http.js ALLOW_ORIGINS). Browsers on an
+// allowlisted origin are limited per user / IP only.
+function bucketKeys({ scope, event, identity, allowOrigins = [] }) {
+  const limits = bucketLimits();
+  const h = event?.headers || {};
+  const sent = String(h.origin || h.Origin || "").trim();
+  const allowlisted = !!sent && allowOrigins.includes(sent);
+  const keys = [];
+
+  if (identity?.mode === "verified" && identity.sub) {
+    keys.push({ kind: "user", key: `${scope}_user_${hashId(identity.sub)}`, perMinute: limits.user });
+  }
+  keys.push({ kind: "ip", key: `${scope}_ip_${hashId(clientIp(event))}`, perMinute: limits.ip });
+  if (!allowlisted) keys.push({ kind: "origin", key: `${scope}_origin_other`, perMinute: limits.origin });
+  return keys;
+}
+
+// ------------------------------
+// //#3 STORES
+// ------------------------------
+const __LOCAL = new Map();
+
+function memoryStore() {
+  return {
+    name: "memory",
+    async get(key) {
+      return __LOCAL.get(key) || null;
+    },
+    async set(key, value) {
+      __LOCAL.set(key, value);
+    },
+  };
+}
+
+function blobsStore(event) {
+  const blobs = require("@netlify/blobs");
+  if (event && typeof blobs.connectLambda === "function" && event.blobs) blobs.connectLambda(event);
+  const store = blobs.getStore(STORE_NAME);
+  return {
+    name: "blobs",
+    async get(key) {
+      return (await store.get(key, { type: "json" })) || null;
+    },
+    async set(key, value) {
+      await store.setJSON(key, value);
+    },
+  };
+}
+
+function createStore(event) {
+  if (process.env.NETLIFY || process.env.NETLIFY_BLOBS_CONTEXT) {
+    try {
+      return blobsStore(event);
+    } catch (_) {}
+  }
+  return memoryStore();
+}
+
+// ------------------------------
+// //#4 TOKEN BUCKET
+// ------------------------------
+function refill(state, perMinute, now) {
+  const capacity = perMinute;
+  const ratePerMs = perMinute / 60000;
+  const prev = state && Number.isFinite(state.tokens) ? state : { tokens: capacity, updated: now };
+  const elapsed = Math.max(0, now - (prev.updated || now));
+  return { tokens: Math.min(capacity, prev.tokens + elapsed * ratePerMs), updated: now };
+}
+
+// → { ok, retry_after (seconds), limited_by, remaining, store, error }
+async function checkRateLimit({ scope, event, identity, allowOrigins, store } = {}) {
+  const s = store || createStore(event);
+  const now = Date.now();
+  const keys = bucketKeys({ scope, event, identity, allowOrigins });
+
+  let states;
+  try {
+    states = await Promise.all(keys.map((k) => s.get(k.key)));
+  } catch (e) {
+    // A broken store should never take the functions down with it.
+    return { ok: true, retry_after: 0, limited_by: null, remaining: null, store: s.name, error: String(e?.message || e) };
+  }
+
+  const next = keys.map((k, i) => refill(states[i], k.perMinute, now));
+  const blocked = keys
+    .map((k, i) => ({ k, tokens: next[i].tokens }))
+    .filter((x) => x.tokens < 1)
+    .map((x) => ({ kind: x.k.kind, wait: Math.ceil(((1 - x.tokens) * 60) / x.k.perMinute) }));
+
+  if (blocked.length) {
+    const worst = blocked.sort((a, b) => b.wait - a.wait)[0];
+    return { ok: false, retry_after: Math.max(1, worst.wait), limited_by: worst.kind, remaining: 0, store: s.name, error: null };
+  }
+
+  next.forEach((st) => {
+    st.tokens -= 1;
+  });
+  try {
+    await Promise.all(keys.map((k, i) => s.set(k.key, next[i])));
+  } catch (e) {
+    return { ok: true, retry_after: 0, limited_by: null, remaining: null, store: s.name, error: String(e?.message || e) };
+  }
+
+  const remaining = Math.floor(Math.min(...next.map((st) => st.tokens)));
+  return { ok: true, retry_after: 0, limited_by: null, remaining, store: s.name, error: null };
+}
+
+// ------------------------------
+// //#5 PAYLOAD CAPS
+// ------------------------------
+function bodyBytes(event) {
+  const raw = event?.body || "";
+  return event?.isBase64Encoded ? Math.floor((raw.length * 3) / 4) : Buffer.byteLength(raw, "utf8");
+}
+
+// Runs before JSON.parse so oversized bodies are never parsed.
+function checkBodySize(event, scope) {
+  const cap = PAYLOAD_CAPS[scope] || PAYLOAD_CAPS["elena-agent"];
+  const bytes = bodyBytes(event);
+  if (bytes > cap.maxBodyBytes) {
+    return { ok: false, status: 413, error: `Payload too large (${bytes} bytes; max ${cap.maxBodyBytes}).` };
+  }
+  return { ok: true };
+}
+
+function checkMessageLength(text, scope) {
+  const cap = PAYLOAD_CAPS[scope] || PAYLOAD_CAPS["elena-agent"];
+  const n = String(text || "").length;
+  if (n > cap.maxMessageChars) {
+    return { ok: false, status: 413, error: `Message too long (${n} characters; max ${cap.maxMessageChars}).` };
+  }
+  return { ok: true };
+}
+
+// Headers + body for a 429.
+function tooManyRequests(limit) {
+  return {
+    headers: { "Retry-After": String(limit.retry_after) },
+    body: {
+      ok: false,
+      error: "Too many requests. Please slow down.",
+      retry_after_seconds: limit.retry_after,
+      limited_by: limit.limited_by,
+    },
+  };
+}
+
+module.exports = {
+  PAYLOAD_CAPS,
+  clientIp,
+  checkRateLimit,
+  checkBodySize,
+  checkMessageLength,
+  tooManyRequests,
+};
@@ -0,0 +1,39 @@
+// netlify/functions/lib/rate-limit.test.js — run with `npm test` (node --test)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { clientIp, checkRateLimit } = require("./rate-limit");
+
+const SITE = "https://realtysass.com";
+
+function mapStore() {
+  const m = new Map();
+  return { name: "test", get: async (k) => m.get(k) || null, set: async (k, v) => m.set(k, v) };
+}
+
+function event(origin, ip) {
+  return { headers: { origin, "x-nf-client-connection-ip": ip } };
+}
+
+test("clientIp ignores the caller-supplied client-ip header", () => {
+  assert.equal(clientIp({ headers: { "client-ip": "1.1.1.1", "x-nf-client-connection-ip": "2.2.2.2" } }), "2.2.2.2");
+  assert.equal(clientIp({ headers: { "client-ip": "1.1.1.1", "x-forwarded-for": "3.3.3.3, 10.0.0.1" } }), "3.3.3.3");
+  assert.equal(clientIp({ headers: { "client-ip": "1.1.1.1" } }), "unknown");
+});
+
+test("the site's Origin from rotating IPs can't drain a shared bucket; other origins share one", async () => {
+  process.env.ELENA_RATE_ORIGIN_PER_MIN = "2";
+  try {
+    const store = mapStore();
+    const check = (origin, ip) => checkRateLimit({ scope: "t", event: event(origin, ip), identity: {}, allowOrigins: [SITE], store });
+
+    for (let i = 0; i < 5; i++) assert.equal((await check(SITE, `10.0.0.${i}`)).ok, true);
+
+    assert.equal((await check("https://a.example", "10.1.0.1")).ok, true);
+    assert.equal((await check("https://b.example", "10.1.0.2")).ok, true);
+    const third = await check("", "10.1.0.3");
+    assert.equal(third.ok, false);
+    assert.equal(third.limited_by, "origin");
+  } finally {
+    delete process.env.ELENA_RATE_ORIGIN_PER_MIN;
+  }
+});
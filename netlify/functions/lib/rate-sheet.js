@@ -0,0 +1,150 @@
+// netlify/functions/lib/rate-sheet.js
+// ============================================================
+// v1.0.0 — RealtySaSS • Rate-sheet lookup (deterministic)
+//
+// ✅ APRs come from data/rate-sheet.json (loaded + cached by lib/knowledge.js)
+// ✅ Rows keyed by program + term + credit band + LTV band; nearest listed term wins
+// ✅ Optional discount points: rate cut + cost, both from the sheet
+// ✅ Every quote carries the sheet version + row id so responses can cite it
+// ✅ Sheet missing/broken → flat FALLBACK_APR, flagged source "fallback"
+// ============================================================
+
+const { loadRateSheet } = require("./knowledge");
+
+// ------------------------------
+// //#1 BANDS
+// ------------------------------
+const FALLBACK_APR = 0.07;
+
+function creditBand(sheet, creditScore) {
+  const bands = Array.isArray(sheet.credit_bands) ? sheet.credit_bands : [];
+  if (!Number.isFinite(creditScore)) {
+    return bands.find((b) => b.key === sheet.unknown_credit_band) || bands[bands.length - 1] || null;
+  }
+  return bands.find((b) => creditScore >= b.min) || bands[bands.length - 1] || null;
+}
+
+function ltvBand(sheet, ltv) {
+  const bands = Array.isArray(sheet.ltv_bands) ? sheet.ltv_bands : [];
+  const x = Number.isFinite(ltv) ? ltv : 1;
+  return bands.find((b) => b.max === null || b.max === undefined || x <= b.max + 1e-9) || bands[bands.length - 1] || null;
+}
+
+// Ties go to the longer term (higher rate, so the estimate errs conservative).
+function nearestTerm(sheet, termYears) {
+  const terms = Array.isArray(sheet.terms) && sheet.terms.length ? sheet.terms : [30];
+  const y = Number.isFinite(termYears) ? termYears : 30;
+  return terms.reduce((best, t) => {
+    const d = Math.abs(t - y);
+    const bd = Math.abs(best - y);
+    return d < bd || (d === bd && t > best) ? t : best;
+  }, terms[0]);
+}
+
+function normalizePoints(sheet, points) {
+  const cfg = sheet.discount_points || {};
+  const p = Number(points);
+  if (!Number.isFinite(p) || p <= 0 || !cfg.rate_cut_per_point) return 0;
+  const step = cfg.step || 0.25;
+  const capped = Math.min(p, Number.isFinite(cfg.max) ? cfg.max : p);
+  return Math.round(capped / step) * step;
+}
+
+// ------------------------------
+// //#2 LOOKUP
+// ------------------------------
+// program = normalized loan type (conventional | fha | va | usda); ltv = base loan / price.
+function lookupRate({ program, termYears, creditScore, ltv, points } = {}) {
+  const load = loadRateSheet();
+  if (!load.ok) {
+    return {
+      ok: false,
+      source: "fallback",
+      apr: FALLBACK_APR,
+      base_apr: FALLBACK_APR,
+      points: 0,
+      points_cost_pct: 0,
+      sheet: { file: load.file, version: null, effective_date: null },
+      row: null,
+      notes: [],
+      error: load.error,
+    };
+  }
+
+  const sheet = load.data;
+  const notes = [];
+  const term = nearestTerm(sheet, termYears);
+  const credit = creditBand(sheet, creditScore);
+  const band = ltvBand(sheet, ltv);
+  const want = String(program || "conventional");
+
+  if (Number.isFinite(termYears) && term !== termYears) notes.push(`No ${termYears}-year rows; priced as ${term}-year.`);
+  if (!Number.isFinite(creditScore)) notes.push(`No credit score; priced at the ${credit?.key} band.`);
+
+  const match = (prog) =>
+    sheet.rows.find((r) => r.program === prog && r.term === term && r.credit === credit?.key && r.ltv === band?.key);
+
+  let row = match(want);
+  if (!row && want !== "conventional") {
+    row = match("conventional");
+    if (row) notes.push(`No ${want} rows on this sheet; priced as conventional.`);
+  }
+
+  const meta = sheet.meta || {};
+  const sheetInfo = { file: load.file, version: meta.version || null, effective_date: meta.effective_date || null };
+
+  if (!row || !Number.isFinite(row.apr)) {
+    return {
+      ok: false,
+      source: "fallback",
+      apr: FALLBACK_APR,
+      base_apr: FALLBACK_APR,
+      points: 0,
+      points_cost_pct: 0,
+      sheet: sheetInfo,
+      row: null,
+      notes,
+      error: `No rate-sheet row for ${want} ${term}y ${credit?.key || "?"} ${band?.key || "?"}.`,
+    };
+  }
+
+  const pts = normalizePoints(sheet, points);
+  const cfg = sheet.discount_points || {};
+  const apr = Math.max(0, row.apr - pts * (cfg.rate_cut_per_point || 0));
+
+  return {
+    ok: true,
+    source: "rate_sheet",
+    apr: Math.round(apr * 100000) / 100000,
+    base_apr: row.apr,
+    points: pts,
+    points_cost_pct: pts * (cfg.cost_pct_per_point || 0.01),
+    sheet: sheetInfo,
+    row: { id: row.id, program: row.program, term: row.term, credit: row.credit, ltv: row.ltv },
+    notes,
+    error: null,
+  };
+}
+
+// Compact receipt for inputs_used.assumptions.
+function rateSheetRecord(quote) {
+  if (!quote) return null;
+  return {
+    source: quote.source,
+    file: quote.sheet?.file || null,
+    version: quote.sheet?.version || null,
+    effective_date: quote.sheet?.effective_date || null,
+    row_id: quote.row?.id || null,
+    row: quote.row || null,
+    base_apr: quote.base_apr,
+    points: quote.points,
+    notes: quote.notes,
+    error: quote.error || null,
+  };
+}
+
+module.exports = {
+  FALLBACK_APR,
+  lookupRate,
+  rateSheetRecord,
+};
@@ -0,0 +1,277 @@
+// netlify/functions/lib/rent-vs-buy.js
+// ============================================================
+// v1.0.1 — RealtySaSS • Rent-vs-buy engine (deterministic)
+//
+// ✅ Month-by-month model over a horizon (years, or months until PCS orders)
+// ✅ Owner: P&I + MI from lib/amortization.js (MI drops off on schedule), taxes follow
+//    home value, insurance + HOA grow with costInflation, maintenance reserve % of value
+// ✅ Renter: rent grows yearly; starts with the buyer's upfront cash invested
+//    (opportunity cost on the down payment + closing costs)
+// ✅ Whoever pays less each month invests the difference at the same return
+// ✅ Net worth: buyer = home value − selling costs − loan balance + invested savings;
+//    renter = invested cash. Break-even = first month the buyer comes out ahead and stays there
+// ✅ Lean + reasons from basics rent_vs_buy.decision_logic
+// ✅ Rates (appreciation, rentGrowth, costInflation, maintenancePct, sellingCostPct, investReturn):
+//    |x| ≤ 0.25 is a decimal, larger is a percent — FIX: 0.5 used to read as 50%/yr
+// ✅ Leaves out mortgage-interest tax deductions, capital-gains tax, and rental income
+// ============================================================
+
+const { loadBasics } = require("./knowledge");
+const { buildAmortization } = require("./amortization");
+
+// ------------------------------
+// //#1 ASSUMPTIONS
+// ------------------------------
+const DEFAULTS = {
+  horizonYears: 7,
+  appreciation: 0.03,
+  rentGrowth: 0.03,
+  costInflation: 0.03,
+  maintenancePct: 0.01,
+  sellingCostPct: 0.06,
+  investReturn: 0.05,
+  closingCostPct: 0.03,
+};
+
+const MAX_HORIZON_YEARS = 30;
+const SHORT_STAY_YEARS = 3;
+
+function num(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Up to ±0.25 is a decimal (0.03 = 3%, -0.02 = -2%); anything larger is a percent
+// (3 = 3%, 0.5 = 0.5%, -0.5 = -0.5%). No yearly rate here is sanely 25%+.
+const DECIMAL_BOUND = 0.25;
+
+function pct(v, fallback) {
+  const n = num(v);
+  if (n === null) return fallback;
+  return Math.abs(n) <= DECIMAL_BOUND ? n : n / 100;
+}
+
+function money(n) {
+  return Math.round(Number(n) || 0);
+}
+
+// "1% (starting point)" → 0.01
+function maintenanceFromBasics(basics) {
+  const raw = basics?.money_math?.rule_of_thumb_thresholds?.maintenance_reserve?.recommended_percent_of_home_value_per_year;
+  const m = String(raw || "").match(/(\d+(?:\.\d+)?)\s*%/);
+  return m ? Number(m[1]) / 100 : null;
+}
+
+// Horizon in months: pcsMonths (time until orders) wins over horizonYears.
+function horizonMonths({ horizonYears, pcsMonths }) {
+  const pcs = num(pcsMonths);
+  if (pcs !== null && pcs > 0) return { months: Math.min(Math.round(pcs), MAX_HORIZON_YEARS * 12), pcs: true };
+  const y = num(horizonYears);
+  const years = y !== null && y > 0 ? y : DEFAULTS.horizonYears;
+  return { months: Math.max(1, Math.min(Math.round(years * 12), MAX_HORIZON_YEARS * 12)), pcs: false };
+}
+
+// ------------------------------
+// //#2 DECISION LOGIC (basics)
+// ------------------------------
+function decisionReasons({ basics, lean, years, pcs, verdictStatus, cashLeft }) {
+  const logic = basics?.rent_vs_buy?.decision_logic || {};
+  const buyList = Array.isArray(logic.buy_is_stronger_when) ? logic.buy_is_stronger_when : [];
+  const rentList = Array.isArray(logic.rent_is_stronger_when) ? logic.rent_is_stronger_when : [];
+  const find = (list, re) => list.find((s) => re.test(s)) || null;
+
+  const buy = [];
+  const rent = [];
+  if (years >= SHORT_STAY_YEARS) buy.push(find(buyList, /3\+ years/i));
+  else rent.push(find(rentList, /short timeline/i));
+  if (pcs) rent.push(find(rentList, /uncertainty/i));
+  if (verdictStatus === "GREEN") buy.push(find(buyList, /guardrails/i));
+  if (verdictStatus === "CAUTION" || verdictStatus === "NO-GO") rent.push(find(rentList, /guardrails/i));
+  if (cashLeft === false) rent.push("Upfront cash would drain reserves");
+
+  return {
+    source: logic.buy_is_stronger_when ? "ask-elena-realestate-basics.json rent_vs_buy.decision_logic" : null,
+    supports: lean === "rent" ? rent.filter(Boolean) : buy.filter(Boolean),
+    against: lean === "rent" ? buy.filter(Boolean) : rent.filter(Boolean),
+  };
+}
+
+// ------------------------------
+// //#3 MODEL
+// ------------------------------
+// mortgage = estimateAllInHousing() result; verdict (optional) = computeVerdict() result.
+function rentVsBuy({
+  price,
+  downpayment,
+  mortgage,
+  rentMonthly,
+  loanType,
+  creditScore,
+  horizonYears,
+  pcsMonths,
+  appreciation,
+  rentGrowth,
+  costInflation,
+  maintenancePct,
+  sellingCostPct,
+  investReturn,
+  upfrontCash,
+  verdict,
+  cashAvailable,
+} = {}) {
+  const P = num(price);
+  const D = num(downpayment);
+  const rent0 = num(rentMonthly);
+  if (!mortgage?.ok || !P || P <= 0 || D === null) return { ok: false, error: "Needs a priced mortgage (price + downpayment + credit score)." };
+  if (!rent0 || rent0 <= 0) return { ok: false, error: "Needs rentMonthly (current rent for a comparable home)." };
+
+  const basicsLoad = loadBasics();
+  const basics = basicsLoad.ok ? basicsLoad.data : null;
+
+  const horizon = horizonMonths({ horizonYears, pcsMonths });
+  const a = {
+    appreciation: pct(appreciation, DEFAULTS.appreciation),
+    rent_growth: pct(rentGrowth, DEFAULTS.rentGrowth),
+    cost_inflation: pct(costInflation, DEFAULTS.costInflation),
+    maintenance_pct: pct(maintenancePct, maintenanceFromBasics(basics) ?? DEFAULTS.maintenancePct),
+    selling_cost_pct: pct(sellingCostPct, DEFAULTS.sellingCostPct),
+    invest_return: pct(investReturn, DEFAULTS.investReturn),
+  };
+
+  // Upfront cash both sides start with: cash-to-close total when we have it.
+  const upfront = num(upfrontCash) ?? D + P * DEFAULTS.closingCostPct;
+
+  const amort = buildAmortization({
+    price: P,
+    downpayment: D,
+    loanType,
+    creditScore,
+    termYears: mortgage.term_years,
+    rate: mortgage.rate,
+    granularity: "monthly",
+  });
+  if (!amort.ok) return { ok: false, error: amort.error };
+
+  const b = mortgage.breakdown;
+  const rm = Math.pow(1 + a.invest_return, 1 / 12) - 1;
+  const vm = Math.pow(1 + a.appreciation, 1 / 12) - 1;
+  const taxRate = P > 0 ? (b.taxes * 12) / P : 0;
+
+  let value = P;
+  let rent = rent0;
+  let buyerInvest = 0;
+  let renterInvest = upfront;
+  let ownerCostTotal = 0;
+  let rentTotal = 0;
+  let lastBehind = 0; // last month the buyer trailed the renter
+  const years = [];
+  let yr = null;
+
+  for (let m = 1; m <= horizon.months; m++) {
+    const yearIdx = Math.floor((m - 1) / 12); // 0-based
+    const costGrowth = Math.pow(1 + a.cost_inflation, yearIdx);
+    if (m > 1 && (m - 1) % 12 === 0) rent *= 1 + a.rent_growth;
+
+    const row = amort.schedule[m - 1];
+    const pi = row ? row.payment : 0;
+    const mi = row ? row.mi : 0;
+    const balance = row ? row.balance : 0;
+
+    const owner =
+      pi + mi + (value * taxRate) / 12 + (b.insurance + b.hoa) * costGrowth + (value * a.maintenance_pct) / 12;
+
+    buyerInvest *= 1 + rm;
+    renterInvest *= 1 + rm;
+    if (owner > rent) renterInvest += owner - rent;
+    else buyerInvest += rent - owner;
+
+    value *= 1 + vm;
+    ownerCostTotal += owner;
+    rentTotal += rent;
+
+    const buyerNw = value * (1 - a.selling_cost_pct) - balance + buyerInvest;
+    const renterNw = renterInvest;
+    if (buyerNw < renterNw) lastBehind = m;
+
+    if (!yr || yr.year !== yearIdx + 1) {
+      yr = { year: yearIdx + 1, owner_cost: 0, rent: 0 };
+      years.push(yr);
+    }
+    yr.owner_cost += owner;
+    yr.rent += rent;
+    Object.assign(yr, {
+      months: m,
+      home_value: value,
+      loan_balance: balance,
+      equity_after_sale: value * (1 - a.selling_cost_pct) - balance,
+      buyer_invested: buyerInvest,
+      buyer_net_worth: buyerNw,
+      renter_net_worth: renterNw,
+      buy_advantage: buyerNw - renterNw,
+    });
+  }
+
+  const last = years[years.length - 1];
+  const breakEvenMonth = lastBehind < horizon.months ? lastBehind + 1 : null;
+  const diff = last.buy_advantage;
+  const lean = Math.abs(diff) < P * 0.01 ? "toss_up" : diff > 0 ? "buy" : "rent";
+  const horizonYrs = horizon.months / 12;
+
+  const notes = [];
+  if (breakEvenMonth === null) notes.push(`Buying doesn't catch up with renting within ${Math.round(horizonYrs * 10) / 10} years.`);
+  if (horizon.pcs) notes.push("Horizon set by PCS timing; keeping the home as a rental is not modeled.");
+  notes.push("Leaves out mortgage-interest deductions and capital-gains tax.");
+
+  return {
+    ok: true,
+    lean,
+    horizon: { months: horizon.months, years: Math.round(horizonYrs * 100) / 100, pcs: horizon.pcs },
+    break_even:
+      breakEvenMonth === null
+        ? null
+        : { month: breakEvenMonth, year: Math.ceil(breakEvenMonth / 12), years: Math.round((breakEvenMonth / 12) * 10) / 10 },
+    at_horizon: {
+      buyer_net_worth: money(last.buyer_net_worth),
+      renter_net_worth: money(last.renter_net_worth),
+      buy_advantage: money(diff),
+      home_value: money(last.home_value),
+      loan_balance: money(last.loan_balance),
+      total_owner_cost: money(ownerCostTotal),
+      total_rent: money(rentTotal),
+    },
+    yearly: years.map((y) => ({
+      year: y.year,
+      months: y.months,
+      owner_cost: money(y.owner_cost),
+      rent: money(y.rent),
+      home_value: money(y.home_value),
+      loan_balance: money(y.loan_balance),
+      equity_after_sale: money(y.equity_after_sale),
+      buyer_net_worth: money(y.buyer_net_worth),
+      renter_net_worth: money(y.renter_net_worth),
+      buy_advantage: money(y.buy_advantage),
+    })),
+    decision: decisionReasons({
+      basics,
+      lean,
+      years: horizonYrs,
+      pcs: horizon.pcs,
+      verdictStatus: verdict?.status || null,
+      cashLeft: Number.isFinite(num(cashAvailable)) ? num(cashAvailable) >= upfront : null,
+    }),
+    assumptions: {
+      ...a,
+      rent_start: money(rent0),
+      upfront_cash: money(upfront),
+      upfront_source: num(upfrontCash) !== null ? "cash_to_close" : `downpayment + ${DEFAULTS.closingCostPct * 100}% closing costs`,
+      tax_rate: Math.round(taxRate * 100000) / 100000,
+      maintenance_source: num(maintenancePct) !== null ? "input" : maintenanceFromBasics(basics) !== null ? "basics maintenance_reserve" : "built-in default",
+    },
+    notes,
+  };
+}
+
+module.exports = {
+  rentVsBuy,
+};
@@ -0,0 +1,39 @@
+// netlify/functions/lib/rent-vs-buy.test.js — run with `npm test` (node --test)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { rentVsBuy } = require("./rent-vs-buy");
+
+// $250k, 20% down (no PMI), $200k at 6% → $1,199.10 P&I; no taxes/insurance/HOA so the numbers stay hand-checkable.
+const MORTGAGE = { ok: true, term_years: 30, rate: { apr: 0.06 }, breakdown: { taxes: 0, insurance: 0, hoa: 0 } };
+const FLAT = { appreciation: 0, rentGrowth: 0, costInflation: 0, maintenancePct: 0, sellingCostPct: 0, investReturn: 0 };
+const BASE = { price: 250000, downpayment: 50000, creditScore: 760, loanType: "conv", mortgage: MORTGAGE, rentMonthly: 1500, upfrontCash: 50000 };
+
+test("flat market, one year: buyer banks the $300.90/mo rent gap and the principal paid", () => {
+  const r = rentVsBuy({ ...BASE, ...FLAT, horizonYears: 1 });
+  assert.ok(r.ok);
+  // 250,000 − 197,543.98 balance + 12 × 300.90 invested vs. the renter's 50,000
+  assert.equal(r.at_horizon.loan_balance, 197544);
+  assert.equal(r.at_horizon.buyer_net_worth, 56067);
+  assert.equal(r.at_horizon.renter_net_worth, 50000);
+  assert.equal(r.at_horizon.buy_advantage, 6067);
+  assert.equal(r.at_horizon.total_owner_cost, 14389);
+  assert.equal(r.at_horizon.total_rent, 18000);
+  assert.equal(r.lean, "buy");
+  assert.equal(r.break_even.month, 1);
+});
+
+test("6% selling costs push break-even out; PCS months set the horizon", () => {
+  const r = rentVsBuy({ ...BASE, ...FLAT, sellingCostPct: 6, pcsMonths: 18 });
+  assert.equal(r.horizon.months, 18);
+  assert.equal(r.horizon.pcs, true);
+  // Selling costs of $15,000 against ~$6k/yr of gains: the buyer never catches up in 18 months
+  assert.equal(r.break_even, null);
+  assert.equal(r.lean, "rent");
+});
+
+test("rates ≤ 0.25 read as decimals, larger as percents", () => {
+  const r = rentVsBuy({ ...BASE, appreciation: 0.5, rentGrowth: 3, investReturn: 0.05, horizonYears: 1 });
+  assert.equal(r.assumptions.appreciation, 0.005);
+  assert.equal(r.assumptions.rent_growth, 0.03);
+  assert.equal(r.assumptions.invest_return, 0.05);
+});
@@ -0,0 +1,220 @@
+// netlify/functions/lib/reply-blocks.js
+// ============================================================
+// v1.0.0 — RealtySaSS • Structured Elena replies
+//
+// ✅ Block types:
+// - { type: "paragraph", text }                       (inline **bold** + [label](url) allowed)
+// - { type: "bullets", items: [text], ordered? }
+// - { type: "numbers", items: [{ label, value }] }
+// - { type: "cta", buttons: [{ label, action: "send"|"open"|"copy", value? }] }
+// - { type: "link", label, href }
+// ✅ blocksFromMarkdown(): existing markdown replies → blocks
+// ✅ fitBlocks(): block-aware truncation (whole sentences / whole bullets, never mid-**bold**)
+// ✅ renderMarkdown() + renderText(): both renderings built server-side
+// ============================================================
+
+// ------------------------------
+// //#1 BUILDERS
+// ------------------------------
+const paragraph = (text) => ({ type: "paragraph", text: String(text || "") });
+const bullets = (items, ordered = false) => ({ type: "bullets", items: (items || []).map(String), ordered: !!ordered });
+const numbers = (items) => ({ type: "numbers", items: items || [] });
+const cta = (buttons) => ({ type: "cta", buttons: buttons || [] });
+const link = (label, href) => ({ type: "link", label: String(label || href || ""), href: String(href || "") });
+
+// Buttons that send their label back as the next message.
+function replyButtons(labels) {
+  return cta(labels.map((l) => ({ label: l, action: "send", value: l })));
+}
+
+// ------------------------------
+// //#2 MARKDOWN → BLOCKS
+// ------------------------------
+const BULLET_RE = /^\s*(?:[•\-*]|(\d+)[.)])\s+(.*)$/;
+
+// Single newlines stay inside a paragraph; `tight` marks blocks that followed the previous one
+// without a blank line so the renderers can reproduce the original spacing.
+function blocksFromMarkdown(text) {
+  const lines = String(text || "").replace(/\r\n/g, "\n").split("\n");
+  const out = [];
+  let cur = null;
+  let blank = true;
+
+  const close = () => {
+    if (cur) out.push(cur);
+    cur = null;
+  };
+
+  for (const line of lines) {
+    if (!line.trim()) {
+      close();
+      blank = true;
+      continue;
+    }
+    const b = line.match(BULLET_RE);
+    if (b) {
+      const ordered = !!b[1];
+      if (!cur || cur.type !== "bullets" || cur.ordered !== ordered) {
+        close();
+        cur = { ...bullets([], ordered), tight: out.length > 0 && !blank };
+      }
+      cur.items.push(b[2].trim());
+    } else if (cur && cur.type === "paragraph") {
+      cur.text += "\n" + line.trim();
+    } else {
+      close();
+      cur = { ...paragraph(line.trim()), tight: out.length > 0 && !blank };
+    }
+    blank = false;
+  }
+  close();
+  return out;
+}
+
+// ------------------------------
+// //#3 RENDERERS
+// ------------------------------
+function stripInline(s) {
+  return String(s || "")
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, "$1 ($2)")
+    .replace(/\*\*([^*]+)\*\*/g, "$1")
+    .replace(/__([^_]+)__/g, "$1")
+    .replace(/`([^`]+)`/g, "$1");
+}
+
+function renderBlock(b, mode) {
+  const md = mode === "markdown";
+  const inline = (s) => (md ? String(s) : stripInline(s));
+
+  if (b.type === "paragraph") return inline(b.text);
+  if (b.type === "bullets") {
+    return b.items.map((it, i) => `${b.ordered ? `${i + 1})` : "•"} ${inline(it)}`).join("\n");
+  }
+  if (b.type === "numbers") {
+    return b.items.map((n) => `• ${n.label}: ${md ? `**${n.value}**` : n.value}`).join("\n");
+  }
+  if (b.type === "cta") {
+    // "copy" buttons only make sense as UI; "send" shows as a choice, "open" as a link.
+    const shown = b.buttons
+      .map((x) => {
+        if (x.action === "send") return md ? `**${x.label}**` : x.label;
+        if (x.action === "open") return md ? `[${x.label}](${x.value})` : `${x.label}: ${x.value}`;
+        return "";
+      })
+      .filter(Boolean);
+    return shown.join(md ? " · " : " / ");
+  }
+  if (b.type === "link") return md ? `[${b.label}](${b.href})` : `${b.label}: ${b.href}`;
+  return "";
+}
+
+function render(blocks, mode) {
+  let out = "";
+  (blocks || []).forEach((b, i) => {
+    const s = renderBlock(b, mode);
+    if (!s) return;
+    if (i > 0 && out) out += b.tight ? "\n" : "\n\n";
+    out += s;
+  });
+  return out;
+}
+
+const renderMarkdown = (blocks) => render(blocks, "markdown");
+const renderText = (blocks) => render(blocks, "text");
+
+// ------------------------------
+// //#4 BLOCK-AWARE TRUNCATION
+// ------------------------------
+// An odd number of ** means a bold span was cut open — drop the dangling marker.
+function balanceBold(s) {
+  const parts = String(s).split("**");
+  if (parts.length % 2 === 1) return s;
+  const last = parts.pop();
+  return parts.join("**") + last;
+}
+
+function splitSentences(text) {
+  return String(text || "").match(/[^.!?…\n]+(?:[.!?…]+|\n|$)\s*/g) || [String(text || "")];
+}
+
+// Longest whole-sentence prefix of a paragraph that keeps the reply under budget.
+function cutParagraph(block, fitsWith) {
+  const parts = splitSentences(block.text);
+  const ellipsize = (t) => balanceBold(t.trimEnd()).replace(/\.$/, "") + "…";
+  let acc = "";
+  for (const p of parts) {
+    const next = acc + p;
+    if (!fitsWith({ ...block, text: ellipsize(next) })) break;
+    acc = next;
+  }
+  if (acc.trim()) return { ...block, text: ellipsize(acc) };
+
+  // Not even one sentence fits: fall back to whole words.
+  const words = String(block.text).split(/\s+/);
+  let w = "";
+  for (const word of words) {
+    const next = w ? `${w} ${word}` : word;
+    if (!fitsWith({ ...block, text: balanceBold(next) + "…" })) break;
+    w = next;
+  }
+  return w ? { ...block, text: balanceBold(w) + "…" } : null;
+}
+
+function cutList(block, fitsWith) {
+  const items = [];
+  for (const it of block.items) {
+    if (!fitsWith({ ...block, items: [...items, it] })) break;
+    items.push(it);
+  }
+  return items.length ? { ...block, items } : null;
+}
+
+// Content blocks fill the budget in order; CTA / link blocks are kept when they fit on their own.
+function fitBlocks(blocks, maxChars, mode = "markdown") {
+  const all = Array.isArray(blocks) ? blocks : [];
+  const n = Number(maxChars);
+  if (!Number.isFinite(n) || n <= 0 || render(all, mode).length <= n) {
+    return { blocks: all, truncated: false };
+  }
+
+  const isAction = (b) => b.type === "cta" || b.type === "link";
+  const actions = all.filter(isAction).filter((b) => render([b], mode).length <= n / 3);
+  const content = all.filter((b) => !isAction(b));
+
+  const kept = [];
+  const fits = (list) => render([...list, ...actions], mode).length <= n;
+
+  for (const b of content) {
+    if (fits([...kept, b])) {
+      kept.push(b);
+      continue;
+    }
+    const fitsWith = (candidate) => fits([...kept, candidate]);
+    let partial = null;
+    if (b.type === "paragraph") partial = cutParagraph(b, fitsWith);
+    else if (b.type === "bullets" || b.type === "numbers") partial = cutList(b, fitsWith);
+    if (partial) kept.push(partial);
+    break;
+  }
+
+  // Nothing fit next to the actions: give the budget back to content.
+  if (!kept.length && content.length) {
+    const p = content[0].type === "paragraph" ? cutParagraph(content[0], (c) => render([c], mode).length <= n) : null;
+    return { blocks: p ? [p] : [], truncated: true };
+  }
+
+  return { blocks: [...kept, ...actions], truncated: true };
+}
+
+module.exports = {
+  paragraph,
+  bullets,
+  numbers,
+  cta,
+  link,
+  replyButtons,
+  blocksFromMarkdown,
+  fitBlocks,
+  renderMarkdown,
+  renderText,
+};
@@ -0,0 +1,301 @@
+// netlify/functions/lib/retrieval.js
+// ============================================================
+// v1.0.0 — RealtySaSS • Local FAQ + glossary retrieval
+//
+// ✅ Corpus built from shipped knowledge files:
+// - realtysass.json                       → faq
+// - ask-elena-realestate-basics.json      → terminology_quick_hits, core_concepts
+// - states-<state>.json                   → core_terms_tx (and any core_terms_*)
+//
+// ✅ Ranked retrieval: tokenize → synonyms → exact + fuzzy scoring
+// ✅ Every hit carries its source (file + JSON path) as a receipt
+// ============================================================
+
+// ------------------------------
+// //#1 TOKENIZER
+// ------------------------------
+const STOPWORDS = new Set([
+  "a", "an", "the", "is", "are", "was", "were", "be", "what", "whats", "what's", "who", "how", "does",
+  "do", "did", "in", "on", "of", "for", "to", "and", "or", "my", "me", "i", "you", "your", "it", "its",
+  "this", "that", "there", "can", "could", "should", "would", "about", "with", "mean", "means",
+  "explain", "tell", "define", "definition", "please", "elena", "hey", "hi", "by", "at", "as", "s",
+  // State names pick the state file; they are not content words.
+  "texas", "tx", "arizona", "az",
+]);
+
+// Canonical forms: every token on the right maps to the key on the left.
+const SYNONYMS = {
+  earnest: ["deposit", "em", "goodfaith"],
+  option: ["optionperiod"],
+  inspection: ["inspect", "inspector", "inspections"],
+  appraisal: ["appraise", "appraiser", "appraised", "valuation"],
+  escrow: ["impound", "impounds"],
+  equity: ["ownership", "stake"],
+  point: ["points", "buydown"],
+  contingency: ["contingencies", "contingent"],
+  disclosure: ["disclosures", "disclose"],
+  preapproval: ["preapproved", "prequal", "prequalified", "preapprove"],
+  hoa: ["association", "dues"],
+  crm: ["pipeline"],
+  buyerbrief: ["brief"],
+  title: ["titlecompany"],
+};
+
+const SYNONYM_LOOKUP = (() => {
+  const m = new Map();
+  for (const [canon, list] of Object.entries(SYNONYMS)) {
+    m.set(canon, canon);
+    for (const w of list) m.set(w, canon);
+  }
+  return m;
+})();
+
+// Typos of a known synonym still land on its canonical form ("apraiser" → appraisal).
+function fuzzyCanonical(w) {
+  if (w.length < 5) return null;
+  for (const [k, canon] of SYNONYM_LOOKUP) {
+    if (k.length >= 5 && editDistance(w, k, 1) <= 1) return canon;
+  }
+  return null;
+}
+
+function stem(w) {
+  if (w.length > 5 && w.endsWith("ies")) return w.slice(0, -3) + "y";
+  if (w.length > 4 && w.endsWith("es") && !w.endsWith("ses")) return w.slice(0, -2);
+  if (w.length > 3 && w.endsWith("s") && !w.endsWith("ss")) return w.slice(0, -1);
+  return w;
+}
+
+function tokenize(text) {
+  const t = String(text || "")
+    .toLowerCase()
+    .replace(/[’']/g, "")
+    .replace(/pre-?approv/g, "preapprov")
+    .replace(/[^a-z0-9\s]/g, " ");
+
+  const out = [];
+  for (const raw of t.split(/\s+/)) {
+    if (!raw || STOPWORDS.has(raw)) continue;
+    const canon =
+      SYNONYM_LOOKUP.get(raw) || SYNONYM_LOOKUP.get(stem(raw)) || fuzzyCanonical(raw) || stem(raw);
+    if (canon && !STOPWORDS.has(canon)) out.push(canon);
+  }
+  return out;
+}
+
+// ------------------------------
+// //#2 FUZZY MATCH
+// ------------------------------
+function editDistance(a, b, max) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) prev[j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (cur[j] < rowMin) rowMin = cur[j];
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// 1.0 exact, 0.7 close typo, 0 otherwise. Short tokens must match exactly.
+function tokenSimilarity(q, d) {
+  if (q === d) return 1;
+  if (q.length < 4 || d.length < 4) return 0;
+  const max = q.length >= 8 ? 2 : 1;
+  return editDistance(q, d, max) <= max ? 0.7 : 0;
+}
+
+// ------------------------------
+// //#3 CORPUS
+// ------------------------------
+function entry({ id, file, path, title, aliases, text, answer }) {
+  return {
+    id,
+    source: { file, path },
+    title,
+    answer,
+    title_tokens: tokenize([title, aliases].filter(Boolean).join(" ")),
+    body_tokens: tokenize(text),
+  };
+}
+
+function buildCorpus({ realtysass, basics, state, stateFile }) {
+  const corpus = [];
+
+  const faq = Array.isArray(realtysass?.faq) ? realtysass.faq : [];
+  faq.forEach((f, i) => {
+    if (!f || !f.q || !f.a) return;
+    corpus.push(entry({
+      id: `faq_${i}`,
+      file: "realtysass.json",
+      path: `faq[${i}]`,
+      title: String(f.q),
+      text: String(f.a),
+      answer: String(f.a),
+    }));
+  });
+
+  const hits = Array.isArray(basics?.terminology_quick_hits) ? basics.terminology_quick_hits : [];
+  hits.forEach((h, i) => {
+    if (!h || !h.term || !h.meaning) return;
+    corpus.push(entry({
+      id: `term_${i}`,
+      file: "ask-elena-realestate-basics.json",
+      path: `terminology_quick_hits[${i}]`,
+      title: String(h.term),
+      text: String(h.meaning),
+      answer: `**${h.term}** — ${h.meaning}`,
+    }));
+  });
+
+  for (const group of ["parties", "key_documents"]) {
+    const list = Array.isArray(basics?.core_concepts?.[group]) ? basics.core_concepts[group] : [];
+    list.forEach((c, i) => {
+      if (!c || !c.term || !c.meaning) return;
+      corpus.push(entry({
+        id: `${group}_${i}`,
+        file: "ask-elena-realestate-basics.json",
+        path: `core_concepts.${group}[${i}]`,
+        title: String(c.term),
+        text: String(c.meaning),
+        answer: `**${c.term}** — ${c.meaning}`,
+      }));
+    });
+  }
+
+  if (state && typeof state === "object") {
+    for (const section of Object.keys(state).filter((k) => /^core_terms_/.test(k))) {
+      const terms = state[section] && typeof state[section] === "object" ? state[section] : {};
+      for (const [key, t] of Object.entries(terms)) {
+        if (!t || typeof t !== "object") continue;
+        const title = t.common_name || key.replace(/_/g, " ");
+        const what = t.what_it_is || t.concept || "";
+        if (!what) continue;
+
+        const extra = [];
+        if (t.typical_range_days) extra.push(`Typical range (days): ${t.typical_range_days}.`);
+        const why = Array.isArray(t.why_it_matters) ? t.why_it_matters[0] : "";
+
+        corpus.push(entry({
+          id: `${section}.${key}`,
+          file: stateFile || "states",
+          path: `${section}.${key}`,
+          title,
+          aliases: key.replace(/_/g, " "),
+          text: [what, why, ...extra].filter(Boolean).join(" "),
+          answer: [`**${title}** — ${what}`, why, ...extra].filter(Boolean).join("\n"),
+        }));
+      }
+    }
+  }
+
+  return corpus;
+}
+
+// ------------------------------
+// //#4 SCORING
+// ------------------------------
+function bestSimilarity(q, tokens) {
+  let best = 0;
+  for (const d of tokens) {
+    const s = tokenSimilarity(q, d);
+    if (s > best) best = s;
+    if (best === 1) break;
+  }
+  return best;
+}
+
+function scoreEntry(qTokens, e) {
+  if (!qTokens.length) return 0;
+
+  let raw = 0;
+  let titleHits = 0;
+  for (const q of qTokens) {
+    const inTitle = bestSimilarity(q, e.title_tokens);
+    const inBody = bestSimilarity(q, e.body_tokens);
+    if (inTitle > 0) titleHits++;
+    raw += Math.max(inTitle * 3, inBody * 1);
+  }
+
+  // Favor entries whose whole title is covered by the question ("option period").
+  const titleCoverage = e.title_tokens.length
+    ? e.title_tokens.filter((d) => qTokens.some((q) => tokenSimilarity(q, d) > 0)).length / e.title_tokens.length
+    : 0;
+
+  const normalized = raw / (qTokens.length * 3);
+  return Math.round((normalized * 0.7 + titleCoverage * 0.3 + (titleHits ? 0.05 : 0)) * 1000) / 1000;
+}
+
+function isStateEntry(e) {
+  return /^states-/.test(e.source.file) ? 1 : 0;
+}
+
+function search(query, corpus, { limit = 3 } = {}) {
+  const qTokens = tokenize(query);
+  if (!qTokens.length || !Array.isArray(corpus)) return [];
+
+  return corpus
+    .map((e) => ({ e, score: scoreEntry(qTokens, e) }))
+    .filter((r) => r.score > 0)
+    // Ties go to the state pack: it is the more specific answer.
+    .sort((a, b) => b.score - a.score || isStateEntry(b.e) - isStateEntry(a.e))
+    .slice(0, limit)
+    .map(({ e, score }) => ({
+      id: e.id,
+      score,
+      title: e.title,
+      answer: e.answer,
+      source: e.source,
+    }));
+}
+
+// ------------------------------
+// //#5 PUBLIC ENTRY
+// ------------------------------
+const MIN_SCORE = 0.6;
+
+// Multi-part questions ("what is escrow and how much is solo?") are retried clause by clause.
+function splitClauses(query) {
+  return String(query || "")
+    .split(/[?;]|\band\b|\balso\b/i)
+    .map((c) => c.trim())
+    .filter((c) => c.length > 2);
+}
+
+function answerFromKnowledge(query, knowledge, { minScore = MIN_SCORE } = {}) {
+  const corpus = buildCorpus(knowledge || {});
+  let ranked = search(query, corpus, { limit: 3 });
+
+  const clauses = splitClauses(query);
+  if ((!ranked[0] || ranked[0].score < minScore) && clauses.length > 1) {
+    for (const c of clauses) {
+      const r = search(c, corpus, { limit: 3 });
+      if (r[0] && (!ranked[0] || r[0].score > ranked[0].score)) ranked = r;
+    }
+  }
+
+  const top = ranked[0] || null;
+  if (!top || top.score < minScore) {
+    return { ok: false, hit: null, ranked };
+  }
+  return { ok: true, hit: top, ranked };
+}
+
+module.exports = {
+  MIN_SCORE,
+  tokenize,
+  editDistance,
+  buildCorpus,
+  search,
+  answerFromKnowledge,
+};
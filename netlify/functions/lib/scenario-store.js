@@ -0,0 +1,383 @@
+// netlify/functions/lib/scenario-store.js
+// ============================================================
+// v1.1.1 — RealtySaSS • Saved elena-agent scenarios
+//
+// ✅ Adapters (ELENA_SCENARIO_STORE):
+// - "blobs"    → Netlify Blobs store "elena-scenarios", keys <owner>/<scenario_id> (default on Netlify)
+// - "supabase" → table elena_scenarios (id text pk, owner text, title text, summary jsonb,
+//                record jsonb, created_at, updated_at)
+// - "file"     → JSON files under ELENA_SCENARIO_DIR (default <tmpdir>/elena-scenarios) — local dev
+// - "memory"   → in-process Map (tests)
+//
+// ✅ Owner = verified user or session_id, hashed the same way as lib/memory-store.js
+// ✅ Record: request (what to re-run), summary, payload (inputs + assumptions + results, minus knowledge + debug)
+// ✅ FIX: no personal data in records — email + profile_used are dropped, and context.profile keeps
+//    only the fields the math reads (state, income, family size)
+// ✅ Compare-mode runs keep their ranking in summary.compare (title: "Compare: A vs B vs C")
+// ✅ Per-owner cap ELENA_SCENARIO_MAX (50): oldest scenarios are deleted first
+// ============================================================
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { resolveMemoryKey } = require("./memory-store");
+
+// ------------------------------
+// //#1 LIMITS + KEYS
+// ------------------------------
+const STORE_NAME = "elena-scenarios";
+const SUPABASE_TABLE = "elena_scenarios";
+const SCENARIO_ID_RE = /^elena_[a-f0-9]{16}$/;
+const MAX_RECORD_BYTES = 256 * 1024;
+
+// Body keys elena-agent reads; anything else (tokens, session ids, memory) is not stored.
+const RERUN_KEYS = [
+  "question",
+  "message",
+  "prompt",
+  "scenario",
+  "overrides",
+  "fad",
+  "fad_snapshot",
+  "snapshot",
+  "amortization",
+  "rentVsBuy",
+  "sensitivity",
+  "compare",
+];
+const RERUN_CONTEXT_KEYS = ["state", "profile", "fad"];
+// context.profile fields the math reads; names, email, phone and notes are never stored.
+const RERUN_PROFILE_KEYS = ["state", "license_state", "income", "monthly_income", "family_size", "household_size"];
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function maxPerOwner() {
+  return envNumber("ELENA_SCENARIO_MAX", 50);
+}
+
+// userId must come from a verified identity — never from a client-posted email.
+function resolveOwner({ userId, sessionId }) {
+  const { key, keyType } = resolveMemoryKey({ userId, sessionId });
+  return { owner: key, ownerType: keyType };
+}
+
+function isScenarioId(id) {
+  return SCENARIO_ID_RE.test(String(id || ""));
+}
+
+// ------------------------------
+// //#2 RECORDS
+// ------------------------------
+function rerunRequest(body) {
+  const out = {};
+  for (const k of RERUN_KEYS) {
+    if (body?.[k] !== undefined && body[k] !== null) out[k] = body[k];
+  }
+  const ctx = body?.context && typeof body.context === "object" ? body.context : null;
+  if (ctx) {
+    const c = {};
+    for (const k of RERUN_CONTEXT_KEYS) if (ctx[k] !== undefined && ctx[k] !== null) c[k] = ctx[k];
+    if (c.profile && typeof c.profile === "object") {
+      const profile = {};
+      for (const k of RERUN_PROFILE_KEYS) if (c.profile[k] !== undefined && c.profile[k] !== null) profile[k] = c.profile[k];
+      if (Object.keys(profile).length) c.profile = profile;
+      else delete c.profile;
+    }
+    if (Object.keys(c).length) out.context = c;
+  }
+  return out;
+}
+
+function summarize(payload) {
+  const m = payload?.mortgage || {};
+  const iu = payload?.inputs_used || {};
+  return {
+    intent: payload?.intent || null,
+    question: payload?.question || null,
+    status: payload?.verdict?.status || null,
+    grade: payload?.verdict?.grade || null,
+    price: iu.price ?? null,
+    downpayment: iu.downpayment ?? null,
+    loan_type: iu.loanType || null,
+    all_in_monthly: m.all_in_monthly ?? null,
+    apr_assumed: m.apr_assumed ?? null,
+    cash_to_close: payload?.cash_to_close?.ok ? payload.cash_to_close.total : null,
+    rate_sheet_version: iu.assumptions?.rate_sheet?.version || null,
+    rate_sheet_row: iu.assumptions?.rate_sheet?.row_id || null,
+    compare: payload?.compare?.ok ? payload.compare.ranking : null,
+  };
+}
+
+function defaultTitle(summary) {
+  if (summary.compare) return `Compare: ${summary.compare.join(" vs ")}`.slice(0, 120);
+  const parts = [];
+  if (Number.isFinite(summary.price)) parts.push(`$${Math.round(summary.price).toLocaleString("en-US")}`);
+  if (summary.loan_type) parts.push(summary.loan_type);
+  if (summary.status) parts.push(summary.status);
+  return parts.join(" • ") || "Scenario";
+}
+
+// payload = elena-agent response payload; knowledge (full data files) and debug aren't stored,
+// and neither is anything personal (email, profile_used) — owners can be a client-chosen session_id.
+function buildRecord({ owner, payload, body, title, rerunOf = null, createdAt = null }) {
+  const { knowledge, debug, saved, request_id, email, profile_used, ...stored } = payload || {};
+  const summary = summarize(payload);
+  const now = new Date().toISOString();
+  return {
+    id: payload.scenario_id,
+    owner,
+    title: String(title || "").trim().slice(0, 120) || defaultTitle(summary),
+    created_at: createdAt || now,
+    updated_at: now,
+    rerun_of: rerunOf,
+    request: rerunRequest(body),
+    summary,
+    payload: stored,
+  };
+}
+
+function listItem(rec) {
+  return {
+    scenario_id: rec.id,
+    title: rec.title,
+    created_at: rec.created_at,
+    updated_at: rec.updated_at,
+    rerun_of: rec.rerun_of || null,
+    summary: rec.summary || null,
+  };
+}
+
+// ------------------------------
+// //#3 ADAPTERS
+// ------------------------------
+const __LOCAL = new Map();
+
+function memoryAdapter() {
+  return {
+    name: "memory",
+    async get(owner, id) {
+      const raw = __LOCAL.get(`${owner}/${id}`);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async put(owner, id, record) {
+      __LOCAL.set(`${owner}/${id}`, JSON.stringify(record));
+    },
+    async del(owner, id) {
+      return __LOCAL.delete(`${owner}/${id}`);
+    },
+    async list(owner) {
+      const out = [];
+      for (const [k, raw] of __LOCAL) if (k.startsWith(`${owner}/`)) out.push(JSON.parse(raw));
+      return out;
+    },
+  };
+}
+
+function fileAdapter() {
+  const root = process.env.ELENA_SCENARIO_DIR || path.join(os.tmpdir(), STORE_NAME);
+  const dirFor = (owner) => path.join(root, owner);
+  const fileFor = (owner, id) => path.join(dirFor(owner), `${id}.json`);
+  const readJson = async (file) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  };
+  return {
+    name: "file",
+    async get(owner, id) {
+      return readJson(fileFor(owner, id));
+    },
+    async put(owner, id, record) {
+      await fs.promises.mkdir(dirFor(owner), { recursive: true });
+      await fs.promises.writeFile(fileFor(owner, id), JSON.stringify(record));
+    },
+    async del(owner, id) {
+      try {
+        await fs.promises.unlink(fileFor(owner, id));
+        return true;
+      } catch (e) {
+        if (e.code === "ENOENT") return false;
+        throw e;
+      }
+    },
+    async list(owner) {
+      let names = [];
+      try {
+        names = await fs.promises.readdir(dirFor(owner));
+      } catch (e) {
+        if (e.code === "ENOENT") return [];
+        throw e;
+      }
+      const recs = await Promise.all(
+        names.filter((n) => n.endsWith(".json")).map((n) => readJson(path.join(dirFor(owner), n)))
+      );
+      return recs.filter(Boolean);
+    },
+  };
+}
+
+function blobsAdapter(event) {
+  const blobs = require("@netlify/blobs");
+  // Lambda-compatible handlers must hand the event to Blobs before getStore().
+  if (event && typeof blobs.connectLambda === "function" && event.blobs) blobs.connectLambda(event);
+  const store = blobs.getStore(STORE_NAME);
+  return {
+    name: "blobs",
+    async get(owner, id) {
+      return (await store.get(`${owner}/${id}`, { type: "json" })) || null;
+    },
+    async put(owner, id, record) {
+      await store.setJSON(`${owner}/${id}`, record);
+    },
+    async del(owner, id) {
+      const existed = (await store.get(`${owner}/${id}`)) !== null;
+      await store.delete(`${owner}/${id}`);
+      return existed;
+    },
+    async list(owner) {
+      const { blobs: items } = await store.list({ prefix: `${owner}/` });
+      const recs = await Promise.all(items.map((b) => store.get(b.key, { type: "json" })));
+      return recs.filter(Boolean);
+    },
+  };
+}
+
+function supabaseAdapter() {
+  const { createClient } = require("@supabase/supabase-js");
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+  const check = ({ data, error }) => {
+    if (error) throw new Error(String(error.message || error));
+    return data;
+  };
+  return {
+    name: "supabase",
+    async get(owner, id) {
+      const row = check(
+        await supabase.from(SUPABASE_TABLE).select("record").eq("owner", owner).eq("id", id).maybeSingle()
+      );
+      return row ? row.record : null;
+    },
+    async put(owner, id, record) {
+      check(
+        await supabase.from(SUPABASE_TABLE).upsert(
+          {
+            id,
+            owner,
+            title: record.title,
+            summary: record.summary,
+            record,
+            created_at: record.created_at,
+            updated_at: record.updated_at,
+          },
+          { onConflict: "id" }
+        )
+      );
+    },
+    async del(owner, id) {
+      const rows = check(await supabase.from(SUPABASE_TABLE).delete().eq("owner", owner).eq("id", id).select("id"));
+      return Array.isArray(rows) && rows.length > 0;
+    },
+    async list(owner) {
+      const rows = check(
+        await supabase
+          .from(SUPABASE_TABLE)
+          .select("id,owner,title,summary,created_at,updated_at")
+          .eq("owner", owner)
+          .order("created_at", { ascending: false })
+      );
+      return rows || [];
+    },
+  };
+}
+
+function pickAdapterName() {
+  const forced = String(process.env.ELENA_SCENARIO_STORE || "").trim().toLowerCase();
+  if (["blobs", "supabase", "file", "memory"].includes(forced)) return forced;
+  if (process.env.NETLIFY || process.env.NETLIFY_BLOBS_CONTEXT) return "blobs";
+  return "file";
+}
+
+function createAdapter({ event } = {}) {
+  const name = pickAdapterName();
+  try {
+    if (name === "blobs") return blobsAdapter(event);
+    if (name === "supabase" && process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY) return supabaseAdapter();
+    if (name === "file") return fileAdapter();
+  } catch (_) {}
+  return memoryAdapter();
+}
+
+// ------------------------------
+// //#4 STORE
+// ------------------------------
+function createScenarioStore({ event, adapter } = {}) {
+  const a = adapter || createAdapter({ event });
+  const fail = (e) => ({ ok: false, error: String(e?.message || e) });
+
+  async function save(owner, record) {
+    if (!owner) return { ok: false, persisted: false, error: "No user or session_id to save under." };
+    if (JSON.stringify(record).length > MAX_RECORD_BYTES) {
+      return { ok: false, persisted: false, error: "Scenario too large to save." };
+    }
+    try {
+      await a.put(owner, record.id, record);
+
+      // Keep the newest maxPerOwner() scenarios.
+      const all = (await a.list(owner)).sort((x, y) => String(y.created_at).localeCompare(String(x.created_at)));
+      const evicted = all.slice(maxPerOwner()).map((r) => r.id);
+      for (const id of evicted) await a.del(owner, id);
+
+      return { ok: true, persisted: true, evicted, error: null };
+    } catch (e) {
+      return { ...fail(e), persisted: false };
+    }
+  }
+
+  async function get(owner, id) {
+    if (!owner || !isScenarioId(id)) return { ok: false, record: null, error: null };
+    try {
+      const record = await a.get(owner, id);
+      return { ok: !!record, record: record || null, error: null };
+    } catch (e) {
+      return { ...fail(e), record: null };
+    }
+  }
+
+  async function list(owner, { limit = 20 } = {}) {
+    if (!owner) return { ok: true, items: [], total: 0, error: null };
+    try {
+      const all = (await a.list(owner)).sort((x, y) => String(y.created_at).localeCompare(String(x.created_at)));
+      const n = Math.max(1, Math.min(Number(limit) || 20, maxPerOwner()));
+      return { ok: true, items: all.slice(0, n).map(listItem), total: all.length, error: null };
+    } catch (e) {
+      return { ...fail(e), items: [], total: 0 };
+    }
+  }
+
+  async function remove(owner, id) {
+    if (!owner || !isScenarioId(id)) return { ok: false, deleted: false, error: null };
+    try {
+      const deleted = await a.del(owner, id);
+      return { ok: true, deleted: !!deleted, error: null };
+    } catch (e) {
+      return { ...fail(e), deleted: false };
+    }
+  }
+
+  return { adapter: a.name, save, get, list, remove };
+}
+
+module.exports = {
+  resolveOwner,
+  isScenarioId,
+  buildRecord,
+  createScenarioStore,
+};
@@ -0,0 +1,251 @@
+// netlify/functions/lib/scripts.js
+// ============================================================
+// v1.0.2 — RealtySaSS • State script / template generator
+//
+// ✅ Reads scripts from the state pack:
+// - states-texas.json   → scripts_tx
+// - states-arizona.json → client_messaging_templates
+// ✅ Situations: option period, earnest money, appraisal issue, follow-up
+// ✅ Fills property address, deadlines from memory → profile; buyer name from memory / the message
+// ✅ FIX: buyer name also read from "for/to <Name>" ("write a follow-up for John Smith")
+// ✅ FIX: buyer name only from memory / the message — the profile is the signed-in agent's
+// ✅ Returns plain text + a copy-ready email (subject + body)
+// ============================================================
+
+const { loadState, listStateKeys } = require("./knowledge");
+
+// ------------------------------
+// //#1 SITUATIONS
+// ------------------------------
+// key_re matches template keys inside the state pack; deadline = memory key that holds its date.
+const SITUATIONS = {
+  option_period: {
+    title: "Option period",
+    detect: /\b(option (period|fee|window)|inspection (period|window)|due diligence)\b/,
+    key_re: /option_period/,
+    deadline: { key: "option_period_end", label: "Option period ends" },
+  },
+  earnest_money: {
+    title: "Earnest money",
+    detect: /\b(earnest( money)?|em deposit|good faith deposit)\b/,
+    key_re: /earnest/,
+    deadline: { key: "earnest_money_due", label: "Earnest money due" },
+  },
+  appraisal_issue: {
+    title: "Appraisal",
+    detect: /\b(apprais(al|ed)|appraisal gap|came in low|low value)\b/,
+    key_re: /appraisal/,
+    deadline: { key: "appraisal_deadline", label: "Appraisal deadline" },
+  },
+  follow_up: {
+    title: "Following up",
+    detect: /\b(follow[\s-]?up|no response|not responding|ghost(ed|ing)?|check[\s-]?in|circle back)\b/,
+    key_re: /follow_up/,
+    deadline: null,
+  },
+};
+
+// Where each state pack keeps its scripts.
+const SCRIPT_SECTIONS = ["scripts_tx", "client_messaging_templates"];
+
+function detectSituation(text) {
+  const t = String(text || "").toLowerCase();
+  for (const [key, s] of Object.entries(SITUATIONS)) if (s.detect.test(t)) return key;
+  return null;
+}
+
+// ------------------------------
+// //#2 STATE PACK LOOKUP
+// ------------------------------
+function audienceFromKey(key) {
+  if (/listing_agent/.test(key)) return "listing_agent";
+  if (/seller/.test(key)) return "seller";
+  return "buyer";
+}
+
+function listStateTemplates(stateData) {
+  const out = [];
+  for (const section of SCRIPT_SECTIONS) {
+    const block = stateData?.[section];
+    if (!block || typeof block !== "object") continue;
+    for (const [key, v] of Object.entries(block)) {
+      const text = String(v?.text || v?.script || "").trim();
+      if (text) out.push({ section, key, text, followup: String(v?.if_pause_response || "").trim() || null });
+    }
+  }
+  return out;
+}
+
+function situationsForState(stateData) {
+  const templates = listStateTemplates(stateData);
+  return Object.keys(SITUATIONS).filter((s) => templates.some((t) => SITUATIONS[s].key_re.test(t.key)));
+}
+
+function statesWithScripts() {
+  return listStateKeys().filter((k) => {
+    const load = loadState(k);
+    return load.ok && listStateTemplates(load.data).length > 0;
+  });
+}
+
+// ------------------------------
+// //#3 FILL-INS (memory → profile → message)
+// ------------------------------
+const ADDRESS_RE =
+  /\b\d{2,6}\s+(?:[A-Za-z0-9.']+\s){0,4}(?:st|street|ave|avenue|rd|road|dr|drive|ln|lane|blvd|ct|court|way|pl|place|cir|circle|trl|trail|pkwy|hwy)\b\.?/i;
+const BUYER_RE = /\b(?:buyer|client)(?:'s name)?(?:\s+is)?\s+([A-Z][a-z]+(?:\s[A-Z][a-z]+)?)\b/;
+const FOR_NAME_RE = /\b(?:for|to)\s+([A-Z][a-z]+(?:\s[A-Z][a-z]+)?)\b/g;
+// Capitalized words that follow "for"/"to" without being a buyer's name.
+const NOT_NAMES = new Set([
+  "I", "Me", "My", "Our", "Us", "The", "This", "That", "Elena", "Texas", "Arizona",
+  "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday",
+  "January", "February", "March", "April", "May", "June", "July", "August",
+  "September", "October", "November", "December",
+  "Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun",
+  "Jan", "Feb", "Mar", "Apr", "Jun", "Jul", "Aug", "Sep", "Sept", "Oct", "Nov", "Dec",
+]);
+
+// "buyer John Smith" first; otherwise "for/to John Smith".
+function parseBuyerName(raw) {
+  const buyer = raw.match(BUYER_RE);
+  if (buyer) return buyer[1];
+  for (const m of raw.matchAll(FOR_NAME_RE)) {
+    if (!NOT_NAMES.has(m[1].split(" ")[0])) return m[1];
+  }
+  return null;
+}
+const DATE_RE =
+  /\b(?:deadline|due|ends?|by|until)\s+(?:is\s+|on\s+)?((?:mon|tue|wed|thu|fri|sat|sun)[a-z]*|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?|\d{1,2}\/\d{1,2}(?:\/\d{2,4})?|\d{4}-\d{2}-\d{2})\b/i;
+
+// Values stated in this message; the caller saves them to memory for next time.
+function parseFillIns(text, situation) {
+  const raw = String(text || "");
+  const out = {};
+  const addr = raw.match(ADDRESS_RE);
+  if (addr) out.property_address = addr[0].replace(/\.$/, "").trim();
+  const buyer = parseBuyerName(raw);
+  if (buyer) out.buyer_name = buyer;
+  const date = raw.match(DATE_RE);
+  const dl = situation && SITUATIONS[situation]?.deadline;
+  if (date && dl) out[dl.key] = date[1];
+  return out;
+}
+
+// ISO dates read better as "Fri, Oct 23"; anything else is shown as typed.
+function formatDeadline(v) {
+  const s = String(v || "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+  const d = new Date(`${s}T12:00:00Z`);
+  if (Number.isNaN(d.getTime())) return s;
+  return d.toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric", timeZone: "UTC" });
+}
+
+function firstName(full) {
+  return String(full || "").trim().split(/\s+/)[0] || "";
+}
+
+function resolveFillIns(situation, memory, profile) {
+  const m = memory || {};
+  const p = profile || {};
+  const dl = SITUATIONS[situation]?.deadline || null;
+
+  return {
+    // Never the profile's name: that's the agent asking, not their buyer.
+    buyer_name: firstName(m.buyer_name) || null,
+    property_address: m.property_address || p.property_address || null,
+    deadline: dl && m[dl.key] ? { label: dl.label, value: formatDeadline(m[dl.key]) } : null,
+    closing_date: m.closing_date ? formatDeadline(m.closing_date) : null,
+    signer: m.agent_name || null,
+  };
+}
+
+// ------------------------------
+// //#4 RENDER
+// ------------------------------
+function renderScript(template, situation, fill) {
+  const greet = template.audience === "buyer" && fill.buyer_name ? `Hi ${fill.buyer_name} — ` : "";
+  const re = fill.property_address ? `Re: ${fill.property_address}. ` : "";
+
+  const extra = [];
+  if (fill.deadline) extra.push(`${fill.deadline.label}: ${fill.deadline.value}.`);
+  if (situation === "appraisal_issue" && fill.closing_date) extra.push(`Closing is set for ${fill.closing_date}.`);
+
+  const text = [`${greet}${re}${template.text}`, ...extra].join(" ");
+
+  const salutation =
+    template.audience === "buyer" ? `Hi ${fill.buyer_name || "there"},` : "Hi,";
+  const subject = [SITUATIONS[situation].title, fill.property_address].filter(Boolean).join(" — ");
+  const bodyLines = [salutation, "", template.text];
+  if (extra.length) bodyLines.push("", ...extra);
+  if (template.followup) bodyLines.push("", `(If they ask to pause: “${template.followup}”)`);
+  bodyLines.push("", "Thanks,", fill.signer || "");
+  const body = bodyLines.join("\n").trim();
+
+  return {
+    text,
+    email: {
+      subject,
+      body,
+      copy: `Subject: ${subject}\n\n${body}`,
+    },
+  };
+}
+
+// ------------------------------
+// //#5 PUBLIC ENTRY
+// ------------------------------
+function buildScript({ text, stateKey, memory, profile }) {
+  const situation = detectSituation(text) || memory?.last_script_situation || null;
+  const parsed = parseFillIns(text, situation);
+
+  if (!stateKey) {
+    return {
+      ok: false,
+      reason: "no_state",
+      situation,
+      parsed,
+      states_available: statesWithScripts(),
+    };
+  }
+
+  const load = loadState(stateKey);
+  const templates = load.ok ? listStateTemplates(load.data) : [];
+  const available = load.ok ? situationsForState(load.data) : [];
+
+  if (!situation || !templates.length) {
+    return { ok: false, reason: templates.length ? "no_situation" : "no_state_scripts", situation, parsed, available, state: stateKey };
+  }
+
+  const match = templates.find((t) => SITUATIONS[situation].key_re.test(t.key));
+  if (!match) {
+    return { ok: false, reason: "no_template", situation, parsed, available, state: stateKey };
+  }
+
+  const template = { ...match, audience: audienceFromKey(match.key) };
+  const fill = resolveFillIns(situation, { ...(memory || {}), ...parsed }, profile);
+  const out = renderScript(template, situation, fill);
+
+  const missing = [];
+  if (template.audience === "buyer" && !fill.buyer_name) missing.push("buyer_name");
+  if (!fill.property_address) missing.push("property_address");
+  if (SITUATIONS[situation].deadline && !fill.deadline) missing.push(SITUATIONS[situation].deadline.key);
+
+  return {
+    ok: true,
+    situation,
+    state: stateKey,
+    template: { file: load.file, section: template.section, key: template.key, audience: template.audience },
+    text: out.text,
+    email: out.email,
+    filled: fill,
+    parsed,
+    missing,
+  };
+}
+
+module.exports = {
+  SITUATIONS,
+  detectSituation,
+  listStateTemplates,
+  buildScript,
+};
@@ -0,0 +1,30 @@
+// netlify/functions/lib/scripts.test.js — run with `npm test` (node --test)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildScript } = require("./scripts");
+
+// message → buyer_name read from it (null = none)
+const CASES = [
+  ["write a follow-up for John Smith", "John Smith"],
+  ["send an option period email to Maria", "Maria"],
+  ["my buyer is Dana Lee, need an earnest money reminder", "Dana Lee"],
+  ["client Sam wants a follow-up for Friday", "Sam"],
+  ["write a follow-up for Friday", null],
+  ["draft a follow-up to the listing agent", null],
+  ["write a follow-up for me", null],
+];
+
+for (const [text, want] of CASES) {
+  test(`buyer name: ${text}`, () => {
+    const res = buildScript({ text, stateKey: "texas", memory: {}, profile: null });
+    assert.equal(res.parsed.buyer_name ?? null, want);
+  });
+}
+
+test("the signed-in agent's profile name is never used as the buyer's", () => {
+  const profile = { first_name: "Avery", full_name: "Avery Agent" };
+  const res = buildScript({ text: "write an option period reminder", stateKey: "texas", memory: {}, profile });
+  assert.ok(res.ok);
+  assert.doesNotMatch(res.text, /Avery/);
+  assert.ok(res.missing.includes("buyer_name"));
+});
@@ -0,0 +1,213 @@
+// netlify/functions/lib/sensitivity.js
+// ============================================================
+// v1.0.0 — RealtySaSS • Sensitivity grid + verdict boundary solver (deterministic)
+//
+// ✅ Sweeps two variables (price, downpayment, downpayment_pct, apr, creditScore, termYears,
+//    hoaMonthly, income) over a grid; every cell runs evaluateAffordability()
+// ✅ Cell: all-in payment + verdict status/grade
+// ✅ Boundaries: wherever two neighbouring cells disagree, bisection pins the exact value
+//    where the status flips (to the variable's precision: $1, 0.001% APR, 1 credit point)
+// ✅ Variables are applied through lib/what-if.js applyWhatIf (same layering as what-if questions)
+// ============================================================
+
+const { evaluateAffordability } = require("./affordability");
+const { applyWhatIf } = require("./what-if");
+
+// ------------------------------
+// //#1 VARIABLES
+// ------------------------------
+// precision = solver tolerance; range(base) = default sweep when from/to are missing.
+const VARIABLES = {
+  price: {
+    label: "Price",
+    precision: 1,
+    min: 10000,
+    range: (b) => (b.price ? [Math.round(b.price * 0.8), Math.round(b.price * 1.2)] : [200000, 500000]),
+  },
+  downpayment: {
+    label: "Down payment ($)",
+    precision: 1,
+    min: 0,
+    range: (b) => (b.price ? [0, Math.round(b.price * 0.2)] : [0, 60000]),
+  },
+  downpayment_pct: { label: "Down payment (%)", precision: 0.01, min: 0, max: 100, range: () => [3, 20] },
+  apr: {
+    label: "Rate",
+    precision: 0.00001,
+    min: 0.0001,
+    max: 0.25,
+    range: () => [0.05, 0.08],
+  },
+  creditScore: { label: "Credit score", precision: 1, integer: true, min: 300, max: 850, range: () => [620, 800] },
+  termYears: { label: "Term (years)", precision: 1, integer: true, min: 5, max: 40, range: () => [15, 30] },
+  hoaMonthly: { label: "HOA ($/mo)", precision: 1, min: 0, range: () => [0, 400] },
+  income: {
+    label: "Income ($/mo)",
+    precision: 1,
+    min: 1,
+    range: (b) => (b.income ? [Math.round(b.income * 0.75), Math.round(b.income * 1.25)] : [5000, 12000]),
+  },
+};
+
+const VARIABLE_ALIASES = {
+  rate: "apr",
+  credit: "creditScore",
+  credit_score: "creditScore",
+  term: "termYears",
+  hoa: "hoaMonthly",
+  down: "downpayment",
+  down_pct: "downpayment_pct",
+  downpaymentPct: "downpayment_pct",
+};
+
+const MAX_STEPS = 15;
+const DEFAULT_STEPS = 5;
+const STATUS_RANK = { GREEN: 0, CAUTION: 1, "NO-GO": 2 };
+
+function num(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function variableKey(name) {
+  const raw = String(name || "").trim();
+  const key = VARIABLE_ALIASES[raw] || raw;
+  return VARIABLES[key] ? key : null;
+}
+
+// 6.5 and 0.065 both mean a 6.5% rate.
+function normalizeValue(key, v) {
+  const n = num(v);
+  if (n === null) return null;
+  const spec = VARIABLES[key];
+  let x = key === "apr" && n > 1 ? n / 100 : n;
+  x = spec.integer ? Math.round(x) : Math.round(Math.round(x / spec.precision) * spec.precision * 100000) / 100000;
+  if (Number.isFinite(spec.min)) x = Math.max(spec.min, x);
+  if (Number.isFinite(spec.max)) x = Math.min(spec.max, x);
+  return x;
+}
+
+// axis = { variable, values } or { variable, from, to, steps }
+function buildAxis(axis, baseArgs) {
+  const key = variableKey(axis?.variable);
+  if (!key) return { ok: false, error: `Unknown variable "${axis?.variable}". Use: ${Object.keys(VARIABLES).join(", ")}.` };
+  const spec = VARIABLES[key];
+
+  let values;
+  if (Array.isArray(axis.values) && axis.values.length) {
+    values = axis.values.map((v) => normalizeValue(key, v)).filter((v) => v !== null);
+  } else {
+    const [dLo, dHi] = spec.range(baseArgs);
+    const lo = normalizeValue(key, axis.from ?? dLo);
+    const hi = normalizeValue(key, axis.to ?? dHi);
+    const steps = Math.max(2, Math.min(MAX_STEPS, Math.round(num(axis.steps) || DEFAULT_STEPS)));
+    values = [];
+    for (let i = 0; i < steps; i++) values.push(normalizeValue(key, lo + ((hi - lo) * i) / (steps - 1)));
+  }
+
+  values = [...new Set(values)].sort((a, b) => a - b).slice(0, MAX_STEPS);
+  if (values.length < 2) return { ok: false, error: `Need at least two distinct ${key} values.` };
+  return { ok: true, key, label: spec.label, values };
+}
+
+// ------------------------------
+// //#2 CELLS
+// ------------------------------
+function evaluatePoint(baseArgs, point) {
+  // Cells only need the verdict; skip the quick-rails price solver.
+  const args = applyWhatIf(baseArgs, point);
+  const ev = evaluateAffordability({ ...args, solve: false });
+  return {
+    status: ev.verdict?.status || null,
+    grade: ev.verdict?.grade || null,
+    all_in_monthly: ev.mortgage?.ok ? ev.mortgage.all_in_monthly : null,
+  };
+}
+
+// Bisection between two values whose statuses differ → first value (from lo toward hi) with hi's status.
+function solveBoundary(baseArgs, fixed, key, lo, hi, loStatus) {
+  const spec = VARIABLES[key];
+  let a = lo;
+  let b = hi;
+  for (let i = 0; i < 60 && Math.abs(b - a) > spec.precision; i++) {
+    let mid = (a + b) / 2;
+    if (spec.integer) mid = a < b ? Math.floor(mid) : Math.ceil(mid);
+    if (mid === a) break;
+    if (evaluatePoint(baseArgs, { ...fixed, [key]: mid }).status === loStatus) a = mid;
+    else b = mid;
+  }
+  return normalizeValue(key, b);
+}
+
+// Status flips along one axis, with the other axis held at each of its grid values.
+function axisBoundaries(baseArgs, cells, along, across, alongIdx) {
+  const out = [];
+  for (let j = 0; j < across.values.length; j++) {
+    const line = cells.filter((c) => c[alongIdx === 0 ? "y_index" : "x_index"] === j);
+    line.sort((p, q) => p[alongIdx === 0 ? "x_index" : "y_index"] - q[alongIdx === 0 ? "x_index" : "y_index"]);
+    for (let i = 0; i + 1 < line.length; i++) {
+      const s1 = line[i].status;
+      const s2 = line[i + 1].status;
+      if (!s1 || !s2 || s1 === s2) continue;
+      const lo = along.values[i];
+      const hi = along.values[i + 1];
+      const fixed = { [across.key]: across.values[j] };
+      out.push({
+        variable: along.key,
+        at: fixed,
+        from: s1,
+        to: s2,
+        direction: STATUS_RANK[s2] > STATUS_RANK[s1] ? "worse" : "better",
+        value: solveBoundary(baseArgs, fixed, along.key, lo, hi, s1),
+      });
+    }
+  }
+  return out;
+}
+
+// ------------------------------
+// //#3 GRID
+// ------------------------------
+// baseArgs = the evaluateAffordability() args for the baseline scenario.
+function buildSensitivityGrid({ baseArgs, x, y }) {
+  const ax = buildAxis(x, baseArgs);
+  if (!ax.ok) return { ok: false, error: ax.error };
+  const ay = buildAxis(y, baseArgs);
+  if (!ay.ok) return { ok: false, error: ay.error };
+  if (ax.key === ay.key) return { ok: false, error: "Pick two different variables." };
+  if (/^downpayment/.test(ax.key) && /^downpayment/.test(ay.key)) {
+    return { ok: false, error: "downpayment and downpayment_pct can't be swept together." };
+  }
+
+  const cells = [];
+  ay.values.forEach((yv, yi) => {
+    ax.values.forEach((xv, xi) => {
+      const r = evaluatePoint(baseArgs, { [ax.key]: xv, [ay.key]: yv });
+      cells.push({ x_index: xi, y_index: yi, x: xv, y: yv, ...r });
+    });
+  });
+
+  if (!cells.some((c) => c.all_in_monthly !== null)) {
+    return { ok: false, error: "No cell could be priced — needs price, downpayment, and credit score (or sweep them)." };
+  }
+
+  const boundaries = [...axisBoundaries(baseArgs, cells, ax, ay, 0), ...axisBoundaries(baseArgs, cells, ay, ax, 1)];
+
+  return {
+    ok: true,
+    x: { variable: ax.key, label: ax.label, values: ax.values },
+    y: { variable: ay.key, label: ay.label, values: ay.values },
+    rows: ay.values.map((yv, yi) =>
+      cells.filter((c) => c.y_index === yi).map(({ x: xv, status, grade, all_in_monthly }) => ({ x: xv, status, grade, all_in_monthly }))
+    ),
+    boundaries,
+    counts: cells.reduce((acc, c) => ({ ...acc, [c.status || "unknown"]: (acc[c.status || "unknown"] || 0) + 1 }), {}),
+    notes: boundaries.length ? [] : ["Every cell has the same status; widen the ranges to find a boundary."],
+  };
+}
+
+module.exports = {
+  VARIABLES,
+  buildSensitivityGrid,
+};
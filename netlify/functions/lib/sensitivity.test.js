@@ -0,0 +1,26 @@
+// netlify/functions/lib/sensitivity.test.js — run with `npm test` (node --test)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildSensitivityGrid } = require("./sensitivity");
+
+const BUYER = {
+  income: 9000,
+  debts: 400,
+  price: 350000,
+  downpayment: 40000,
+  creditScore: 740,
+  termYears: 30,
+  loanType: "conv",
+  stateKey: "texas",
+};
+
+test("price × rate grid has all three statuses and solved boundaries", () => {
+  const grid = buildSensitivityGrid({
+    baseArgs: BUYER,
+    x: { variable: "price", from: 250000, to: 550000, steps: 7 },
+    y: { variable: "apr", from: 5, to: 8, steps: 4 },
+  });
+  assert.ok(grid.ok);
+  assert.ok(grid.counts.GREEN && grid.counts.CAUTION && grid.counts["NO-GO"]);
+  assert.ok(grid.boundaries.some((b) => b.from === "GREEN" && b.to === "CAUTION"));
+});
@@ -0,0 +1,125 @@
+// netlify/functions/lib/session.js
+// ============================================================
+// v1.0.1 — RealtySaSS • Verified identity for Elena functions
+//
+// ✅ Signed session tokens (HS256 JWT via jose):
+//    Authorization: Bearer <token>   (or body.session_token for widgets that can't set headers)
+//    claims: sub, email, iss "realtysass", aud "elena", exp
+// ✅ Netlify Identity users (context.clientContext.user) count as verified too
+// ✅ Anything else = anonymous: no Supabase profile reads, no user-keyed memory
+//    (client-posted email / identity.email / context.profile.email are never trusted)
+//
+// Where tokens come from: these functions only verify. The RealtySaSS app backend that signs
+// users in mints them (HS256, the claims above) with the same ELENA_SESSION_SECRET and hands
+// them to the widget. No endpoint here issues tokens — without that backend, Netlify Identity
+// is the only way to a verified identity.
+//
+// Keys:
+// - ELENA_SESSION_SECRET (>= 32 chars) verifies in every deployed context
+// - Local runs without a secret fall back to TEST_SIGNING_KEY (never on Netlify); sign test
+//   tokens with it using any HS256 JWT tool
+// ============================================================
+
+const jose = require("jose");
+
+// ------------------------------
+// //#1 KEYS
+// ------------------------------
+const ISSUER = "realtysass";
+const AUDIENCE = "elena";
+
+// Public on purpose: only ever accepted when no secret is set and we're not on Netlify.
+const TEST_SIGNING_KEY = "realtysass-local-test-signing-key-not-for-production";
+
+// `netlify dev` sets NETLIFY_DEV and counts as local.
+function isDeployed() {
+  if (process.env.NETLIFY_DEV === "true") return false;
+  return !!(process.env.NETLIFY || process.env.AWS_LAMBDA_FUNCTION_NAME);
+}
+
+function resolveSigningKey() {
+  const secret = String(process.env.ELENA_SESSION_SECRET || "");
+  if (secret.length >= 32) return { key: new TextEncoder().encode(secret), test: false, error: null };
+  if (secret) return { key: null, test: false, error: "ELENA_SESSION_SECRET must be at least 32 characters." };
+  if (isDeployed()) return { key: null, test: false, error: "ELENA_SESSION_SECRET is not set." };
+  return { key: new TextEncoder().encode(TEST_SIGNING_KEY), test: true, error: null };
+}
+
+// ------------------------------
+// //#2 VERIFY
+// ------------------------------
+async function verifySessionToken(token) {
+  const k = resolveSigningKey();
+  if (!k.key) return { ok: false, claims: null, error: "no_signing_key", detail: k.error };
+
+  try {
+    const { payload } = await jose.jwtVerify(String(token), k.key, {
+      issuer: ISSUER,
+      audience: AUDIENCE,
+      algorithms: ["HS256"],
+      requiredClaims: ["sub", "exp"],
+    });
+    return { ok: true, claims: payload, test_key: k.test, error: null };
+  } catch (e) {
+    const code = e?.code === "ERR_JWT_EXPIRED" ? "expired" : e?.code === "ERR_JWS_SIGNATURE_VERIFICATION_FAILED" ? "bad_signature" : "invalid";
+    return { ok: false, claims: null, error: code, detail: String(e?.message || e) };
+  }
+}
+
+// ------------------------------
+// //#3 REQUEST IDENTITY
+// ------------------------------
+function readBearer(event, body) {
+  const h = event?.headers || {};
+  const auth = String(h.authorization || h.Authorization || "").trim();
+  const m = auth.match(/^Bearer\s+(.+)$/i);
+  if (m) return m[1].trim();
+  return String(body?.session_token || "").trim();
+}
+
+const ANONYMOUS = Object.freeze({ mode: "anonymous", source: null, sub: null, email: null });
+
+// → { mode: "verified" | "anonymous", source, sub, email, error? }
+async function resolveIdentity({ event, lambdaContext, body }) {
+  const netlifyUser = lambdaContext?.clientContext?.user || null;
+  if (netlifyUser?.sub) {
+    return {
+      mode: "verified",
+      source: "netlify_identity",
+      sub: String(netlifyUser.sub),
+      email: netlifyUser.email ? String(netlifyUser.email).trim().toLowerCase() : null,
+      error: null,
+    };
+  }
+
+  const token = readBearer(event, body);
+  if (!token) return { ...ANONYMOUS, error: null };
+
+  const v = await verifySessionToken(token);
+  if (!v.ok) return { ...ANONYMOUS, error: v.error };
+
+  return {
+    mode: "verified",
+    source: v.test_key ? "session_token:test_key" : "session_token",
+    sub: String(v.claims.sub),
+    email: v.claims.email ? String(v.claims.email).trim().toLowerCase() : null,
+    error: null,
+  };
+}
+
+// Safe to echo back to the client.
+function identityMeta(identity) {
+  return {
+    mode: identity?.mode || "anonymous",
+    source: identity?.source || null,
+    error: identity?.error || null,
+  };
+}
+
+module.exports = {
+  TEST_SIGNING_KEY,
+  verifySessionToken,
+  resolveIdentity,
+  identityMeta,
+};
+
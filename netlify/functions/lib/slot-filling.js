@@ -0,0 +1,231 @@
+// netlify/functions/lib/slot-filling.js
+// ============================================================
+// v1.1.0 — RealtySaSS • Ask Elena affordability slot filling
+//
+// ✅ Collects income, expenses, price, downpayment, creditScore across turns
+// ✅ Slots live in memory.affordability; memory.pending_slot = what we just asked
+// ✅ Asks only for what listMissingInputs() says is missing (one question per turn)
+// ✅ When complete: runs evaluateAffordability() in-process (same math as elena-agent)
+// ✅ FIX: the verdict gets the resolved state (VA region, TX option fee) and the loan type —
+//    said in the chat ("FHA", "VA loan") and kept in memory.affordability, else memory.loan_type;
+//    conventional when neither is known. Loan type is optional: never asked for.
+// ============================================================
+
+const { listMissingInputs, evaluateAffordability, normalizeLoanType } = require("./affordability");
+
+// ------------------------------
+// //#1 SLOT DEFINITIONS
+// ------------------------------
+const SLOT_ORDER = ["income", "expenses", "price", "downpayment", "creditScore"];
+
+const SLOT_QUESTIONS = {
+  income: "What’s your **gross monthly income** (before taxes)? A yearly number works too.",
+  expenses: "What are your **monthly non-housing debts/expenses** (car, cards, loans, childcare)?",
+  price: "What **purchase price** are you targeting?",
+  downpayment: "How much **cash for the down payment**? ($ amount or %, e.g. “10%”)",
+  creditScore: "Ballpark **credit score**? (e.g. 680, 720, 760)",
+};
+
+// Labeled values in free text: "income 8k", "I make $95k a year", "credit 720", "10% down"
+const SLOT_LABELS = {
+  income: /\b(income|salary|make|earn|earning|take home|gross)\b/,
+  expenses: /\b(expenses?|debts?|bills|car payment|spend)\b/,
+  price: /\b(price|house|home|purchase|priced|listing)\b/,
+  downpayment: /\b(down|down ?payment|dp|put down|saved|savings)\b/,
+  creditScore: /\b(credit|score|fico)\b/,
+};
+
+// "FHA", "a VA loan", "usda", "conventional" — bare "va" only next to loan words.
+const LOAN_TYPE_RE = /\b(fha|usda|conventional|conv)\b|\bva\s+(loan|mortgage|financing)\b/;
+
+// ------------------------------
+// //#2 NUMBER PARSING
+// ------------------------------
+const NUMBER_RE = /\$?\s*(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)\s*(k|m|mil|million|thousand)?\b(\s*%)?/gi;
+
+function readNumbers(text) {
+  const out = [];
+  const t = String(text || "");
+  let m;
+  NUMBER_RE.lastIndex = 0;
+  while ((m = NUMBER_RE.exec(t))) {
+    let n = Number(m[1].replace(/,/g, ""));
+    if (!Number.isFinite(n)) continue;
+    const suffix = String(m[2] || "").toLowerCase();
+    if (suffix === "k" || suffix === "thousand") n *= 1000;
+    if (suffix === "m" || suffix === "mil" || suffix === "million") n *= 1000000;
+    out.push({ value: n, pct: !!m[3], index: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+function isYearly(text) {
+  return /\b(a|per|\/)\s*(year|yr)\b|\b(yearly|annual|annually)\b|\/yr\b/.test(String(text || "").toLowerCase());
+}
+
+// Assigns one parsed number to one slot, with per-slot sanity rules.
+function coerceSlot(slot, n, text) {
+  const v = n.value;
+  if (slot === "creditScore") return !n.pct && v >= 300 && v <= 850 ? { creditScore: Math.round(v) } : null;
+  if (slot === "downpayment") {
+    if (n.pct) return v >= 0 && v <= 100 ? { downpayment_pct: v } : null;
+    return v >= 0 ? { downpayment: Math.round(v) } : null;
+  }
+  if (n.pct) return null;
+  if (slot === "income") return v > 0 ? { income: Math.round(isYearly(text) ? v / 12 : v) } : null;
+  if (slot === "expenses") return v >= 0 ? { expenses: Math.round(v) } : null;
+  if (slot === "price") return v >= 10000 ? { price: Math.round(v) } : null;
+  return null;
+}
+
+// Label window: words right before a number (same clause) decide its slot, else words right after.
+function labelForNumber(text, n) {
+  const lower = String(text || "").toLowerCase();
+  const before = lower
+    .slice(Math.max(0, n.index - 28), n.index)
+    .split(/\b(?:and|with|but|plus)\b|[,;]/)
+    .pop();
+  const after = lower
+    .slice(n.end, n.end + 20)
+    .split(/\b(?:and|with|but|plus)\b|[,;]/)[0];
+  if (n.pct || /^\s*(down)\b/.test(after)) return "downpayment";
+
+  // Closest label wins: "credit score at 720" → creditScore, not price.
+  let best = null;
+  let bestAt = -1;
+  for (const slot of SLOT_ORDER) {
+    const re = new RegExp(SLOT_LABELS[slot].source, "g");
+    let m;
+    while ((m = re.exec(before))) {
+      if (m.index > bestAt) {
+        best = slot;
+        bestAt = m.index;
+      }
+    }
+  }
+  if (best) return best;
+
+  for (const slot of SLOT_ORDER) {
+    if (SLOT_LABELS[slot].test(after)) return slot;
+  }
+  return null;
+}
+
+function parseSlotValues(text, pendingSlot) {
+  const nums = readNumbers(text);
+  const found = {};
+
+  for (const n of nums) {
+    const label = labelForNumber(text, n);
+    if (!label) continue;
+    const v = coerceSlot(label, n, text);
+    if (v) Object.assign(found, v);
+  }
+
+  // A bare answer ("8500") fills whatever we just asked for.
+  const pendingFilled = Object.keys(found).some((k) => k === pendingSlot || k === `${pendingSlot}_pct`);
+  if (pendingSlot && !pendingFilled) {
+    const unlabeled = nums.find((n) => !labelForNumber(text, n)) || (nums.length === 1 ? nums[0] : null);
+    if (unlabeled) {
+      const v = coerceSlot(pendingSlot, unlabeled, text);
+      if (v) Object.assign(found, v);
+    }
+  }
+
+  const loan = String(text || "").toLowerCase().match(LOAN_TYPE_RE);
+  if (loan) found.loanType = normalizeLoanType(loan[1] || "va");
+
+  return found;
+}
+
+// ------------------------------
+// //#3 TURN LOGIC
+// ------------------------------
+function resolveSlots(raw) {
+  const s = { ...(raw || {}) };
+  if (!Number.isFinite(s.downpayment) && Number.isFinite(s.downpayment_pct) && Number.isFinite(s.price)) {
+    s.downpayment = Math.round((s.price * s.downpayment_pct) / 100);
+  }
+  return s;
+}
+
+function money(n) {
+  return Number.isFinite(n) ? "$" + Math.round(n).toLocaleString("en-US") : "—";
+}
+
+function verdictReply(ev) {
+  const v = ev.verdict;
+  const lines = [];
+  const allIn = ev.mortgage?.ok ? ev.mortgage.all_in_monthly : null;
+
+  lines.push(`**${v.status}${v.grade && v.grade !== "N/A" ? ` (${v.grade})` : ""}** — est. all-in **${money(allIn)}/mo** vs a **${money(v.housingCap)}** housing cap.`);
+  if (Number.isFinite(v.residual)) lines.push(`Left after expenses + housing: ${money(v.residual)}/mo.`);
+  if (v.notes && v.notes.length) lines.push(v.notes[0]);
+  if (ev.next_action?.why) lines.push(`Next: ${ev.next_action.why}`);
+  return lines.join("\n");
+}
+
+// One turn: merge parsed values, then either ask the next missing question or run the verdict.
+function advanceAffordability({ text, memory, stateKey, stateDefaults }) {
+  const prior = memory && typeof memory.affordability === "object" && memory.affordability ? memory.affordability : {};
+  const pending = memory?.pending_slot || null;
+
+  const parsed = parseSlotValues(text, pending);
+  const raw = { ...prior, ...parsed };
+  const slots = resolveSlots(raw);
+
+  const missing = listMissingInputs({
+    income: slots.income,
+    expenses: slots.expenses,
+    creditScore: slots.creditScore,
+    downpayment: slots.downpayment,
+    price: slots.price,
+    housingAllIn: null,
+  });
+
+  const nextSlot = SLOT_ORDER.find((s) => missing.includes(s)) || null;
+
+  if (nextSlot) {
+    const got = Object.keys(parsed);
+    const ack = got.length ? "Got it. " : "";
+    return {
+      done: false,
+      slots: raw,
+      parsed: got,
+      missing,
+      pending_slot: nextSlot,
+      reply: `${ack}${SLOT_QUESTIONS[nextSlot]}`,
+      evaluation: null,
+    };
+  }
+
+  const evaluation = evaluateAffordability({
+    income: slots.income,
+    expenses: slots.expenses,
+    price: slots.price,
+    downpayment: slots.downpayment,
+    creditScore: slots.creditScore,
+    loanType: slots.loanType || memory?.loan_type || "conventional",
+    stateKey: stateKey || null,
+    stateDefaults,
+  });
+
+  return {
+    done: true,
+    slots: raw,
+    parsed: Object.keys(parsed),
+    missing: [],
+    pending_slot: null,
+    reply: verdictReply(evaluation),
+    evaluation,
+  };
+}
+
+module.exports = {
+  SLOT_ORDER,
+  SLOT_QUESTIONS,
+  readNumbers,
+  isYearly,
+  parseSlotValues,
+  advanceAffordability,
+};
@@ -0,0 +1,28 @@
+// netlify/functions/lib/slot-filling.test.js — run with `npm test` (node --test)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { advanceAffordability } = require("./slot-filling");
+const { evaluateAffordability } = require("./affordability");
+
+const SLOTS = { income: 9000, expenses: 500, price: 320000, downpayment: 20000, creditScore: 700 };
+
+test("chat verdict matches elena-agent's for the same state + loan type", () => {
+  const turn = advanceAffordability({ text: "it's an FHA loan", memory: { affordability: SLOTS }, stateKey: "texas" });
+  assert.equal(turn.done, true);
+  assert.equal(turn.slots.loanType, "fha");
+
+  const agent = evaluateAffordability({ ...SLOTS, loanType: "fha", stateKey: "texas" });
+  assert.equal(turn.evaluation.mortgage.program.type, agent.mortgage.program.type);
+  assert.equal(turn.evaluation.mortgage.all_in_monthly, agent.mortgage.all_in_monthly);
+  assert.deepEqual(turn.evaluation.cash_to_close, agent.cash_to_close);
+  assert.ok(turn.evaluation.cash_to_close.at_contract.some((i) => i.key === "option_fee"));
+  assert.equal(turn.evaluation.verdict.status, agent.verdict.status);
+});
+
+test("remembered loan type carries over; no loan words means conventional", () => {
+  const va = advanceAffordability({ text: "ok", memory: { affordability: SLOTS, loan_type: "va" }, stateKey: "texas" });
+  assert.equal(va.evaluation.verdict.rules.program, "va");
+
+  const conv = advanceAffordability({ text: "ok", memory: { affordability: SLOTS }, stateKey: "texas" });
+  assert.equal(conv.evaluation.verdict.rules.program, "conventional");
+});
@@ -0,0 +1,214 @@
+// netlify/functions/lib/what-if.js
+// ============================================================
+// v1.0.1 — RealtySaSS • What-if question parser (deterministic)
+//
+// ✅ "what if I put 10% down on a $350k house at 15 years with $120 HOA"
+//    → { downpayment_pct: 10, price: 350000, termYears: 15, hoaMonthly: 120 }
+// ✅ Fields: price, downpayment ($ or %), termYears, apr, hoaMonthly, income (yearly → monthly), creditScore
+// ✅ Only fires on hypothetical phrasing (what if, if, suppose, instead, …)
+// ✅ FIX: labels match stems ("rates went up to 7%" → apr, "I earned $120k a year" → income);
+//    a bare "if" no longer counts as hypothetical phrasing
+// ✅ applyWhatIf(): hypothetical inputs on top of the baseline (10% down follows the new price)
+// ✅ summarizeEvaluation() + diffSummaries(): baseline vs. hypothetical, side by side
+// ============================================================
+
+const { readNumbers, isYearly } = require("./slot-filling");
+
+// ------------------------------
+// //#1 LABELS
+// ------------------------------
+// A bare "if" is too common ("let me know if…"); it only counts when a buyer or a number-ish subject follows.
+const HYPOTHETICAL_RE =
+  /\bwhat\s+if\b|\bif\s+(?:i|we|my|our|rates?|prices?|the\s+(?:rate|price|hoa))\b|\bsuppose\b|\bassum(?:e|ing)\b|\binstead\b|\bhypothetical(?:ly)?\b|\bwhat\s+about\b|\bhow\s+about\b|\bwent\s*up\b|\bup\s*to\b/;
+
+// Checked against the word right after a number first ("$350k house", "$120 HOA", "720 credit"),
+// then the nearest label before it ("price of 350k", "credit score at 720").
+// Stems, not exact words: "rates", "earned", "made", "HOAs" all label the same field.
+const FIELD_LABELS = {
+  termYears: /\b(years?|yrs?|year term|yr term)\b/,
+  hoaMonthly: /\b(hoas?|association dues|hoa dues|hoa fees?)\b/,
+  apr: /\b(rates?|aprs?|interest)\b/,
+  creditScore: /\b(credit|scores?|fico)\b/,
+  income: /\b(income|salary|salaries|makes?|made|making|earn(?:ed|ing|s)?|gross)\b/,
+  downpayment: /\b(down|down ?payments?|put down|dp)\b/,
+  price: /\b(prices?|priced|houses?|homes?|purchase|offers?|listing|condos?|townhomes?)\b/,
+};
+
+const FIELD_ORDER = Object.keys(FIELD_LABELS);
+
+// Clause boundaries keep "10% down on a $350k house" from labelling 350k as the down payment.
+const CLAUSE_SPLIT = /\b(?:and|with|but|plus|on|at|for)\b|[,;]/;
+
+function labelField(lower, n) {
+  const after = lower.slice(n.end, n.end + 24).split(CLAUSE_SPLIT)[0];
+  const firstWord = (after.match(/^[\s-]*([a-z][a-z ]{0,18})/) || [])[1] || "";
+  const before = lower.slice(Math.max(0, n.index - 30), n.index).split(CLAUSE_SPLIT).pop();
+
+  // "15-year", "30 yr"
+  if (!n.pct && FIELD_LABELS.termYears.test(firstWord.split(" ")[0])) return "termYears";
+
+  const nextWords = firstWord.split(" ").slice(0, 2).join(" ");
+  for (const f of FIELD_ORDER) {
+    if (f !== "termYears" && FIELD_LABELS[f].test(nextWords)) return f;
+  }
+
+  // Percentages: a rate word anywhere in the clause (or "at 6%") makes it the APR; otherwise a down payment.
+  if (n.pct) {
+    const clause = lower.slice(0, n.index).split(CLAUSE_SPLIT).pop() + after;
+    if (FIELD_LABELS.apr.test(clause) || /\bat\s*$/.test(lower.slice(Math.max(0, n.index - 5), n.index))) return "apr";
+    return "downpayment";
+  }
+
+  let best = null;
+  let bestAt = -1;
+  for (const f of FIELD_ORDER) {
+    const re = new RegExp(FIELD_LABELS[f].source, "g");
+    let m;
+    while ((m = re.exec(before))) {
+      if (m.index > bestAt) {
+        best = f;
+        bestAt = m.index;
+      }
+    }
+  }
+  return best;
+}
+
+// Per-field sanity rules; anything outside them is ignored rather than guessed.
+function coerceField(field, n, text) {
+  const v = n.value;
+  if (field === "downpayment") {
+    if (n.pct) return v >= 0 && v <= 100 ? { downpayment_pct: v } : null;
+    return v >= 0 ? { downpayment: Math.round(v) } : null;
+  }
+  if (field === "apr") {
+    const apr = n.pct || v > 1 ? v / 100 : v;
+    return apr > 0 && apr < 0.25 ? { apr: Math.round(apr * 100000) / 100000 } : null;
+  }
+  if (n.pct) return null;
+  if (field === "termYears") return v >= 5 && v <= 40 ? { termYears: Math.round(v) } : null;
+  if (field === "hoaMonthly") return v >= 0 && v < 5000 ? { hoaMonthly: Math.round(v) } : null;
+  if (field === "creditScore") return v >= 300 && v <= 850 ? { creditScore: Math.round(v) } : null;
+  if (field === "income") return v > 0 ? { income: Math.round(isYearly(text) ? v / 12 : v) } : null;
+  if (field === "price") return v >= 10000 ? { price: Math.round(v) } : null;
+  return null;
+}
+
+// ------------------------------
+// //#2 PARSE
+// ------------------------------
+// → { detected, changes, parsed: [{ field, value, text }] }
+function parseWhatIf(question) {
+  const text = String(question || "");
+  const lower = text.toLowerCase();
+  if (!lower.trim() || !HYPOTHETICAL_RE.test(lower)) return { detected: false, changes: {}, parsed: [] };
+
+  const changes = {};
+  const parsed = [];
+  for (const n of readNumbers(text)) {
+    const field = labelField(lower, n);
+    if (!field) continue;
+    const v = coerceField(field, n, text);
+    if (!v) continue;
+    Object.assign(changes, v);
+    const [key, value] = Object.entries(v)[0];
+    parsed.push({ field: key, value, text: text.slice(n.index, n.end).trim() });
+  }
+
+  // A dollar and a percent down payment in one question: the percent wins.
+  if (changes.downpayment_pct !== undefined) delete changes.downpayment;
+
+  return { detected: parsed.length > 0, changes, parsed };
+}
+
+// ------------------------------
+// //#3 APPLY + COMPARE
+// ------------------------------
+function money(n) {
+  return `$${Math.round(n).toLocaleString("en-US")}`;
+}
+
+function describeChanges(changes) {
+  const parts = [];
+  if (changes.price !== undefined) parts.push(`${money(changes.price)} price`);
+  if (changes.downpayment_pct !== undefined) parts.push(`${changes.downpayment_pct}% down`);
+  if (changes.downpayment !== undefined) parts.push(`${money(changes.downpayment)} down`);
+  if (changes.termYears !== undefined) parts.push(`${changes.termYears}-year term`);
+  if (changes.apr !== undefined) parts.push(`${Math.round(changes.apr * 100000) / 1000}% rate`);
+  if (changes.hoaMonthly !== undefined) parts.push(`${money(changes.hoaMonthly)}/mo HOA`);
+  if (changes.income !== undefined) parts.push(`${money(changes.income)}/mo income`);
+  if (changes.creditScore !== undefined) parts.push(`${changes.creditScore} credit`);
+  return parts.length ? `Hypothetical: ${parts.join(" • ")}` : null;
+}
+
+// baseline = evaluateAffordability() args; returns the same args with the what-if applied.
+function applyWhatIf(baseline, changes) {
+  const next = { ...baseline };
+  for (const key of ["price", "downpayment", "termYears", "hoaMonthly", "income", "creditScore"]) {
+    if (changes[key] !== undefined) next[key] = changes[key];
+  }
+  if (changes.apr !== undefined) next.aprOverride = changes.apr;
+
+  // "10% down" is a share of whatever price the hypothetical uses; a new price alone keeps the baseline share.
+  const price = Number(next.price);
+  if (changes.downpayment_pct !== undefined && Number.isFinite(price)) {
+    next.downpayment = Math.round((price * changes.downpayment_pct) / 100);
+  } else if (changes.price !== undefined && changes.downpayment === undefined) {
+    const bp = Number(baseline.price);
+    const bd = Number(baseline.downpayment);
+    if (Number.isFinite(bp) && bp > 0 && Number.isFinite(bd)) next.downpayment = Math.round((price * bd) / bp);
+  }
+  return next;
+}
+
+// Compact view of one evaluateAffordability() run.
+function summarizeEvaluation(args, ev) {
+  const m = ev.mortgage?.ok ? ev.mortgage : null;
+  const price = Number(args.price);
+  const down = Number(args.downpayment);
+  return {
+    inputs: {
+      price: Number.isFinite(price) ? price : null,
+      downpayment: Number.isFinite(down) ? down : null,
+      downpayment_pct: Number.isFinite(price) && price > 0 && Number.isFinite(down) ? Math.round((down / price) * 1000) / 10 : null,
+      termYears: args.termYears ?? null,
+      hoaMonthly: m ? m.assumptions_used.hoaMonthly : args.hoaMonthly ?? null,
+      income: Number.isFinite(args.income) ? args.income : null,
+      creditScore: Number.isFinite(args.creditScore) ? args.creditScore : null,
+    },
+    apr: ev.aprAssumed ?? null,
+    rate_source: ev.rate?.source || null,
+    all_in_monthly: m ? m.all_in_monthly : null,
+    principal_interest: m ? m.breakdown.principal_interest : null,
+    mortgage_insurance: m ? m.breakdown.mortgage_insurance : null,
+    loan_amount: m ? m.loan_amount : null,
+    cash_to_close: ev.cash_to_close?.ok ? ev.cash_to_close.total : null,
+    status: ev.verdict?.status || null,
+    grade: ev.verdict?.grade || null,
+    housing_cap: ev.verdict ? Math.round(ev.verdict.housingCap) : null,
+    mortgage_error: m ? null : ev.mortgage?.reason || null,
+  };
+}
+
+function delta(a, b) {
+  return Number.isFinite(a) && Number.isFinite(b) ? Math.round((b - a) * 100000) / 100000 : null;
+}
+
+// Hypothetical minus baseline for every number both sides have.
+function diffSummaries(base, hypo) {
+  const diff = {};
+  for (const key of ["all_in_monthly", "principal_interest", "mortgage_insurance", "loan_amount", "cash_to_close", "housing_cap", "apr"]) {
+    diff[key] = delta(base[key], hypo[key]);
+  }
+  diff.status = base.status === hypo.status ? null : `${base.status} → ${hypo.status}`;
+  diff.grade = base.grade === hypo.grade ? null : `${base.grade} → ${hypo.grade}`;
+  return diff;
+}
+
+module.exports = {
+  parseWhatIf,
+  describeChanges,
+  applyWhatIf,
+  summarizeEvaluation,
+  diffSummaries,
+};
@@ -0,0 +1,27 @@
+// netlify/functions/lib/what-if.test.js — run with `npm test` (node --test)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseWhatIf } = require("./what-if");
+
+// question → expected changes ({} = not a what-if)
+const CASES = [
+  ["what if I put 10% down on a $350k house at 15 years with $120 HOA", { downpayment_pct: 10, price: 350000, termYears: 15, hoaMonthly: 120 }],
+  ["what if rates went up to 7%", { apr: 0.07 }],
+  ["what if interest rates were 6.25% and I put 5% down", { apr: 0.0625, downpayment_pct: 5 }],
+  ["what if I earned $120k a year", { income: 10000 }],
+  ["suppose I made $9,000 a month", { income: 9000 }],
+  ["what if my credit score was 720", { creditScore: 720 }],
+  ["what if the HOA was 250 and credit 680", { hoaMonthly: 250, creditScore: 680 }],
+  ["what if HOAs were $300", { hoaMonthly: 300 }],
+  ["what if I made an offer of $410,000", { price: 410000 }],
+  ["how about a 30 year loan", { termYears: 30 }],
+  ["what if I put $40k down", { downpayment: 40000 }],
+  ["let me know if 2 bedrooms is enough", {}],
+  ["can I afford a $350k house", {}],
+];
+
+for (const [question, changes] of CASES) {
+  test(question, () => {
+    assert.deepEqual(parseWhatIf(question).changes, changes);
+  });
+}